@@ -1,39 +1,222 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { StatusBar } from 'expo-status-bar';
-import { StyleSheet, View, Alert } from 'react-native';
-import { NavigationContainer } from '@react-navigation/native';
+import { StyleSheet, View, Alert, I18nManager } from 'react-native';
+import { NavigationContainer, DefaultTheme, DarkTheme } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Linking from 'expo-linking';
 
 // Import screens
 import SplashScreen from './screens/SplashScreen';
 import HomeScreen from './screens/HomeScreen';
 import Onboarding from './screens/Onboarding';
 import Profile from './screens/Profile';
+import MenuItemDetail from './screens/MenuItemDetail';
+import Cart from './screens/Cart';
+import Checkout from './screens/Checkout';
+import OrderHistory from './screens/OrderHistory';
+import OrderDetail from './screens/OrderDetail';
+import Reservations from './screens/Reservations';
+import ChangePassword from './screens/ChangePassword';
+import ForgotPassword from './screens/ForgotPassword';
+import DatabaseRecovery from './screens/DatabaseRecovery';
+import DatabaseOperations from './database/DatabaseOperations';
+import { signOut, verifySession, getStoredSession } from './services/auth';
+import { LanguageProvider, useTranslation } from './i18n/LanguageContext';
+import { ThemeProvider, useTheme, useThemedStyles } from './theme/ThemeContext';
 
 const Stack = createNativeStackNavigator();
 
-function App() {
+// Paths that links can open, e.g. littlelemon://menu?category=mains&q=salad,
+// littlelemon://dish/12 or littlelemon://profile. Query parameters become
+// route params. Home sits under every linked screen so back returns to it.
+const LINKING_CONFIG = {
+  initialRouteName: 'Home',
+  screens: {
+    Home: 'menu',
+    // Dishes are linked by name (getMenuItemKey), as row ids change when the
+    // menu is re-synced
+    MenuItemDetail: 'dish/:dishKey',
+    Profile: 'profile',
+  },
+};
+
+// The open screens are saved as the user navigates and reopened on the next
+// launch. Bump the version whenever screens or their params change shape, so
+// state saved by an older build is ignored rather than restored.
+const NAVIGATION_STATE_KEY = 'navigationState';
+const NAVIGATION_STATE_VERSION = 2;
+
+// Mirror the layout when the device language is written right to left
+// (Arabic, Hebrew). Takes effect from the next launch after a language change.
+I18nManager.allowRTL(true);
+
+function AppContent() {
   const [isOnboardingCompleted, setIsOnboardingCompleted] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [showSplash, setShowSplash] = useState(true);
+  const [databaseError, setDatabaseError] = useState(null);
+  const [initialNavigationState, setInitialNavigationState] = useState(undefined);
+  const { t } = useTranslation();
+  const { scheme, colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  // Linked screens only exist once onboarding is done. A link that arrives
+  // before then waits in pendingUrlRef and is opened when it completes.
+  const isOnboardingCompletedRef = useRef(false);
+  const pendingUrlRef = useRef(null);
+  const linkListenerRef = useRef(null);
+
+  const linking = useMemo(() => {
+    const acceptUrl = (url) => {
+      if (url && !isOnboardingCompletedRef.current) {
+        pendingUrlRef.current = url;
+        return null;
+      }
+      return url;
+    };
+
+    return {
+      prefixes: [Linking.createURL('/')],
+      config: LINKING_CONFIG,
+      async getInitialURL() {
+        return acceptUrl(await Linking.getInitialURL());
+      },
+      subscribe(listener) {
+        linkListenerRef.current = listener;
+        const subscription = Linking.addEventListener('url', ({ url }) => {
+          const accepted = acceptUrl(url);
+          if (accepted) {
+            listener(accepted);
+          }
+        });
+
+        return () => {
+          linkListenerRef.current = null;
+          subscription.remove();
+        };
+      },
+    };
+  }, []);
+
+  useEffect(() => {
+    isOnboardingCompletedRef.current = isOnboardingCompleted;
 
-  // Check onboarding status on app launch
+    if (isOnboardingCompleted && pendingUrlRef.current && linkListenerRef.current) {
+      const url = pendingUrlRef.current;
+      pendingUrlRef.current = null;
+      linkListenerRef.current(url);
+    }
+  }, [isOnboardingCompleted]);
+
+  // Screens draw their own headers; this keeps the navigator's backgrounds
+  // (behind screen transitions) in the same palette
+  const navigationTheme = useMemo(() => {
+    const base = scheme === 'dark' ? DarkTheme : DefaultTheme;
+    return {
+      ...base,
+      colors: {
+        ...base.colors,
+        primary: colors.tint,
+        background: colors.background,
+        card: colors.background,
+        text: colors.text,
+        border: colors.border,
+      },
+    };
+  }, [scheme, colors]);
+
+  // Check onboarding status and migrate the database on app launch
   useEffect(() => {
-    checkOnboardingStatus();
+    initializeApp();
   }, []);
 
+  const initializeApp = async () => {
+    await Promise.all([checkOnboardingStatus(), prepareDatabase(), restoreNavigationState()]);
+    setIsLoading(false);
+  };
+
+  const restoreNavigationState = async () => {
+    try {
+      // A link the app was opened with decides the first screen instead. In
+      // development the initial URL is the bundle's own address, with no path.
+      const initialUrl = await Linking.getInitialURL();
+      if (initialUrl && Linking.parse(initialUrl).path) {
+        return;
+      }
+
+      const saved = JSON.parse(await AsyncStorage.getItem(NAVIGATION_STATE_KEY));
+      if (saved?.version === NAVIGATION_STATE_VERSION && Array.isArray(saved.state?.routes)) {
+        setInitialNavigationState(saved.state);
+      }
+    } catch (error) {
+      console.error('Error restoring navigation state:', error);
+    }
+  };
+
+  // Only the main app is saved: onboarding always starts from its first step
+  const handleNavigationStateChange = async (state) => {
+    if (!isOnboardingCompleted) return;
+
+    try {
+      await AsyncStorage.setItem(
+        NAVIGATION_STATE_KEY,
+        JSON.stringify({ version: NAVIGATION_STATE_VERSION, state })
+      );
+    } catch (error) {
+      console.error('Error saving navigation state:', error);
+    }
+  };
+
   const checkOnboardingStatus = async () => {
     try {
-      const onboardingStatus = await AsyncStorage.getItem('onboardingCompleted');
+      const [onboardingStatus, session] = await Promise.all([
+        AsyncStorage.getItem('onboardingCompleted'),
+        getStoredSession(),
+      ]);
 
-      if (onboardingStatus === 'true') {
+      // Without a session (e.g. onboarded before accounts existed) the user
+      // signs up or logs in again
+      if (onboardingStatus === 'true' && session) {
         setIsOnboardingCompleted(true);
+        checkSession();
+      } else if (session) {
+        discardUnfinishedSignUp();
       }
     } catch (error) {
       console.error('Error checking onboarding status:', error);
-    } finally {
-      setIsLoading(false);
+    }
+  };
+
+  // Not awaited at launch, so the app still opens offline. A session revoked
+  // elsewhere logs the user out once the backend confirms it.
+  const checkSession = async () => {
+    try {
+      if (!(await verifySession())) {
+        await clearAccountData();
+      }
+    } catch (error) {
+      console.error('Error verifying session:', error);
+    }
+  };
+
+  // Signing up stores the session before onboarding finishes. If the app was
+  // closed in between, onboarding starts over, so the session is revoked and
+  // the user logs in to the account they created.
+  const discardUnfinishedSignUp = async () => {
+    try {
+      await signOut();
+    } catch (error) {
+      console.error('Error discarding unfinished sign-up:', error);
+    }
+  };
+
+  const prepareDatabase = async () => {
+    try {
+      await DatabaseOperations.initializeDatabase();
+    } catch (error) {
+      console.error('Error preparing database:', error);
+      setDatabaseError(error);
     }
   };
 
@@ -41,29 +224,60 @@ function App() {
     setShowSplash(false);
   };
 
-  const handleOnboardingComplete = async (userInfo) => {
+  // `userInfo` is the account the user signed up or logged in to
+  const handleOnboardingComplete = async (userInfo, { isReturning = false } = {}) => {
     try {
       // Save onboarding completion status
       await AsyncStorage.setItem('onboardingCompleted', 'true');
-      await AsyncStorage.setItem('userData', JSON.stringify(userInfo));
+      await AsyncStorage.setItem('userData', JSON.stringify({
+        firstName: userInfo.firstName,
+        lastName: userInfo.lastName,
+        email: userInfo.email,
+        verifiedEmail: userInfo.emailVerified ? userInfo.email : null,
+      }));
 
       // Update state to show main app
       setIsOnboardingCompleted(true);
 
       Alert.alert(
-        'Welcome to Little Lemon!',
-        `Hello ${userInfo.firstName}! Your account has been created successfully.`,
-        [{ text: 'Get Started', style: 'default' }]
+        t(isReturning ? 'app.welcomeBackTitle' : 'app.welcomeTitle'),
+        t(isReturning ? 'app.welcomeBackMessage' : 'app.welcomeMessage', { firstName: userInfo.firstName }),
+        [{ text: t('app.getStarted'), style: 'default' }]
       );
     } catch (error) {
       console.error('Error saving user data:', error);
-      Alert.alert('Error', 'Failed to save your information. Please try again.');
+      Alert.alert(t('common.error'), t('app.saveUserFailed'));
     }
   };
 
   const handleLogout = async () => {
     try {
-      await AsyncStorage.multiRemove(['onboardingCompleted', 'userData', 'profileSettings']);
+      await signOut();
+    } catch (error) {
+      // The token is already gone from the device, so the user is logged out
+      // here even if the backend could not be told
+      console.error('Error revoking session:', error);
+    }
+    await clearAccountData();
+  };
+
+  const clearAccountData = async () => {
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      await DatabaseOperations.clearAccountData(database);
+    } catch (error) {
+      // Still log out, so a broken database never keeps the user signed in
+      console.error('Error clearing account data:', error);
+    }
+
+    try {
+      await AsyncStorage.multiRemove([
+        'onboardingCompleted',
+        'userData',
+        'profileSettings',
+        NAVIGATION_STATE_KEY,
+        'menuSession',
+      ]);
       setIsOnboardingCompleted(false);
     } catch (error) {
       console.error('Error during logout:', error);
@@ -80,10 +294,25 @@ function App() {
     return <View style={styles.loadingContainer} />;
   }
 
+  // A migration could not be applied; let the user retry or reset
+  if (databaseError) {
+    return (
+      <DatabaseRecovery
+        error={databaseError}
+        onRecovered={() => setDatabaseError(null)}
+      />
+    );
+  }
+
   return (
     <>
-      <StatusBar style="light" backgroundColor="#495E57" />
-      <NavigationContainer>
+      <StatusBar style="light" backgroundColor={colors.brand} />
+      <NavigationContainer
+        theme={navigationTheme}
+        linking={linking}
+        initialState={initialNavigationState}
+        onStateChange={handleNavigationStateChange}
+      >
         <Stack.Navigator
           screenOptions={{
             headerShown: false, // We'll handle headers in individual screens
@@ -91,14 +320,23 @@ function App() {
         >
           {!isOnboardingCompleted ? (
             // Onboarding flow
-            <Stack.Screen name="Onboarding">
-              {(props) => (
-                <Onboarding
-                  {...props}
-                  onComplete={handleOnboardingComplete}
-                />
-              )}
-            </Stack.Screen>
+            <>
+              <Stack.Screen name="Onboarding">
+                {(props) => (
+                  <Onboarding
+                    {...props}
+                    onComplete={handleOnboardingComplete}
+                  />
+                )}
+              </Stack.Screen>
+              <Stack.Screen
+                name="ForgotPassword"
+                component={ForgotPassword}
+                options={{
+                  title: t('forgotPassword.title'),
+                }}
+              />
+            </>
           ) : (
             // Main app flow
             <>
@@ -106,13 +344,62 @@ function App() {
                 name="Home"
                 component={HomeScreen}
                 options={{
-                  title: 'Little Lemon',
+                  title: t('common.restaurantName'),
+                }}
+              />
+              <Stack.Screen
+                name="MenuItemDetail"
+                component={MenuItemDetail}
+                options={{
+                  title: t('menuItem.title'),
+                }}
+              />
+              <Stack.Screen
+                name="Cart"
+                component={Cart}
+                options={{
+                  title: t('cart.title'),
+                }}
+              />
+              <Stack.Screen
+                name="Checkout"
+                component={Checkout}
+                options={{
+                  title: t('checkout.title'),
+                }}
+              />
+              <Stack.Screen
+                name="OrderHistory"
+                component={OrderHistory}
+                options={{
+                  title: t('orders.historyTitle'),
+                }}
+              />
+              <Stack.Screen
+                name="OrderDetail"
+                component={OrderDetail}
+                options={{
+                  title: t('orders.detailTitle'),
+                }}
+              />
+              <Stack.Screen
+                name="Reservations"
+                component={Reservations}
+                options={{
+                  title: t('profile.reservations'),
+                }}
+              />
+              <Stack.Screen
+                name="ChangePassword"
+                component={ChangePassword}
+                options={{
+                  title: t('changePassword.title'),
                 }}
               />
               <Stack.Screen
                 name="Profile"
                 options={{
-                  title: 'Profile',
+                  title: t('home.profile'),
                   headerShown: false, // Profile handles its own header
                 }}
               >
@@ -131,11 +418,23 @@ function App() {
   );
 }
 
+// Every screen, the splash included, is rendered in the chosen language and
+// color scheme
+function App() {
+  return (
+    <LanguageProvider>
+      <ThemeProvider>
+        <AppContent />
+      </ThemeProvider>
+    </LanguageProvider>
+  );
+}
+
 export default App;
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   loadingContainer: {
     flex: 1,
-    backgroundColor: '#495E57',
+    backgroundColor: colors.brand,
   },
 });
\ No newline at end of file
@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from 'react';
+import { View, Image, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getImageUrl } from '../utils/images';
+import { resolveCachedPath } from '../utils/imageCache';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+
+// Dish photo that prefers the copy cached on the device, then the remote
+// image, and shows a placeholder when neither loads.
+// `cachedPath` is a menu `image_path` or `thumbnail_path` column.
+const MenuImage = ({ image, cachedPath, style }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const sources = [resolveCachedPath(cachedPath), image ? getImageUrl(image) : null].filter(Boolean);
+  const [sourceIndex, setSourceIndex] = useState(0);
+
+  // Start over when the row is reused for another dish
+  useEffect(() => {
+    setSourceIndex(0);
+  }, [image, cachedPath]);
+
+  if (sourceIndex >= sources.length) {
+    return (
+      <View style={[style, styles.placeholder]}>
+        <Ionicons name="restaurant-outline" size={28} color={colors.textMuted} />
+      </View>
+    );
+  }
+
+  return (
+    <Image
+      source={{ uri: sources[sourceIndex] }}
+      style={style}
+      resizeMode="cover"
+      onError={() => setSourceIndex(index => index + 1)}
+    />
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  placeholder: {
+    backgroundColor: colors.surface,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
+
+export default MenuImage;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTranslation } from '../i18n/LanguageContext';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+import { PASSWORD_RULES } from '../utils/password';
+import { MIN_PASSWORD_LENGTH } from '../config/auth';
+
+// Checklist of PASSWORD_RULES, ticked off as `password` meets each one
+const PasswordRules = ({ password }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.container}>
+      {PASSWORD_RULES.map((rule) => {
+        const isMet = rule.test(password);
+        const label = t(`password.rules.${rule.key}`, { count: MIN_PASSWORD_LENGTH });
+
+        return (
+          <View
+            key={rule.key}
+            style={styles.rule}
+            accessible
+            accessibilityLabel={t(isMet ? 'password.ruleMet' : 'password.ruleNotMet', { rule: label })}
+          >
+            <Ionicons
+              name={isMet ? 'checkmark-circle' : 'ellipse-outline'}
+              size={16}
+              color={isMet ? colors.tint : colors.textMuted}
+            />
+            <Text style={[styles.ruleText, isMet && styles.ruleTextMet]}>{label}</Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    marginBottom: 16,
+    gap: 6,
+  },
+  rule: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  ruleText: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginStart: 8,
+  },
+  ruleTextMet: {
+    color: colors.text,
+  },
+});
+
+export default PasswordRules;
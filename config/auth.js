@@ -0,0 +1,21 @@
+// Where accounts live. `mock` keeps them on the device and needs no server;
+// `remote` talks to AUTH_URL. See services/auth for the backends.
+export const AUTH_BACKEND = process.env.EXPO_PUBLIC_AUTH_BACKEND || 'mock';
+
+// Point this at `npm run auth-server` to develop against a local backend
+export const AUTH_URL = process.env.EXPO_PUBLIC_AUTH_URL || 'http://localhost:3002';
+
+// An auth request that has not answered after this long is abandoned
+export const AUTH_TIMEOUT_MS = 15000;
+
+// Shortest password accepted; see utils/password.js for the other rules
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Password reset and email verification codes are this many digits. A code
+// stops working after ONE_TIME_CODE_TTL_MS, or after this many wrong guesses.
+export const ONE_TIME_CODE_LENGTH = 6;
+export const ONE_TIME_CODE_TTL_MS = 10 * 60 * 1000;
+export const ONE_TIME_CODE_MAX_ATTEMPTS = 5;
+
+// Onboarding waits this long before offering to send another verification code
+export const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
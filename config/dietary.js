@@ -0,0 +1,26 @@
+// Dietary and allergen tags shown on menu rows and offered as filters.
+// `kind` decides what the first tap on a filter chip does: diets are usually
+// looked for ("only vegan") and allergens avoided ("no nuts"). Icons are
+// MaterialCommunityIcons names. Labels are in the `dietary` catalog section.
+export const DIETARY_TAGS = [
+  { id: 'vegetarian', icon: 'leaf', kind: 'diet' },
+  { id: 'vegan', icon: 'sprout', kind: 'diet' },
+  { id: 'gluten-free', icon: 'barley-off', kind: 'diet' },
+  { id: 'nuts', icon: 'peanut', kind: 'allergen' },
+  { id: 'dairy', icon: 'cheese', kind: 'allergen' },
+  { id: 'eggs', icon: 'egg', kind: 'allergen' },
+  { id: 'fish', icon: 'fish', kind: 'allergen' },
+  { id: 'spicy', icon: 'chili-hot', kind: 'allergen' },
+];
+
+export const DIETARY_TAGS_BY_ID = Object.fromEntries(DIETARY_TAGS.map(tag => [tag.id, tag]));
+
+// The menu API does not send tags yet. Until it does, dishes are tagged from
+// this list, keyed by lowercased dish name. Tags in the payload take precedence.
+export const DEFAULT_DISH_TAGS = {
+  'greek salad': ['vegetarian', 'gluten-free', 'dairy'],
+  'bruschetta': ['vegetarian', 'dairy'],
+  'grilled fish': ['gluten-free', 'fish'],
+  'pasta': ['vegetarian', 'dairy', 'eggs'],
+  'lemon dessert': ['vegetarian', 'dairy', 'eggs'],
+};
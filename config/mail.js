@@ -0,0 +1,3 @@
+// How the app's local stand-ins (the `mock` auth backend) send email. `log`
+// writes each message to the console; see services/mail for the mailers.
+export const MAILER = process.env.EXPO_PUBLIC_MAILER || 'log';
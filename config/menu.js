@@ -0,0 +1,18 @@
+// Where the menu comes from. `remote` fetches MENU_URL; `bundled` only ever
+// uses the seed shipped with the app; `generated` makes up a catalog of
+// GENERATED_MENU_SIZE dishes. See services/menu for the sources.
+export const MENU_SOURCE = process.env.EXPO_PUBLIC_MENU_SOURCE || 'remote';
+
+// Point this at `npm run menu-server` to develop against a local menu
+export const MENU_URL = process.env.EXPO_PUBLIC_MENU_URL ||
+  'https://raw.githubusercontent.com/Meta-Mobile-Developer-PC/Working-With-Data-API/main/capstone.json';
+
+// A menu request that has not answered after this long is abandoned
+export const MENU_FETCH_TIMEOUT_MS = 15000;
+
+// Number of dishes made up by the `generated` source, for trying the menu
+// list against a large catalog
+export const GENERATED_MENU_SIZE = Number(process.env.EXPO_PUBLIC_GENERATED_MENU_SIZE) || 1000;
+
+// Logs React Profiler timings for the menu list to the console
+export const MENU_PROFILING = process.env.EXPO_PUBLIC_MENU_PROFILING === 'true';
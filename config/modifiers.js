@@ -0,0 +1,104 @@
+// Choices offered on each dish, e.g. portion size and add-ons. The menu API
+// does not send these yet. Until it does, dishes get the groups below, keyed
+// by lowercased dish name. A `modifiers` array in the payload takes precedence.
+//
+// A group is { id, name, min, max, options } where min/max bound how many
+// options may be picked (min 0 makes it optional). An option is
+// { id, name, price, default? } where `price` is added to the dish price.
+export const DEFAULT_DISH_MODIFIERS = {
+  'greek salad': [
+    {
+      id: 'portion',
+      name: 'Portion',
+      min: 1,
+      max: 1,
+      options: [
+        { id: 'half', name: 'Half', price: -4 },
+        { id: 'full', name: 'Full', price: 0, default: true },
+      ],
+    },
+    {
+      id: 'extras',
+      name: 'Extras',
+      min: 0,
+      max: 3,
+      options: [
+        { id: 'extra-feta', name: 'Extra feta', price: 2 },
+        { id: 'grilled-chicken', name: 'Grilled chicken', price: 4.5 },
+        { id: 'kalamata-olives', name: 'Extra Kalamata olives', price: 1 },
+      ],
+    },
+    {
+      id: 'leave-out',
+      name: 'Leave out',
+      min: 0,
+      max: 3,
+      options: [
+        { id: 'no-onions', name: 'No onions', price: 0 },
+        { id: 'no-olives', name: 'No olives', price: 0 },
+        { id: 'no-feta', name: 'No feta', price: 0 },
+      ],
+    },
+  ],
+  'bruschetta': [
+    {
+      id: 'leave-out',
+      name: 'Leave out',
+      min: 0,
+      max: 2,
+      options: [
+        { id: 'no-garlic', name: 'No garlic', price: 0 },
+        { id: 'no-cheese', name: 'No cheese', price: 0 },
+      ],
+    },
+  ],
+  'grilled fish': [
+    {
+      id: 'side',
+      name: 'Side',
+      min: 1,
+      max: 1,
+      options: [
+        { id: 'lemon-potatoes', name: 'Lemon potatoes', price: 0, default: true },
+        { id: 'rice-pilaf', name: 'Rice pilaf', price: 0 },
+        { id: 'side-salad', name: 'Side Greek salad', price: 2.5 },
+      ],
+    },
+  ],
+  'pasta': [
+    {
+      id: 'portion',
+      name: 'Portion',
+      min: 1,
+      max: 1,
+      options: [
+        { id: 'half', name: 'Half', price: -2 },
+        { id: 'full', name: 'Full', price: 0, default: true },
+      ],
+    },
+    {
+      id: 'extras',
+      name: 'Extras',
+      min: 0,
+      max: 2,
+      options: [
+        { id: 'extra-parmesan', name: 'Extra parmesan', price: 1 },
+        { id: 'grilled-shrimp', name: 'Grilled shrimp', price: 5 },
+      ],
+    },
+  ],
+  'lemon dessert': [
+    {
+      id: 'extras',
+      name: 'Extras',
+      min: 0,
+      max: 1,
+      options: [
+        { id: 'vanilla-ice-cream', name: 'Scoop of vanilla ice cream', price: 1.5 },
+      ],
+    },
+  ],
+};
+
+// Longest special instructions accepted for a dish
+export const MAX_INSTRUCTIONS_LENGTH = 200;
@@ -0,0 +1,6 @@
+// Where order status updates come from. `simulated` advances orders locally
+// on a fixed schedule; see services/orderStatus.
+export const ORDER_STATUS_SOURCE = process.env.EXPO_PUBLIC_ORDER_STATUS_SOURCE || 'simulated';
+
+// How often an open order detail screen checks for status changes
+export const ORDER_STATUS_POLL_INTERVAL = 15 * 1000;
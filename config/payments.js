@@ -0,0 +1,6 @@
+// Which payment provider checkout uses. `fake` runs entirely on the device;
+// see services/payments for the available providers.
+export const PAYMENT_PROVIDER = process.env.EXPO_PUBLIC_PAYMENT_PROVIDER || 'fake';
+
+// Checkout gives up on a charge that has not settled after this long
+export const PAYMENT_TIMEOUT_MS = 10000;
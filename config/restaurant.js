@@ -0,0 +1,42 @@
+// Restaurant-wide settings shared by the ordering and reservation screens
+
+// Sales tax applied to the food subtotal
+export const SALES_TAX_RATE = 0.1025;
+
+// ISO 4217 code that prices, totals and payments are in. Amounts are rounded to
+// this currency's minor unit and formatted for the device's locale.
+export const CURRENCY = process.env.EXPO_PUBLIC_CURRENCY || 'USD';
+
+// Tip presets offered at checkout, as a share of the food subtotal
+export const TIP_OPTIONS = [0, 0.15, 0.18, 0.2];
+
+// Opening hours per weekday (0 = Sunday), as [open, close] in 24h "HH:MM".
+// A day without an entry is closed. Reservations can start any time from
+// opening until RESERVATION_DURATION_MINUTES before closing.
+export const OPENING_HOURS = {
+  0: [['11:00', '21:00']],
+  1: [],
+  2: [['11:30', '14:30'], ['17:00', '22:00']],
+  3: [['11:30', '14:30'], ['17:00', '22:00']],
+  4: [['11:30', '14:30'], ['17:00', '22:00']],
+  5: [['11:30', '14:30'], ['17:00', '23:00']],
+  6: [['11:00', '23:00']],
+};
+
+// Reservation slots start every RESERVATION_SLOT_MINUTES and hold a table
+// for RESERVATION_DURATION_MINUTES
+export const RESERVATION_SLOT_MINUTES = 30;
+export const RESERVATION_DURATION_MINUTES = 90;
+
+// How many days ahead reservations can be booked
+export const RESERVATION_DAYS_AHEAD = 14;
+
+export const MAX_PARTY_SIZE = 8;
+
+// Dining room tables by number of seats
+export const TABLES = [
+  { seats: 2, count: 4 },
+  { seats: 4, count: 5 },
+  { seats: 6, count: 2 },
+  { seats: 8, count: 1 },
+];
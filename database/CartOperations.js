@@ -0,0 +1,97 @@
+import { calculateConfiguredPrice } from '../utils/pricing';
+import {
+  describeSelections,
+  getConfigurationKey,
+  getSelectedOptions,
+  parseJson,
+} from '../utils/modifiers';
+
+// Cart lines live in the `cart_items` table. Prices are always read from
+// `menu` so the cart reflects the latest synced price of each dish and of the
+// options chosen for it. A dish has one line per distinct configuration.
+const CartOperations = {
+  // Each line's `price` is the unit price with its options applied.
+  // `optionsSummary` lists the chosen options, e.g. "Half, Extra feta".
+  async getCartItems(database) {
+    const rows = await database.getAllAsync(`
+      SELECT cart_items.id, cart_items.menu_item_id AS menuItemId, cart_items.quantity,
+        cart_items.options, cart_items.instructions,
+        menu.name, menu.price AS basePrice, menu.image, menu.thumbnail_path, menu.category,
+        menu.modifiers
+      FROM cart_items
+      JOIN menu ON menu.id = cart_items.menu_item_id
+      ORDER BY cart_items.added_at, cart_items.id
+    `);
+
+    return rows.map(({ options, modifiers, ...line }) => {
+      const groups = parseJson(modifiers, []);
+      const selections = parseJson(options, {});
+      return {
+        ...line,
+        selections,
+        price: calculateConfiguredPrice(line.basePrice, getSelectedOptions(groups, selections)),
+        optionsSummary: describeSelections(groups, selections),
+      };
+    });
+  },
+
+  async getItemCount(database) {
+    const row = await database.getFirstAsync('SELECT COALESCE(SUM(quantity), 0) AS count FROM cart_items');
+    return row.count;
+  },
+
+  // Adding a configuration that is already in the cart adds to that line
+  async addItem(database, menuItemId, { quantity = 1, selections = {}, instructions = '' } = {}) {
+    const note = instructions.trim();
+    await database.runAsync(
+      `INSERT INTO cart_items (menu_item_id, quantity, options, instructions, configuration_key)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (menu_item_id, configuration_key) DO UPDATE SET quantity = quantity + excluded.quantity`,
+      [menuItemId, quantity, JSON.stringify(selections), note || null, getConfigurationKey(selections, note)]
+    );
+  },
+
+  // The line most recently added for a dish, which the menu list's stepper
+  // adjusts when the dish is in the cart in more than one configuration
+  async getLatestLine(database, menuItemId) {
+    return await database.getFirstAsync(
+      'SELECT id, quantity FROM cart_items WHERE menu_item_id = ? ORDER BY added_at DESC, id DESC',
+      [menuItemId]
+    );
+  },
+
+  // Adds one more portion of the dish as it was last configured
+  async repeatItem(database, menuItemId) {
+    const line = await this.getLatestLine(database, menuItemId);
+    if (!line) return false;
+
+    await this.setQuantity(database, line.id, line.quantity + 1);
+    return true;
+  },
+
+  // Takes one portion of a dish out of the cart, dropping the line at zero
+  async removeItem(database, menuItemId) {
+    const line = await this.getLatestLine(database, menuItemId);
+    if (!line) return;
+
+    await this.setQuantity(database, line.id, line.quantity - 1);
+  },
+
+  async setQuantity(database, cartItemId, quantity) {
+    if (quantity <= 0) {
+      await this.deleteItem(database, cartItemId);
+      return;
+    }
+    await database.runAsync('UPDATE cart_items SET quantity = ? WHERE id = ?', [quantity, cartItemId]);
+  },
+
+  async deleteItem(database, cartItemId) {
+    await database.runAsync('DELETE FROM cart_items WHERE id = ?', [cartItemId]);
+  },
+
+  async clearCart(database) {
+    await database.runAsync('DELETE FROM cart_items');
+  },
+};
+
+export default CartOperations;
@@ -0,0 +1,425 @@
+import * as SQLite from 'expo-sqlite';
+import { runMigrations } from './migrations';
+import { DIETARY_TAGS_BY_ID, DEFAULT_DISH_TAGS } from '../config/dietary';
+import { DEFAULT_DISH_MODIFIERS } from '../config/modifiers';
+import { parseJson } from '../utils/modifiers';
+
+const DATABASE_NAME = 'little_lemon';
+
+let databasePromise = null;
+
+const openAndMigrate = async () => {
+  const database = await SQLite.openDatabaseAsync(DATABASE_NAME);
+  // Off by default in SQLite; dishes removed by a sync take their cart lines with them
+  await database.execAsync('PRAGMA foreign_keys = ON');
+
+  try {
+    await runMigrations(database);
+  } catch (error) {
+    // Release the file so the recovery screen is able to delete it
+    await database.closeAsync();
+    throw error;
+  }
+
+  return database;
+};
+
+// Control characters never appear in menu text, so they are safe to use as
+// markers around the matched terms returned by highlight() and snippet().
+export const HIGHLIGHT_START = '\u0002';
+export const HIGHLIGHT_END = '\u0003';
+
+
+// Column weights for bm25(): a hit in the name outranks one in the description
+const SEARCH_RANK_WEIGHTS = '10.0, 2.0, 1.0';
+
+// Turns free text into an FTS5 query where every word must match as a prefix,
+// e.g. `gre sal` -> `"gre"* "sal"*`. Quoting each word keeps FTS5 operators
+// and punctuation typed by the user from being parsed as query syntax.
+export const buildSearchQuery = (searchText) => {
+  const terms = (searchText || '')
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  return terms.map((term) => `"${term}"*`).join(' ');
+};
+
+// Dish names are the only stable identity the menu API gives us
+export const getMenuItemKey = (item) => item.name.trim().toLowerCase();
+
+// The same identity computed in SQL. SQLite's lower() only folds ASCII, so keys
+// that are stored (favorites) are always computed with this expression.
+export const MENU_ITEM_KEY_SQL = 'lower(trim(menu.name))';
+
+// Sort keys for the menu list, compared in ascending order. Descending sorts
+// negate their value so every key can be paged through with one row-value
+// comparison, and each ends in a unique column so pages never overlap. Menu
+// ids are AUTOINCREMENT, so the highest ids are the dishes added most recently.
+export const MENU_SORT_KEYS = {
+  name: ['menu.name', 'menu.id'],
+  price_asc: ['menu.price', 'menu.name', 'menu.id'],
+  price_desc: ['-menu.price', 'menu.name', 'menu.id'],
+  newest: ['-menu.id'],
+  most_ordered: [
+    '-(SELECT COALESCE(SUM(quantity), 0) FROM order_items WHERE order_items.menu_item_id = menu.id)',
+    'menu.name',
+    'menu.id',
+  ],
+};
+
+export const DEFAULT_MENU_SORT = 'name';
+
+const RELEVANCE_SORT_KEYS = [`bm25(menu_fts, ${SEARCH_RANK_WEIGHTS})`, 'menu.name', 'menu.id'];
+
+// Tags sent with the dish win over the built-in defaults. Unknown tags are
+// dropped so every stored tag has an icon and a filter chip.
+const getDishTags = (item) => {
+  const tags = Array.isArray(item.tags) ? item.tags : DEFAULT_DISH_TAGS[getMenuItemKey(item)] || [];
+  const known = tags
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(tag => DIETARY_TAGS_BY_ID[tag]);
+  return [...new Set(known)].sort();
+};
+
+// Modifier groups sent with the dish win over the built-in defaults. Stored as
+// JSON in `menu.modifiers`, with prices normalized to numbers.
+const getDishModifiers = (item) => {
+  const groups = Array.isArray(item.modifiers)
+    ? item.modifiers
+    : DEFAULT_DISH_MODIFIERS[getMenuItemKey(item)] || [];
+
+  return groups.map(group => ({
+    id: group.id,
+    name: group.name,
+    min: group.min ?? 0,
+    max: group.max ?? group.options.length,
+    options: group.options.map(option => ({
+      id: option.id,
+      name: option.name,
+      price: Number(option.price || 0),
+      ...(option.default ? { default: true } : {}),
+    })),
+  }));
+};
+
+// Selected alongside `menu.*` and turned into a `tags` array by toMenuItems()
+const TAGS_COLUMN = "(SELECT group_concat(tag, ',') FROM menu_tags WHERE menu_item_id = menu.id) AS tags";
+
+// Splits the tags column and parses the stored modifier groups
+const toMenuItems = (rows) => rows.map(row => ({
+  ...row,
+  tags: row.tags ? row.tags.split(',') : [],
+  modifiers: parseJson(row.modifiers, []),
+}));
+
+// Moves the sort_N columns of a page query into a `cursor` array, which is
+// passed back as `after` to fetch the following page
+const withCursors = (rows, sortKeyCount) => rows.map((row) => {
+  const item = { ...row, cursor: [] };
+  for (let index = 0; index < sortKeyCount; index += 1) {
+    item.cursor.push(row[`sort_${index}`]);
+    delete item[`sort_${index}`];
+  }
+  return item;
+});
+
+// Database operations
+const DatabaseOperations = {
+  // Every caller shares one migrated connection
+  initializeDatabase() {
+    if (!databasePromise) {
+      databasePromise = openAndMigrate().catch((error) => {
+        databasePromise = null;
+        throw error;
+      });
+    }
+    return databasePromise;
+  },
+
+  // Deletes the database file so the next initializeDatabase() starts from an
+  // empty schema. Used by the recovery screen when a migration cannot be applied.
+  async resetDatabase() {
+    if (databasePromise) {
+      try {
+        const database = await databasePromise;
+        await database.closeAsync();
+      } catch (error) {
+        console.error('Error closing database before reset:', error);
+      }
+      databasePromise = null;
+    }
+
+    await SQLite.deleteDatabaseAsync(DATABASE_NAME);
+  },
+
+  // Deletes everything that belongs to the signed-in user (orders with their
+  // items and status history, reservations, the cart and favorites) so the
+  // next account on the device starts empty. The menu is kept.
+  async clearAccountData(database) {
+    await database.withTransactionAsync(async () => {
+      await database.runAsync('DELETE FROM order_status_events');
+      await database.runAsync('DELETE FROM order_items');
+      await database.runAsync('DELETE FROM orders');
+      await database.runAsync('DELETE FROM reservations');
+      await database.runAsync('DELETE FROM cart_items');
+      await database.runAsync('DELETE FROM favorites');
+    });
+  },
+
+  async getAllMenuItems(database) {
+    return toMenuItems(await database.getAllAsync(`SELECT menu.*, ${TAGS_COLUMN} FROM menu ORDER BY name`));
+  },
+
+  async getMenuItemCount(database) {
+    const row = await database.getFirstAsync('SELECT COUNT(*) AS count FROM menu');
+    return row.count;
+  },
+
+  async getMenuItemById(database, id) {
+    const row = await database.getFirstAsync(`SELECT menu.*, ${TAGS_COLUMN} FROM menu WHERE id = ?`, [id]);
+    return row ? toMenuItems([row])[0] : null;
+  },
+
+  // Keys are compared in JavaScript, where toLowerCase() folds every letter,
+  // so they match the keys getMenuItemKey() hands out
+  async getMenuItemByKey(database, key) {
+    const wanted = String(key ?? '').trim().toLowerCase();
+    const rows = await database.getAllAsync('SELECT id, name FROM menu');
+    const match = rows.find(row => getMenuItemKey(row) === wanted);
+    return match ? await this.getMenuItemById(database, match.id) : null;
+  },
+
+  // Reconciles the menu table with the latest API payload: changed dishes are
+  // updated in place (keeping their row id), new dishes are inserted and dishes
+  // no longer on the menu are deleted. Dish tags are reconciled the same way.
+  // Modifier groups are stored with the dish and compared as JSON.
+  // Pass `markUpdated: false` for data that should not count as a fresh sync,
+  // such as the bundled seed.
+  async syncMenuItems(database, menuItems, { markUpdated = true } = {}) {
+    const summary = { inserted: 0, updated: 0, removed: 0 };
+
+    await database.withTransactionAsync(async () => {
+      const existingRows = toMenuItems(await database.getAllAsync(`SELECT menu.*, ${TAGS_COLUMN} FROM menu`));
+      const existingByKey = new Map();
+
+      for (const row of existingRows) {
+        const key = getMenuItemKey(row);
+        if (existingByKey.has(key)) {
+          // Left over from the old insert-only seeding
+          await database.runAsync('DELETE FROM menu WHERE id = ?', [row.id]);
+          summary.removed += 1;
+        } else {
+          existingByKey.set(key, row);
+        }
+      }
+
+      const seenKeys = new Set();
+
+      for (const item of menuItems) {
+        const key = getMenuItemKey(item);
+        if (seenKeys.has(key)) continue;
+        seenKeys.add(key);
+
+        const values = [
+          item.name,
+          Number(item.price),
+          item.description ?? null,
+          item.image ?? null,
+          item.category || 'Main',
+        ];
+        const modifiers = getDishModifiers(item);
+        values.push(modifiers.length > 0 ? JSON.stringify(modifiers) : null);
+        const tags = getDishTags(item);
+        const existing = existingByKey.get(key);
+
+        if (!existing) {
+          const result = await database.runAsync(
+            'INSERT INTO menu (name, price, description, image, category, modifiers) VALUES (?, ?, ?, ?, ?, ?)',
+            values
+          );
+          await this.setMenuItemTags(database, result.lastInsertRowId, tags);
+          summary.inserted += 1;
+          continue;
+        }
+
+        const tagsChanged = [...existing.tags].sort().join(',') !== tags.join(',');
+
+        if (
+          existing.name !== values[0] ||
+          existing.price !== values[1] ||
+          existing.description !== values[2] ||
+          existing.image !== values[3] ||
+          existing.category !== values[4] ||
+          JSON.stringify(existing.modifiers) !== JSON.stringify(modifiers) ||
+          tagsChanged
+        ) {
+          await database.runAsync(
+            'UPDATE menu SET name = ?, price = ?, description = ?, image = ?, category = ?, modifiers = ? WHERE id = ?',
+            [...values, existing.id]
+          );
+          if (tagsChanged) {
+            await this.setMenuItemTags(database, existing.id, tags);
+          }
+          summary.updated += 1;
+        }
+      }
+
+      for (const [key, row] of existingByKey) {
+        if (!seenKeys.has(key)) {
+          await database.runAsync('DELETE FROM menu WHERE id = ?', [row.id]);
+          summary.removed += 1;
+        }
+      }
+
+      if (markUpdated) {
+        await database.runAsync(
+          'INSERT OR REPLACE INTO menu_meta (key, value) VALUES (?, ?)',
+          ['lastUpdated', new Date().toISOString()]
+        );
+      }
+    });
+
+    return summary;
+  },
+
+  async setMenuItemTags(database, menuItemId, tags) {
+    await database.runAsync('DELETE FROM menu_tags WHERE menu_item_id = ?', [menuItemId]);
+    for (const tag of tags) {
+      await database.runAsync('INSERT INTO menu_tags (menu_item_id, tag) VALUES (?, ?)', [menuItemId, tag]);
+    }
+  },
+
+  async getMenuImagePaths(database) {
+    return await database.getAllAsync('SELECT id, image, image_path, thumbnail_path FROM menu');
+  },
+
+  async setMenuItemImagePaths(database, menuItemId, { imagePath, thumbnailPath }) {
+    await database.runAsync(
+      'UPDATE menu SET image_path = ?, thumbnail_path = ? WHERE id = ?',
+      [imagePath, thumbnailPath, menuItemId]
+    );
+  },
+
+  async getLastUpdated(database) {
+    const row = await database.getFirstAsync('SELECT value FROM menu_meta WHERE key = ?', ['lastUpdated']);
+    return row ? row.value : null;
+  },
+
+  async filterByCategories(database, categories) {
+    if (categories.length === 0) {
+      return await this.getAllMenuItems(database);
+    }
+
+    const placeholders = categories.map(() => '?').join(',');
+    const query = `SELECT menu.*, ${TAGS_COLUMN} FROM menu WHERE category IN (${placeholders}) ORDER BY name`;
+    return toMenuItems(await database.getAllAsync(query, categories));
+  },
+
+  // Without search text results are sorted by `sort` (a MENU_SORT_KEYS key).
+  // With search text the FTS index is used and results carry `nameHighlight`
+  // and `snippet` columns with the matched terms wrapped in HIGHLIGHT_START /
+  // HIGHLIGHT_END; they are ranked by relevance unless a sort other than the
+  // default is chosen. `favoritesOnly` narrows either case to favorited dishes,
+  // `includeTags` to dishes carrying every listed tag, `excludeTags` to dishes
+  // carrying none of them and `minPrice` / `maxPrice` to a price range.
+  //
+  // Results are paged by keyset: at most `limit` rows are returned, each with
+  // a `cursor`, and passing the last row's cursor as `after` returns the rows
+  // that follow it. Without a `limit` every matching row is returned.
+  async filterBySearchAndCategories(
+    database,
+    searchText,
+    categories,
+    {
+      favoritesOnly = false,
+      includeTags = [],
+      excludeTags = [],
+      minPrice = null,
+      maxPrice = null,
+      sort = DEFAULT_MENU_SORT,
+      limit = null,
+      after = null,
+    } = {}
+  ) {
+    const matchQuery = buildSearchQuery(searchText);
+    const sortKeys = matchQuery && sort === DEFAULT_MENU_SORT
+      ? RELEVANCE_SORT_KEYS
+      : MENU_SORT_KEYS[sort] || MENU_SORT_KEYS[DEFAULT_MENU_SORT];
+    const sortColumns = sortKeys.map((expression, index) => `${expression} AS sort_${index}`).join(', ');
+    let query;
+    const params = [];
+
+    if (matchQuery) {
+      query = `
+        SELECT menu.*, ${TAGS_COLUMN}, ${sortColumns},
+          highlight(menu_fts, 0, ?, ?) AS nameHighlight,
+          snippet(menu_fts, 1, ?, ?, '…', 16) AS snippet
+        FROM menu_fts
+        JOIN menu ON menu.id = menu_fts.rowid
+        WHERE menu_fts MATCH ?`;
+      params.push(HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END, matchQuery);
+    } else {
+      query = `SELECT menu.*, ${TAGS_COLUMN}, ${sortColumns} FROM menu WHERE 1=1`;
+    }
+
+    if (categories.length > 0) {
+      const placeholders = categories.map(() => '?').join(',');
+      query += ` AND menu.category IN (${placeholders})`;
+      params.push(...categories);
+    }
+
+    if (favoritesOnly) {
+      query += ` AND ${MENU_ITEM_KEY_SQL} IN (SELECT item_key FROM favorites)`;
+    }
+
+    if (includeTags.length > 0) {
+      const placeholders = includeTags.map(() => '?').join(',');
+      query += ` AND menu.id IN (
+        SELECT menu_item_id FROM menu_tags WHERE tag IN (${placeholders})
+        GROUP BY menu_item_id HAVING COUNT(*) = ?)`;
+      params.push(...includeTags, includeTags.length);
+    }
+
+    if (excludeTags.length > 0) {
+      const placeholders = excludeTags.map(() => '?').join(',');
+      query += ` AND menu.id NOT IN (SELECT menu_item_id FROM menu_tags WHERE tag IN (${placeholders}))`;
+      params.push(...excludeTags);
+    }
+
+    if (minPrice != null) {
+      query += ' AND menu.price >= ?';
+      params.push(minPrice);
+    }
+
+    if (maxPrice != null) {
+      query += ' AND menu.price <= ?';
+      params.push(maxPrice);
+    }
+
+    // Paging happens on the outer query, where the sort keys are plain columns
+    const sortNames = sortKeys.map((_, index) => `sort_${index}`).join(', ');
+    query = `SELECT * FROM (${query})`;
+
+    if (after) {
+      query += ` WHERE (${sortNames}) > (${after.map(() => '?').join(', ')})`;
+      params.push(...after);
+    }
+
+    query += ` ORDER BY ${sortNames}`;
+
+    if (limit != null) {
+      query += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    return withCursors(toMenuItems(await database.getAllAsync(query, params)), sortKeys.length);
+  },
+
+  async getCategories(database) {
+    const result = await database.getAllAsync('SELECT DISTINCT category FROM menu ORDER BY category');
+    return result.map(row => row.category);
+  }
+};
+
+export default DatabaseOperations;
@@ -0,0 +1,50 @@
+import { MENU_ITEM_KEY_SQL } from './DatabaseOperations';
+
+// Favorites live in the `favorites` table, keyed by dish identity rather than
+// row id so they survive menu re-syncs. Callers work with `menu.id` as usual.
+const FavoriteOperations = {
+  // Ids of the favorited dishes that are currently on the menu
+  async getFavoriteIds(database) {
+    const rows = await database.getAllAsync(`
+      SELECT menu.id FROM menu
+      JOIN favorites ON favorites.item_key = ${MENU_ITEM_KEY_SQL}
+    `);
+    return rows.map(row => row.id);
+  },
+
+  async isFavorite(database, menuItemId) {
+    const row = await database.getFirstAsync(
+      `SELECT 1 FROM menu
+       JOIN favorites ON favorites.item_key = ${MENU_ITEM_KEY_SQL}
+       WHERE menu.id = ?`,
+      [menuItemId]
+    );
+    return Boolean(row);
+  },
+
+  async addFavorite(database, menuItemId) {
+    await database.runAsync(
+      `INSERT OR IGNORE INTO favorites (item_key) SELECT ${MENU_ITEM_KEY_SQL} FROM menu WHERE menu.id = ?`,
+      [menuItemId]
+    );
+  },
+
+  async removeFavorite(database, menuItemId) {
+    await database.runAsync(
+      `DELETE FROM favorites WHERE item_key = (SELECT ${MENU_ITEM_KEY_SQL} FROM menu WHERE menu.id = ?)`,
+      [menuItemId]
+    );
+  },
+
+  // Returns whether the dish is a favorite afterwards
+  async toggleFavorite(database, menuItemId) {
+    if (await this.isFavorite(database, menuItemId)) {
+      await this.removeFavorite(database, menuItemId);
+      return false;
+    }
+    await this.addFavorite(database, menuItemId);
+    return true;
+  },
+};
+
+export default FavoriteOperations;
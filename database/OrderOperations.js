@@ -0,0 +1,107 @@
+import { CANCELLED, FINAL_STATUSES, isFinalStatus } from '../services/orderStatus/statuses';
+import CartOperations from './CartOperations';
+
+const OrderOperations = {
+  // Turns the cart `lines` that were paid for into an order and removes them
+  // from the cart, atomically. The lines and `totals` are passed in rather than
+  // re-read, so a menu sync during payment cannot change what the order says
+  // was charged. Returns the new order id.
+  async createOrderFromCart(database, { lines, totals, currency, deliveryAddress, contactPhone, paymentReference }) {
+    let orderId;
+    const placedAt = new Date().toISOString();
+
+    await database.withTransactionAsync(async () => {
+      const result = await database.runAsync(
+        `INSERT INTO orders (status, subtotal, tax, tip, total, currency, delivery_address, contact_phone, payment_reference, placed_at)
+         VALUES ('placed', ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [totals.subtotal, totals.tax, totals.tip, totals.total, currency, deliveryAddress, contactPhone, paymentReference, placedAt]
+      );
+      orderId = result.lastInsertRowId;
+
+      // Unit prices include the chosen options, which are kept as text so the
+      // order still reads correctly after the menu changes
+      for (const line of lines) {
+        await database.runAsync(
+          `INSERT INTO order_items (order_id, menu_item_id, name, unit_price, quantity, options, instructions)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [orderId, line.menuItemId, line.name, line.price, line.quantity, line.optionsSummary || null, line.instructions]
+        );
+      }
+      await database.runAsync(
+        'INSERT INTO order_status_events (order_id, status, created_at) VALUES (?, ?, ?)',
+        [orderId, 'placed', placedAt]
+      );
+      for (const line of lines) {
+        await CartOperations.deleteItem(database, line.id);
+      }
+    });
+
+    return orderId;
+  },
+
+  async getOrders(database) {
+    return await database.getAllAsync(`
+      SELECT orders.*, COALESCE(SUM(order_items.quantity), 0) AS itemCount
+      FROM orders
+      LEFT JOIN order_items ON order_items.order_id = orders.id
+      GROUP BY orders.id
+      ORDER BY orders.placed_at DESC
+    `);
+  },
+
+  async getActiveOrders(database) {
+    const placeholders = FINAL_STATUSES.map(() => '?').join(', ');
+    return await database.getAllAsync(
+      `SELECT * FROM orders WHERE status NOT IN (${placeholders}) ORDER BY placed_at`,
+      FINAL_STATUSES
+    );
+  },
+
+  // Returns the order with its `items` and status `events`, or null
+  async getOrderById(database, orderId) {
+    const order = await database.getFirstAsync('SELECT * FROM orders WHERE id = ?', [orderId]);
+    if (!order) return null;
+
+    const items = await database.getAllAsync(
+      'SELECT * FROM order_items WHERE order_id = ? ORDER BY id',
+      [orderId]
+    );
+    const events = await database.getAllAsync(
+      'SELECT status, created_at FROM order_status_events WHERE order_id = ? ORDER BY created_at, id',
+      [orderId]
+    );
+
+    return { ...order, items, events };
+  },
+
+  // Records status changes reported by an order status source. An order that
+  // has already been delivered or cancelled keeps its status, so an update
+  // fetched before a cancellation cannot undo it.
+  async applyStatusUpdates(database, orderId, updates) {
+    if (updates.length === 0) return;
+
+    await database.withTransactionAsync(async () => {
+      const order = await database.getFirstAsync('SELECT status FROM orders WHERE id = ?', [orderId]);
+      if (!order || isFinalStatus(order.status)) return;
+
+      for (const update of updates) {
+        await database.runAsync(
+          'INSERT INTO order_status_events (order_id, status, created_at) VALUES (?, ?, ?)',
+          [orderId, update.status, update.at]
+        );
+      }
+      await database.runAsync(
+        'UPDATE orders SET status = ? WHERE id = ?',
+        [updates[updates.length - 1].status, orderId]
+      );
+    });
+  },
+
+  async cancelOrder(database, orderId) {
+    await this.applyStatusUpdates(database, orderId, [
+      { status: CANCELLED, at: new Date().toISOString() },
+    ]);
+  },
+};
+
+export default OrderOperations;
@@ -0,0 +1,70 @@
+import { findTableForSlot } from '../utils/reservations';
+
+export class SlotUnavailableError extends Error {
+  constructor(message = 'That time is no longer available.') {
+    super(message);
+    this.name = 'SlotUnavailableError';
+  }
+}
+
+const ReservationOperations = {
+  // Booked reservations on a day, optionally leaving one out (the one being modified)
+  async getReservationsForDate(database, date, excludeId = null) {
+    return await database.getAllAsync(
+      "SELECT * FROM reservations WHERE date = ? AND status = 'booked' AND id IS NOT ?",
+      [date, excludeId]
+    );
+  },
+
+  async getUpcomingReservations(database, today) {
+    return await database.getAllAsync(
+      "SELECT * FROM reservations WHERE date >= ? AND status = 'booked' ORDER BY date, time",
+      [today]
+    );
+  },
+
+  async getReservationById(database, id) {
+    return await database.getFirstAsync('SELECT * FROM reservations WHERE id = ?', [id]);
+  },
+
+  // Creates a reservation, or moves an existing one when `id` is given. The
+  // slot is re-checked inside the transaction so two bookings cannot take the
+  // last table. Throws SlotUnavailableError when no table is free.
+  async saveReservation(database, { id = null, date, time, partySize }) {
+    let reservationId = id;
+
+    await database.withTransactionAsync(async () => {
+      const booked = await this.getReservationsForDate(database, date, id);
+      const tableSeats = findTableForSlot(time, partySize, booked);
+      if (tableSeats === null) {
+        throw new SlotUnavailableError();
+      }
+
+      const now = new Date().toISOString();
+      if (id) {
+        await database.runAsync(
+          'UPDATE reservations SET date = ?, time = ?, party_size = ?, table_seats = ?, updated_at = ? WHERE id = ?',
+          [date, time, partySize, tableSeats, now, id]
+        );
+      } else {
+        const result = await database.runAsync(
+          `INSERT INTO reservations (date, time, party_size, table_seats, status, created_at, updated_at)
+           VALUES (?, ?, ?, ?, 'booked', ?, ?)`,
+          [date, time, partySize, tableSeats, now, now]
+        );
+        reservationId = result.lastInsertRowId;
+      }
+    });
+
+    return reservationId;
+  },
+
+  async cancelReservation(database, id) {
+    await database.runAsync(
+      "UPDATE reservations SET status = 'cancelled', updated_at = ? WHERE id = ?",
+      [new Date().toISOString(), id]
+    );
+  },
+};
+
+export default ReservationOperations;
@@ -0,0 +1,246 @@
+// Ordered schema migrations for the little_lemon database.
+//
+// Each step runs inside its own transaction together with the
+// `PRAGMA user_version` bump, so a failing step leaves the database at the
+// last version that was applied successfully. Never edit a migration that has
+// shipped; append a new one instead.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Create menu tables',
+    // Installs that predate migrations already have these tables at user_version 0
+    up: async (database) => {
+      await database.execAsync(`
+        CREATE TABLE IF NOT EXISTS menu (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          price REAL NOT NULL,
+          description TEXT,
+          image TEXT,
+          category TEXT
+        );
+        CREATE TABLE IF NOT EXISTS menu_meta (
+          key TEXT PRIMARY KEY NOT NULL,
+          value TEXT
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'Add full-text search index over the menu',
+    // External-content FTS5 table kept in step with `menu` by triggers
+    up: async (database) => {
+      await database.execAsync(`
+        CREATE VIRTUAL TABLE menu_fts USING fts5(
+          name,
+          description,
+          category,
+          content='menu',
+          content_rowid='id',
+          tokenize='unicode61 remove_diacritics 2'
+        );
+        CREATE TRIGGER menu_fts_after_insert AFTER INSERT ON menu BEGIN
+          INSERT INTO menu_fts (rowid, name, description, category)
+          VALUES (new.id, new.name, new.description, new.category);
+        END;
+        CREATE TRIGGER menu_fts_after_delete AFTER DELETE ON menu BEGIN
+          INSERT INTO menu_fts (menu_fts, rowid, name, description, category)
+          VALUES ('delete', old.id, old.name, old.description, old.category);
+        END;
+        CREATE TRIGGER menu_fts_after_update AFTER UPDATE ON menu BEGIN
+          INSERT INTO menu_fts (menu_fts, rowid, name, description, category)
+          VALUES ('delete', old.id, old.name, old.description, old.category);
+          INSERT INTO menu_fts (rowid, name, description, category)
+          VALUES (new.id, new.name, new.description, new.category);
+        END;
+        INSERT INTO menu_fts (menu_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: 'Create cart table',
+    up: async (database) => {
+      await database.execAsync(`
+        CREATE TABLE cart_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          menu_item_id INTEGER NOT NULL REFERENCES menu (id) ON DELETE CASCADE,
+          quantity INTEGER NOT NULL CHECK (quantity > 0),
+          added_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+        CREATE UNIQUE INDEX cart_items_menu_item ON cart_items (menu_item_id);
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: 'Create order tables',
+    // order_items keeps a snapshot of each dish so history survives menu syncs
+    up: async (database) => {
+      await database.execAsync(`
+        CREATE TABLE orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          status TEXT NOT NULL,
+          subtotal REAL NOT NULL,
+          tax REAL NOT NULL,
+          tip REAL NOT NULL,
+          total REAL NOT NULL,
+          currency TEXT NOT NULL,
+          delivery_address TEXT NOT NULL,
+          contact_phone TEXT,
+          payment_reference TEXT,
+          placed_at TEXT NOT NULL
+        );
+        CREATE TABLE order_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+          menu_item_id INTEGER,
+          name TEXT NOT NULL,
+          unit_price REAL NOT NULL,
+          quantity INTEGER NOT NULL CHECK (quantity > 0)
+        );
+        CREATE INDEX order_items_order ON order_items (order_id);
+        CREATE TABLE order_status_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+          status TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX order_status_events_order ON order_status_events (order_id, created_at);
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: 'Create reservations table',
+    // `date` is a local calendar day (YYYY-MM-DD) and `time` a local HH:MM
+    up: async (database) => {
+      await database.execAsync(`
+        CREATE TABLE reservations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          time TEXT NOT NULL,
+          party_size INTEGER NOT NULL CHECK (party_size > 0),
+          table_seats INTEGER NOT NULL,
+          status TEXT NOT NULL DEFAULT 'booked',
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX reservations_date ON reservations (date, status);
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: 'Create favorites table',
+    // Keyed by dish name rather than menu.id so a favorite outlives the dish
+    // dropping off the menu for a sync or two
+    up: async (database) => {
+      await database.execAsync(`
+        CREATE TABLE favorites (
+          item_key TEXT PRIMARY KEY,
+          created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: 'Create menu tags table',
+    up: async (database) => {
+      // Forgetting the last sync makes the app re-sync on launch, which tags
+      // the dishes already stored
+      await database.execAsync(`
+        CREATE TABLE menu_tags (
+          menu_item_id INTEGER NOT NULL REFERENCES menu (id) ON DELETE CASCADE,
+          tag TEXT NOT NULL,
+          PRIMARY KEY (menu_item_id, tag)
+        );
+        CREATE INDEX menu_tags_tag ON menu_tags (tag);
+        DELETE FROM menu_meta WHERE key = 'lastUpdated';
+      `);
+    },
+  },
+  {
+    version: 8,
+    name: 'Add cached image paths to menu',
+    // Paths are relative to the app's document directory
+    up: async (database) => {
+      await database.execAsync(`
+        ALTER TABLE menu ADD COLUMN image_path TEXT;
+        ALTER TABLE menu ADD COLUMN thumbnail_path TEXT;
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: 'Add dish modifiers and configured cart lines',
+    // A dish may now sit in the cart more than once, one line per distinct set
+    // of choices. `configuration_key` is '' for a dish ordered as it comes.
+    // Order items keep a readable copy of the choices, like their name.
+    up: async (database) => {
+      await database.execAsync(`
+        ALTER TABLE menu ADD COLUMN modifiers TEXT;
+
+        DROP INDEX cart_items_menu_item;
+        ALTER TABLE cart_items ADD COLUMN options TEXT;
+        ALTER TABLE cart_items ADD COLUMN instructions TEXT;
+        ALTER TABLE cart_items ADD COLUMN configuration_key TEXT NOT NULL DEFAULT '';
+        CREATE UNIQUE INDEX cart_items_configuration ON cart_items (menu_item_id, configuration_key);
+
+        ALTER TABLE order_items ADD COLUMN options TEXT;
+        ALTER TABLE order_items ADD COLUMN instructions TEXT;
+
+        -- Resync so existing dishes pick up their modifiers
+        DELETE FROM menu_meta WHERE key = 'lastUpdated';
+      `);
+    },
+  },
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export class MigrationError extends Error {
+  constructor(message, { version = null, cause = null } = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.version = version;
+    this.cause = cause;
+  }
+}
+
+export const getSchemaVersion = async (database) => {
+  const row = await database.getFirstAsync('PRAGMA user_version');
+  return row ? row.user_version : 0;
+};
+
+// Brings the database up to LATEST_SCHEMA_VERSION, one transaction per step.
+export const runMigrations = async (database) => {
+  const currentVersion = await getSchemaVersion(database);
+
+  if (currentVersion > LATEST_SCHEMA_VERSION) {
+    throw new MigrationError(
+      `Database schema version ${currentVersion} is newer than this build supports (${LATEST_SCHEMA_VERSION}).`,
+      { version: currentVersion }
+    );
+  }
+
+  const pending = MIGRATIONS.filter((migration) => migration.version > currentVersion);
+
+  for (const migration of pending) {
+    try {
+      await database.withTransactionAsync(async () => {
+        await migration.up(database);
+        // PRAGMA does not accept bound parameters
+        await database.execAsync(`PRAGMA user_version = ${migration.version}`);
+      });
+      console.log(`Applied migration ${migration.version}: ${migration.name}`);
+    } catch (error) {
+      throw new MigrationError(
+        `Migration ${migration.version} (${migration.name}) failed: ${error.message}`,
+        { version: migration.version, cause: error }
+      );
+    }
+  }
+};
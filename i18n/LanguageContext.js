@@ -0,0 +1,64 @@
+import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEVICE_LANGUAGE, resolveLanguage, setLanguage, translate } from './index';
+
+const LANGUAGE_STORAGE_KEY = 'language';
+
+const LanguageContext = createContext(null);
+
+// Holds the chosen language: a code from LANGUAGES, or DEVICE_LANGUAGE to
+// follow the device. The choice outlives logging out, like other device settings.
+export const LanguageProvider = ({ children }) => {
+  const [preference, setPreference] = useState(DEVICE_LANGUAGE);
+  const [language, setResolvedLanguage] = useState(() => {
+    setLanguage(DEVICE_LANGUAGE);
+    return resolveLanguage(DEVICE_LANGUAGE);
+  });
+
+  const applyPreference = (value) => {
+    setLanguage(value);
+    setPreference(value);
+    setResolvedLanguage(resolveLanguage(value));
+  };
+
+  useEffect(() => {
+    loadPreference();
+  }, []);
+
+  const loadPreference = async () => {
+    try {
+      const stored = await AsyncStorage.getItem(LANGUAGE_STORAGE_KEY);
+      if (stored) {
+        applyPreference(stored);
+      }
+    } catch (error) {
+      console.error('Error loading language:', error);
+    }
+  };
+
+  const changeLanguage = useCallback(async (value) => {
+    applyPreference(value);
+    try {
+      await AsyncStorage.setItem(LANGUAGE_STORAGE_KEY, value);
+    } catch (error) {
+      console.error('Error saving language:', error);
+    }
+  }, []);
+
+  const t = useCallback((key, params) => translate(language, key, params), [language]);
+
+  return (
+    <LanguageContext.Provider value={{ language, preference, changeLanguage, t }}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
+
+// { language, preference, changeLanguage, t } for the nearest LanguageProvider
+export const useTranslation = () => {
+  const context = useContext(LanguageContext);
+  if (!context) {
+    throw new Error('useTranslation must be used inside a LanguageProvider');
+  }
+  return context;
+};
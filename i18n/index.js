@@ -0,0 +1,88 @@
+import { getLocales } from 'expo-localization';
+import en from './locales/en';
+import es from './locales/es';
+import el from './locales/el';
+
+// Languages offered in the picker, each labelled in its own language
+export const LANGUAGES = [
+  { code: 'en', label: 'English', catalog: en },
+  { code: 'es', label: 'Español', catalog: es },
+  { code: 'el', label: 'Ελληνικά', catalog: el },
+];
+
+export const FALLBACK_LANGUAGE = 'en';
+
+// Stored in place of a language code when the app follows the device
+export const DEVICE_LANGUAGE = 'device';
+
+const CATALOGS = Object.fromEntries(LANGUAGES.map(language => [language.code, language.catalog]));
+
+export const isSupportedLanguage = (code) => Boolean(CATALOGS[code]);
+
+// The first of the device's preferred languages that the app has a catalog for
+export const getDeviceLanguage = () => {
+  const match = getLocales().find(locale => isSupportedLanguage(locale.languageCode));
+  return match ? match.languageCode : FALLBACK_LANGUAGE;
+};
+
+export const resolveLanguage = (preference) => (
+  isSupportedLanguage(preference) ? preference : getDeviceLanguage()
+);
+
+// The language strings are looked up in. Kept here as well as in
+// LanguageContext so code outside components can translate too.
+let currentLanguage = FALLBACK_LANGUAGE;
+
+export const getLanguage = () => currentLanguage;
+
+export const setLanguage = (code) => {
+  currentLanguage = resolveLanguage(code);
+};
+
+const lookup = (catalog, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+  catalog
+);
+
+const pluralRules = new Map();
+
+// Hermes has shipped without Intl.PluralRules; the one/other split it falls
+// back to is correct for every language above
+const getPluralCategory = (language, count) => {
+  if (typeof Intl === 'undefined' || !Intl.PluralRules) {
+    return count === 1 ? 'one' : 'other';
+  }
+  if (!pluralRules.has(language)) {
+    pluralRules.set(language, new Intl.PluralRules(language));
+  }
+  return pluralRules.get(language).select(count);
+};
+
+const interpolate = (text, params) => text.replace(
+  /\{\{(\w+)\}\}/g,
+  (match, name) => (params[name] != null ? String(params[name]) : match)
+);
+
+// Looks `key` up in `language`, then in English. Plural entries pick their
+// form from `params.count`. An unknown key is returned as-is so it shows up
+// in the UI instead of an empty string.
+export const translate = (language, key, params = {}) => {
+  let value = lookup(CATALOGS[language], key);
+  if (value === undefined && language !== FALLBACK_LANGUAGE) {
+    value = lookup(CATALOGS[FALLBACK_LANGUAGE], key);
+  }
+
+  if (value && typeof value === 'object') {
+    const form = getPluralCategory(language, Number(params.count));
+    value = value[form] ?? value.other;
+  }
+
+  if (typeof value !== 'string') {
+    console.warn(`Missing translation: ${key}`);
+    return key;
+  }
+
+  return interpolate(value, params);
+};
+
+export const t = (key, params) => translate(currentLanguage, key, params);
@@ -0,0 +1,387 @@
+// Greek strings. Missing keys fall back to English.
+export default {
+  common: {
+    cancel: 'Ακύρωση',
+    back: 'Πίσω',
+    close: 'Κλείσιμο',
+    continue: 'Συνέχεια',
+    ok: 'OK',
+    error: 'Σφάλμα',
+    remove: 'Αφαίρεση',
+    restaurantName: 'Little Lemon',
+    location: 'Σικάγο',
+  },
+  app: {
+    welcomeTitle: 'Καλώς ήρθατε στο Little Lemon!',
+    welcomeMessage: 'Γεια σας, {{firstName}}! Ο λογαριασμός σας δημιουργήθηκε με επιτυχία.',
+    getStarted: 'Ας ξεκινήσουμε',
+    saveUserFailed: 'Δεν ήταν δυνατή η αποθήκευση των στοιχείων σας. Δοκιμάστε ξανά.',
+    welcomeBackTitle: 'Καλώς ήρθατε ξανά!',
+    welcomeBackMessage: 'Γεια σας, {{firstName}}! Συνδεθήκατε.',
+  },
+  splash: {
+    tagline: 'Μεσογειακό εστιατόριο',
+    welcomeTo: 'Καλώς ήρθατε στο',
+  },
+  onboarding: {
+    welcome: 'Καλώς ήρθατε!',
+    getStarted: 'Ας ξεκινήσουμε!',
+    nameTitle: 'Πώς σας λένε;',
+    firstName: 'Όνομα',
+    lastName: 'Επώνυμο',
+    emailTitle: 'Χάρηκα για τη γνωριμία!',
+    emailSubtitle: 'Ποιο είναι το email σας; Επιλέξτε και έναν κωδικό πρόσβασης.',
+    email: 'Email',
+    tutorialTitle: 'Ευχαριστούμε! Ας δούμε τώρα τι μπορεί να κάνει η εφαρμογή για εσάς!',
+    tutorialYes: 'Ναι, παρακαλώ!',
+    skipTutorial: 'Παράλειψη οδηγού',
+    password: 'Κωδικός πρόσβασης',
+    haveAccount: 'Έχω ήδη λογαριασμό',
+    signInTitle: 'Καλώς ήρθατε ξανά!',
+    signIn: 'Σύνδεση',
+    createAccount: 'Νέος χρήστης; Δημιουργήστε λογαριασμό',
+    forgotPassword: 'Ξεχάσατε τον κωδικό;',
+    verifyTitle: 'Ελέγξτε το email σας',
+    verifySubtitle: {
+      one: 'Στείλαμε έναν εξαψήφιο κωδικό στο {{email}}. Λήγει σε {{count}} λεπτό.',
+      other: 'Στείλαμε έναν εξαψήφιο κωδικό στο {{email}}. Λήγει σε {{count}} λεπτά.',
+    },
+    verificationCode: 'Κωδικός επαλήθευσης',
+    verify: 'Επαλήθευση email',
+    resendCode: 'Αποστολή νέου κωδικού',
+    resendCodeIn: 'Αποστολή νέου κωδικού σε {{seconds}} δ',
+    skipVerification: 'Παράλειψη επαλήθευσης',
+  },
+  auth: {
+    invalidCredentials: 'Το email ή ο κωδικός πρόσβασης δεν είναι σωστά.',
+    emailTaken: 'Υπάρχει ήδη λογαριασμός με αυτό το email. Συνδεθείτε.',
+    weakPassword: 'Ο κωδικός πρόσβασης δεν πληροί τους κανόνες.',
+    networkError: 'Δεν ήταν δυνατή η σύνδεση με τον διακομιστή. Ελέγξτε τη σύνδεσή σας και δοκιμάστε ξανά.',
+    unknownError: 'Κάτι πήγε στραβά. Δοκιμάστε ξανά.',
+    invalidCode: 'Ο κωδικός επαλήθευσης είναι λάθος ή έχει λήξει. Ζητήστε νέο αν χρειάζεται.',
+    sessionExpired: 'Η συνεδρία σας έληξε. Αποσυνδεθείτε και συνδεθείτε ξανά.',
+  },
+  password: {
+    newPassword: 'Νέος κωδικός πρόσβασης',
+    confirmPassword: 'Επιβεβαίωση νέου κωδικού',
+    mismatch: 'Οι νέοι κωδικοί δεν ταιριάζουν.',
+    rules: {
+      length: {
+        one: 'Τουλάχιστον {{count}} χαρακτήρας',
+        other: 'Τουλάχιστον {{count}} χαρακτήρες',
+      },
+      mixedCase: 'Κεφαλαία και πεζά γράμματα',
+      number: 'Τουλάχιστον ένας αριθμός',
+    },
+    ruleMet: '{{rule}}, ισχύει',
+    ruleNotMet: '{{rule}}, δεν ισχύει ακόμη',
+  },
+  changePassword: {
+    title: 'Αλλαγή κωδικού',
+    currentPassword: 'Τρέχων κωδικός πρόσβασης',
+    currentIncorrect: 'Ο τρέχων κωδικός πρόσβασης δεν είναι σωστός.',
+    sameAsCurrent: 'Επιλέξτε κωδικό διαφορετικό από τον τρέχοντα.',
+    save: 'Αλλαγή κωδικού',
+    successTitle: 'Ο κωδικός άλλαξε',
+    successMessage: 'Οι άλλες συσκευές που είχαν συνδεθεί στον λογαριασμό σας αποσυνδέθηκαν.',
+  },
+  forgotPassword: {
+    title: 'Επαναφορά κωδικού',
+    emailSubtitle: 'Γράψτε το email του λογαριασμού σας και θα σας στείλουμε έναν εξαψήφιο κωδικό.',
+    sendCode: 'Αποστολή κωδικού',
+    codeSubtitle: 'Αν το {{email}} έχει λογαριασμό, του στείλαμε έναν κωδικό. Γράψτε τον μαζί με νέο κωδικό πρόσβασης.',
+    code: 'Κωδικός επαλήθευσης',
+    resend: 'Αποστολή νέου κωδικού',
+    codeResent: 'Στείλαμε νέο κωδικό. Οι προηγούμενοι δεν ισχύουν πια.',
+    reset: 'Επαναφορά κωδικού',
+    successTitle: 'Έγινε επαναφορά του κωδικού',
+    successMessage: 'Συνδεθείτε με τον νέο σας κωδικό πρόσβασης.',
+  },
+  home: {
+    bannerDescription: 'Είμαστε ένα οικογενειακό μεσογειακό εστιατόριο με παραδοσιακές συνταγές και μοντέρνα πινελιά.',
+    searchPlaceholder: 'Αναζήτηση στο μενού...',
+    loadingMenu: 'Φόρτωση μενού...',
+    orderForDelivery: 'ΠΑΡΑΓΓΕΛΙΑ ΓΙΑ ΠΑΡΑΔΟΣΗ!',
+    menuUpdated: 'Το μενού ενημερώθηκε {{time}}',
+    favorites: 'Αγαπημένα',
+    excludeTag: 'Χωρίς {{tag}}',
+    add: 'Προσθήκη',
+    noFavoritesTitle: 'Δεν έχετε αγαπημένα ακόμη',
+    noFavoritesSubtitle: 'Πατήστε την καρδιά σε ένα πιάτο για να το βρίσκετε γρήγορα εδώ',
+    noDishesTitle: 'Δεν βρέθηκαν πιάτα',
+    noDishesSubtitle: 'Δοκιμάστε να αλλάξετε την αναζήτηση, την κατηγορία ή τα διατροφικά φίλτρα',
+    menuUnavailableTitle: 'Το μενού δεν είναι διαθέσιμο',
+    menuUnavailableMessage: 'Λάβαμε ένα μενού που δεν μπορέσαμε να διαβάσουμε, οπότε εμφανίζουμε το τελευταίο αποθηκευμένο μενού.',
+    loadMenuFailed: 'Δεν ήταν δυνατή η φόρτωση του μενού. Ελέγξτε τη σύνδεσή σας στο internet.',
+    addToCartFailed: 'Δεν ήταν δυνατή η προσθήκη του πιάτου στο καλάθι. Δοκιμάστε ξανά.',
+    favoriteFailed: 'Δεν ήταν δυνατή η ενημέρωση των αγαπημένων σας. Δοκιμάστε ξανά.',
+    cart: {
+      one: 'Καλάθι, {{count}} προϊόν',
+      other: 'Καλάθι, {{count}} προϊόντα',
+    },
+    profile: 'Προφίλ',
+    menuOptions: 'Ταξινόμηση και εύρος τιμής',
+    addToFavorites: 'Προσθήκη στα αγαπημένα',
+    removeFromFavorites: 'Αφαίρεση από τα αγαπημένα',
+    addOne: 'Προσθήκη ενός',
+    removeOne: 'Αφαίρεση ενός',
+    inCart: '{{count}} στο καλάθι',
+    results: {
+      one: 'Βρέθηκε {{count}} πιάτο',
+      other: 'Βρέθηκαν {{count}} πιάτα',
+    },
+    resultsOrMore: 'Βρέθηκαν {{count}} ή περισσότερα πιάτα',
+    options: {
+      title: 'Ταξινόμηση και φίλτρα',
+      sortBy: 'Ταξινόμηση κατά',
+      priceRange: 'Εύρος τιμής',
+      min: 'Ελάχ.',
+      max: 'Μέγ.',
+      minPrice: 'Ελάχιστη τιμή',
+      maxPrice: 'Μέγιστη τιμή',
+      reset: 'Επαναφορά',
+      apply: 'Εφαρμογή',
+    },
+    sort: {
+      name: 'Όνομα (Α–Ω)',
+      price_asc: 'Τιμή: από χαμηλή σε υψηλή',
+      price_desc: 'Τιμή: από υψηλή σε χαμηλή',
+      newest: 'Νεότερα',
+      most_ordered: 'Πιο δημοφιλή',
+    },
+  },
+  dietary: {
+    vegetarian: 'Χορτοφαγικό',
+    vegan: 'Vegan',
+    'gluten-free': 'Χωρίς γλουτένη',
+    nuts: 'Ξηροί καρποί',
+    dairy: 'Γαλακτοκομικά',
+    eggs: 'Αυγά',
+    fish: 'Ψάρι',
+    spicy: 'Πικάντικο',
+  },
+  menuItem: {
+    title: 'Πιάτο',
+    notFoundTitle: 'Το πιάτο δεν βρέθηκε',
+    notFoundSubtitle: 'Ίσως δεν υπάρχει πια στο μενού.',
+    description: 'Περιγραφή',
+    noDescription: 'Δεν υπάρχει διαθέσιμη περιγραφή.',
+    dietaryInformation: 'Διατροφικές πληροφορίες',
+    instructions: 'Ειδικές οδηγίες',
+    instructionsPlaceholder: 'Αλλεργίες, σάλτσα χωριστά κ.λπ.',
+    addToCart: 'Προσθήκη στο καλάθι · {{price}}',
+    addedTitle: 'Προστέθηκε στο καλάθι',
+    addedMessage: 'Το {{name}} προστέθηκε στο καλάθι σας.',
+    keepBrowsing: 'Συνέχεια περιήγησης',
+    viewCart: 'Προβολή καλαθιού',
+  },
+  modifiers: {
+    required: 'Υποχρεωτικό',
+    optional: 'Προαιρετικό',
+    chooseExactly: 'Επιλέξτε {{count}}',
+    chooseRange: 'Επιλέξτε από {{min}} έως {{max}}',
+    optionalUpTo: 'Προαιρετικό · έως {{count}}',
+    chooseOne: 'Επιλέξτε ένα',
+    chooseAtLeast: 'Επιλέξτε τουλάχιστον {{count}}',
+    chooseUpTo: 'Επιλέξτε έως {{count}}',
+  },
+  totals: {
+    subtotal: 'Μερικό σύνολο',
+    tax: 'Φόρος',
+    tip: 'Φιλοδώρημα',
+    total: 'Σύνολο',
+  },
+  cart: {
+    title: 'Το καλάθι σας',
+    each: '{{price}} το ένα',
+    removeItem: 'Αφαίρεση: {{name}}',
+    oneLess: 'Ένα λιγότερο: {{name}}',
+    oneMore: 'Ένα ακόμη: {{name}}',
+    quantity: 'Ποσότητα {{count}}',
+    emptyTitle: 'Το καλάθι σας είναι άδειο',
+    emptySubtitle: 'Προσθέστε πιάτα από το μενού για παράδοση στο σπίτι.',
+    browseMenu: 'Δείτε το μενού',
+    checkout: 'Ολοκλήρωση παραγγελίας',
+    removeTitle: 'Αφαίρεση πιάτου',
+    removeMessage: 'Να αφαιρεθεί το {{name}} από το καλάθι σας;',
+    updateFailed: 'Δεν ήταν δυνατή η ενημέρωση του καλαθιού σας. Δοκιμάστε ξανά.',
+  },
+  checkout: {
+    title: 'Ολοκλήρωση παραγγελίας',
+    deliveryAddress: 'Διεύθυνση παράδοσης',
+    street: 'Οδός και αριθμός',
+    streetPlaceholder: '123 Main St',
+    apartment: 'Διαμέρισμα, όροφος (προαιρετικό)',
+    apartmentPlaceholder: 'Διαμ. 4Β',
+    city: 'Πόλη',
+    zipCode: 'Ταχυδρομικός κώδικας',
+    contactPhone: 'Τηλέφωνο επικοινωνίας',
+    noTip: 'Χωρίς φιλοδώρημα',
+    payment: 'Πληρωμή',
+    cardName: 'Όνομα στην κάρτα',
+    cardNamePlaceholder: 'Ονοματεπώνυμο',
+    cardNumber: 'Αριθμός κάρτας',
+    expiry: 'Λήξη',
+    expiryPlaceholder: 'ΜΜ/ΕΕ',
+    cvc: 'CVC',
+    placeOrder: 'Υποβολή παραγγελίας · {{total}}',
+    placeOrderLabel: 'Υποβολή παραγγελίας, {{total}}',
+    errors: {
+      address: 'Εισαγάγετε τη διεύθυνση παράδοσης.',
+      zipCode: 'Εισαγάγετε έναν έγκυρο ταχυδρομικό κώδικα.',
+      phone: 'Εισαγάγετε έναν έγκυρο 10ψήφιο αριθμό τηλεφώνου, ώστε να σας βρει ο διανομέας.',
+      cardName: 'Εισαγάγετε το όνομα που αναγράφεται στην κάρτα.',
+      cardNumber: 'Εισαγάγετε έναν έγκυρο αριθμό κάρτας.',
+      expiry: 'Εισαγάγετε έγκυρη ημερομηνία λήξης (ΜΜ/ΕΕ).',
+      cvc: 'Εισαγάγετε τον 3ψήφιο ή 4ψήφιο κωδικό ασφαλείας.',
+    },
+    cartChangedTitle: 'Το καλάθι σας άλλαξε',
+    cartChangedMessage: 'Ενημερώθηκαν κάποιες τιμές ή πιάτα του μενού. Ελέγξτε την παραγγελία σας πριν πληρώσετε.',
+    loadCartFailed: 'Δεν ήταν δυνατή η φόρτωση του καλαθιού σας. Δοκιμάστε ξανά.',
+    paymentFailed: 'Η πληρωμή απέτυχε',
+    paymentErrors: {
+      declined: 'Η κάρτα σας απορρίφθηκε. Χρησιμοποιήστε άλλη κάρτα.',
+      timeout: 'Δεν λάβαμε απάντηση από τον πάροχο πληρωμών. Ελέγξτε τη σύνδεσή σας και δοκιμάστε ξανά.',
+      invalid_card: 'Ελέγξτε τα στοιχεία της κάρτας σας και δοκιμάστε ξανά.',
+      provider_error: 'Κάτι πήγε στραβά κατά την επεξεργασία της πληρωμής σας. Δοκιμάστε ξανά.',
+    },
+    orderPlacedTitle: 'Η παραγγελία υποβλήθηκε!',
+    orderPlacedMessage: 'Ευχαριστούμε! Μπορείτε να παρακολουθείτε την παραγγελία σας εδώ.',
+    saveOrderFailed: 'Η πληρωμή σας ολοκληρώθηκε, αλλά δεν ήταν δυνατή η αποθήκευση της παραγγελίας. Επικοινωνήστε μαζί μας με τον κωδικό αναφοράς {{reference}}.',
+  },
+  orders: {
+    historyTitle: 'Ιστορικό παραγγελιών',
+    detailTitle: 'Λεπτομέρειες παραγγελίας',
+    orderNumber: 'Παραγγελία #{{id}}',
+    itemCount: {
+      one: '{{count}} προϊόν',
+      other: '{{count}} προϊόντα',
+    },
+    emptyTitle: 'Δεν υπάρχουν ακόμη παραγγελίες',
+    emptySubtitle: 'Οι παραγγελίες σας για παράδοση θα εμφανίζονται εδώ.',
+    notFound: 'Η παραγγελία δεν βρέθηκε',
+    placedAt: 'Υποβλήθηκε {{time}}',
+    status: 'Κατάσταση',
+    items: 'Προϊόντα',
+    delivery: 'Παράδοση',
+    timelineStates: {
+      done: 'ολοκληρώθηκε',
+      current: 'σε εξέλιξη',
+      pending: 'όχι ακόμη',
+      cancelled: 'ακυρώθηκε',
+    },
+    cancelOrder: 'Ακύρωση παραγγελίας',
+    keepOrder: 'Διατήρηση παραγγελίας',
+    cancelTitle: 'Ακύρωση παραγγελίας',
+    cancelMessage: 'Θέλετε σίγουρα να ακυρώσετε αυτή την παραγγελία;',
+    tooLateTitle: 'Πολύ αργά',
+    tooLateMessage: 'Η κουζίνα έχει ήδη ξεκινήσει αυτή την παραγγελία.',
+    cancelFailed: 'Δεν ήταν δυνατή η ακύρωση της παραγγελίας. Δοκιμάστε ξανά.',
+  },
+  orderStatus: {
+    placed: 'Υποβλήθηκε',
+    preparing: 'Σε προετοιμασία',
+    out_for_delivery: 'Καθ’ οδόν',
+    delivered: 'Παραδόθηκε',
+    cancelled: 'Ακυρώθηκε',
+  },
+  reservations: {
+    reserveTitle: 'Κράτηση τραπεζιού',
+    changeTitle: 'Αλλαγή κράτησης',
+    date: 'Ημερομηνία',
+    partySize: 'Αριθμός ατόμων',
+    fewerGuests: 'Λιγότερα άτομα',
+    moreGuests: 'Περισσότερα άτομα',
+    largeParty: 'Για παρέες άνω των {{count}} ατόμων, τηλεφωνήστε στο εστιατόριο.',
+    time: 'Ώρα',
+    noTimes: 'Δεν υπάρχουν άλλες διαθέσιμες ώρες αυτή την ημέρα.',
+    slotUnavailable: '{{time}}, μη διαθέσιμη',
+    confirm: 'Επιβεβαίωση κράτησης',
+    saveChanges: 'Αποθήκευση αλλαγών',
+    reservedTitle: 'Το τραπέζι κρατήθηκε!',
+    updatedTitle: 'Η κράτηση ενημερώθηκε',
+    confirmation: '{{date}} στις {{time}} για {{guests}}.',
+    unavailableTitle: 'Μη διαθέσιμο',
+    unavailableMessage: 'Λυπούμαστε, αυτή η ώρα μόλις κρατήθηκε. Επιλέξτε άλλη.',
+    saveFailed: 'Δεν ήταν δυνατή η αποθήκευση της κράτησης. Δοκιμάστε ξανά.',
+  },
+  databaseRecovery: {
+    title: 'Δεν ήταν δυνατή η ενημέρωση των δεδομένων της εφαρμογής',
+    subtitle: 'Κάτι πήγε στραβά κατά την αναβάθμιση της τοπικής βάσης δεδομένων. Μπορείτε να δοκιμάσετε ξανά ή να την επαναφέρετε για να ξεκινήσετε από την αρχή.',
+    tryAgain: 'Δοκιμάστε ξανά',
+    resetDatabase: 'Επαναφορά βάσης δεδομένων',
+    retryFailedTitle: 'Εξακολουθεί να μη λειτουργεί',
+    retryFailedMessage: 'Δεν ήταν δυνατή η ενημέρωση της βάσης δεδομένων. Μπορείτε να την επαναφέρετε για να ξεκινήσετε από την αρχή.',
+    resetTitle: 'Επαναφορά βάσης δεδομένων',
+    resetMessage: 'Θα διαγραφούν το μενού και τα δεδομένα της εφαρμογής που είναι αποθηκευμένα στη συσκευή. Το μενού θα ληφθεί ξανά. Συνέχεια;',
+    reset: 'Επαναφορά',
+    resetFailed: 'Δεν ήταν δυνατή η επαναφορά της βάσης δεδομένων. Εγκαταστήστε ξανά την εφαρμογή.',
+  },
+  profile: {
+    headerTitle: 'LITTLE LEMON',
+    personalInformation: 'Προσωπικά στοιχεία',
+    avatar: 'Φωτογραφία προφίλ',
+    change: 'Αλλαγή',
+    firstName: 'Όνομα',
+    firstNamePlaceholder: 'Εισαγάγετε το όνομά σας',
+    lastName: 'Επώνυμο',
+    lastNamePlaceholder: 'Εισαγάγετε το επώνυμό σας',
+    email: 'Email',
+    emailVerified: 'Επαληθευμένο',
+    emailReadOnly: 'Είναι το email με το οποίο συνδέεστε, οπότε δεν μπορεί να αλλάξει εδώ.',
+    phoneNumber: 'Τηλέφωνο',
+    orders: 'Παραγγελίες',
+    orderHistory: 'Ιστορικό παραγγελιών',
+    security: 'Ασφάλεια',
+    changePassword: 'Αλλαγή κωδικού',
+    reservations: 'Κρατήσεις',
+    guests: {
+      one: '{{count}} άτομο',
+      other: '{{count}} άτομα',
+    },
+    modify: 'Αλλαγή',
+    changePhoto: 'Αλλαγή φωτογραφίας',
+    removePhoto: 'Αφαίρεση φωτογραφίας',
+    modifyReservationOn: 'Αλλαγή της κράτησης στις {{date}}',
+    cancelReservationOn: 'Ακύρωση της κράτησης στις {{date}}',
+    reserveTable: 'Κράτηση τραπεζιού',
+    language: 'Γλώσσα',
+    deviceLanguage: 'Γλώσσα συσκευής ({{language}})',
+    appearance: 'Εμφάνιση',
+    colorSchemes: {
+      system: 'Όπως η συσκευή',
+      light: 'Φωτεινό',
+      dark: 'Σκούρο',
+    },
+    emailNotifications: 'Ειδοποιήσεις email',
+    notifications: {
+      orderStatuses: 'Κατάσταση παραγγελιών',
+      passwordChanges: 'Αλλαγές κωδικού',
+      specialOffers: 'Ειδικές προσφορές',
+      newsletter: 'Ενημερωτικό δελτίο',
+    },
+    logOut: 'Αποσύνδεση',
+    discardChanges: 'Απόρριψη αλλαγών',
+    saveChanges: 'Αποθήκευση αλλαγών',
+    permissionTitle: 'Απαιτείται άδεια',
+    permissionMessage: 'Χρειαζόμαστε πρόσβαση στις φωτογραφίες σας για να επιλέξετε φωτογραφία προφίλ.',
+    cancelReservationTitle: 'Ακύρωση κράτησης',
+    cancelReservationMessage: 'Ακύρωση του τραπεζιού σας στις {{date}}, {{time}};',
+    keep: 'Διατήρηση',
+    cancelReservation: 'Ακύρωση κράτησης',
+    cancelReservationFailed: 'Δεν ήταν δυνατή η ακύρωση της κράτησης. Δοκιμάστε ξανά.',
+    pickImageFailed: 'Δεν ήταν δυνατή η επιλογή εικόνας. Δοκιμάστε ξανά.',
+    removePhotoTitle: 'Αφαίρεση φωτογραφίας',
+    removePhotoMessage: 'Θέλετε σίγουρα να αφαιρέσετε τη φωτογραφία προφίλ σας;',
+    requiredFields: 'Το όνομα είναι υποχρεωτικό.',
+    invalidPhone: 'Εισαγάγετε έναν έγκυρο 10ψήφιο αριθμό τηλεφώνου.',
+    successTitle: 'Επιτυχία',
+    saved: 'Οι αλλαγές σας αποθηκεύτηκαν με επιτυχία!',
+    saveFailed: 'Δεν ήταν δυνατή η αποθήκευση των αλλαγών. Δοκιμάστε ξανά.',
+    discardTitle: 'Απόρριψη αλλαγών',
+    discardMessage: 'Θέλετε σίγουρα να απορρίψετε όλες τις μη αποθηκευμένες αλλαγές;',
+    discard: 'Απόρριψη',
+    logOutTitle: 'Αποσύνδεση',
+    logOutMessage: 'Θέλετε σίγουρα να αποσυνδεθείτε; Όλες οι μη αποθηκευμένες αλλαγές θα χαθούν.',
+  },
+};
@@ -0,0 +1,392 @@
+// English strings. This catalog is the fallback for keys missing from the
+// others, so every key used in the app must exist here.
+//
+// `{{name}}` is replaced with the matching parameter. A key whose value is an
+// object is plural: the form is picked from `count` (one, other, and for
+// languages that need them few and many).
+export default {
+  common: {
+    cancel: 'Cancel',
+    back: 'Back',
+    close: 'Close',
+    continue: 'Continue',
+    ok: 'OK',
+    error: 'Error',
+    remove: 'Remove',
+    restaurantName: 'Little Lemon',
+    location: 'Chicago',
+  },
+  app: {
+    welcomeTitle: 'Welcome to Little Lemon!',
+    welcomeMessage: 'Hello {{firstName}}! Your account has been created successfully.',
+    getStarted: 'Get Started',
+    saveUserFailed: 'Failed to save your information. Please try again.',
+    welcomeBackTitle: 'Welcome back!',
+    welcomeBackMessage: 'Hello {{firstName}}! You are signed in.',
+  },
+  splash: {
+    tagline: 'Mediterranean Restaurant',
+    welcomeTo: 'Welcome to',
+  },
+  onboarding: {
+    welcome: 'Welcome!',
+    getStarted: "Let's get started!",
+    nameTitle: "What's your name?",
+    firstName: 'First Name',
+    lastName: 'Last Name',
+    emailTitle: 'Nice to meet you!',
+    emailSubtitle: 'How about your email address and a password?',
+    email: 'Email',
+    tutorialTitle: "Thanks! Now let's find out what this app can do for you!",
+    tutorialYes: 'Yes please!',
+    skipTutorial: 'Skip tutorial',
+    password: 'Password',
+    haveAccount: 'I already have an account',
+    signInTitle: 'Welcome back!',
+    signIn: 'Log in',
+    createAccount: 'New here? Create an account',
+    forgotPassword: 'Forgot password?',
+    verifyTitle: 'Check your email',
+    verifySubtitle: {
+      one: 'We sent a 6-digit code to {{email}}. It expires in {{count}} minute.',
+      other: 'We sent a 6-digit code to {{email}}. It expires in {{count}} minutes.',
+    },
+    verificationCode: 'Verification code',
+    verify: 'Verify email',
+    resendCode: 'Send a new code',
+    resendCodeIn: 'Send a new code in {{seconds}}s',
+    skipVerification: 'Skip verification',
+  },
+  auth: {
+    invalidCredentials: 'The email or password is incorrect.',
+    emailTaken: 'An account with this email already exists. Log in instead.',
+    weakPassword: 'The password does not meet the rules.',
+    networkError: 'Could not reach the server. Check your connection and try again.',
+    unknownError: 'Something went wrong. Please try again.',
+    invalidCode: 'The code is wrong or has expired. Request a new one if needed.',
+    sessionExpired: 'Your session has ended. Please log out and log in again.',
+  },
+  password: {
+    newPassword: 'New password',
+    confirmPassword: 'Confirm new password',
+    mismatch: 'The new passwords do not match.',
+    rules: {
+      length: {
+        one: 'At least {{count}} character',
+        other: 'At least {{count}} characters',
+      },
+      mixedCase: 'Upper and lower case letters',
+      number: 'At least one number',
+    },
+    ruleMet: '{{rule}}, done',
+    ruleNotMet: '{{rule}}, not yet',
+  },
+  changePassword: {
+    title: 'Change password',
+    currentPassword: 'Current password',
+    currentIncorrect: 'Your current password is incorrect.',
+    sameAsCurrent: 'Choose a password different from your current one.',
+    save: 'Change password',
+    successTitle: 'Password changed',
+    successMessage: 'Other devices signed in to your account have been logged out.',
+  },
+  forgotPassword: {
+    title: 'Reset password',
+    emailSubtitle: "Enter your account's email and we will send you a 6-digit code.",
+    sendCode: 'Send code',
+    codeSubtitle: 'If {{email}} has an account, a code is on its way. Enter it with a new password.',
+    code: 'Code',
+    resend: 'Send a new code',
+    codeResent: 'A new code is on its way. Earlier codes no longer work.',
+    reset: 'Reset password',
+    successTitle: 'Password reset',
+    successMessage: 'Log in with your new password.',
+  },
+  home: {
+    bannerDescription: 'We are a family owned Mediterranean restaurant, focused on traditional recipes served with a modern twist.',
+    searchPlaceholder: 'Search menu...',
+    loadingMenu: 'Loading menu...',
+    orderForDelivery: 'ORDER FOR DELIVERY!',
+    menuUpdated: 'Menu updated {{time}}',
+    favorites: 'Favorites',
+    excludeTag: 'No {{tag}}',
+    add: 'Add',
+    noFavoritesTitle: 'No favorites yet',
+    noFavoritesSubtitle: 'Tap the heart on a dish to find it here quickly',
+    noDishesTitle: 'No dishes found',
+    noDishesSubtitle: 'Try adjusting your search, category or dietary filters',
+    menuUnavailableTitle: 'Menu Unavailable',
+    menuUnavailableMessage: 'We received a menu we could not read, so we are showing the last saved menu.',
+    loadMenuFailed: 'Failed to load menu data. Please check your internet connection.',
+    addToCartFailed: 'Failed to add this dish to your cart. Please try again.',
+    favoriteFailed: 'Failed to update your favorites. Please try again.',
+    cart: {
+      one: 'Cart, {{count}} item',
+      other: 'Cart, {{count}} items',
+    },
+    profile: 'Profile',
+    menuOptions: 'Sort and price range',
+    addToFavorites: 'Add to favorites',
+    removeFromFavorites: 'Remove from favorites',
+    addOne: 'Add one',
+    removeOne: 'Remove one',
+    inCart: '{{count}} in cart',
+    results: {
+      one: '{{count}} dish found',
+      other: '{{count}} dishes found',
+    },
+    resultsOrMore: '{{count}} or more dishes found',
+    options: {
+      title: 'Sort & filter',
+      sortBy: 'Sort by',
+      priceRange: 'Price range',
+      min: 'Min',
+      max: 'Max',
+      minPrice: 'Minimum price',
+      maxPrice: 'Maximum price',
+      reset: 'Reset',
+      apply: 'Apply',
+    },
+    sort: {
+      name: 'Name (A–Z)',
+      price_asc: 'Price: low to high',
+      price_desc: 'Price: high to low',
+      newest: 'Newest',
+      most_ordered: 'Most ordered',
+    },
+  },
+  dietary: {
+    vegetarian: 'Vegetarian',
+    vegan: 'Vegan',
+    'gluten-free': 'Gluten-free',
+    nuts: 'Nuts',
+    dairy: 'Dairy',
+    eggs: 'Eggs',
+    fish: 'Fish',
+    spicy: 'Spicy',
+  },
+  menuItem: {
+    title: 'Dish',
+    notFoundTitle: 'Dish not found',
+    notFoundSubtitle: 'It may no longer be on the menu.',
+    description: 'Description',
+    noDescription: 'No description available.',
+    dietaryInformation: 'Dietary information',
+    instructions: 'Special instructions',
+    instructionsPlaceholder: 'Allergies, dressing on the side, etc.',
+    addToCart: 'Add to cart · {{price}}',
+    addedTitle: 'Added to Cart',
+    addedMessage: '{{name}} was added to your cart.',
+    keepBrowsing: 'Keep browsing',
+    viewCart: 'View cart',
+  },
+  modifiers: {
+    required: 'Required',
+    optional: 'Optional',
+    chooseExactly: 'Choose {{count}}',
+    chooseRange: 'Choose {{min}} to {{max}}',
+    optionalUpTo: 'Optional · up to {{count}}',
+    chooseOne: 'Please choose one',
+    chooseAtLeast: 'Please choose at least {{count}}',
+    chooseUpTo: 'Choose up to {{count}}',
+  },
+  totals: {
+    subtotal: 'Subtotal',
+    tax: 'Tax',
+    tip: 'Tip',
+    total: 'Total',
+  },
+  cart: {
+    title: 'Your cart',
+    each: '{{price}} each',
+    removeItem: 'Remove {{name}}',
+    oneLess: 'One less {{name}}',
+    oneMore: 'One more {{name}}',
+    quantity: 'Quantity {{count}}',
+    emptyTitle: 'Your cart is empty',
+    emptySubtitle: 'Add dishes from the menu to order for delivery.',
+    browseMenu: 'Browse menu',
+    checkout: 'Checkout',
+    removeTitle: 'Remove Item',
+    removeMessage: 'Remove {{name}} from your cart?',
+    updateFailed: 'Failed to update your cart. Please try again.',
+  },
+  checkout: {
+    title: 'Checkout',
+    deliveryAddress: 'Delivery address',
+    street: 'Street address',
+    streetPlaceholder: '123 Main St',
+    apartment: 'Apartment, suite (optional)',
+    apartmentPlaceholder: 'Apt 4B',
+    city: 'City',
+    zipCode: 'ZIP code',
+    contactPhone: 'Contact phone',
+    noTip: 'No tip',
+    payment: 'Payment',
+    cardName: 'Name on card',
+    cardNamePlaceholder: 'Full name',
+    cardNumber: 'Card number',
+    expiry: 'Expiry',
+    expiryPlaceholder: 'MM/YY',
+    cvc: 'CVC',
+    placeOrder: 'Place order · {{total}}',
+    placeOrderLabel: 'Place order, {{total}}',
+    errors: {
+      address: 'Please enter your delivery address.',
+      zipCode: 'Please enter a valid ZIP code.',
+      phone: 'Please enter a valid 10-digit phone number so the driver can reach you.',
+      cardName: 'Please enter the name on your card.',
+      cardNumber: 'Please enter a valid card number.',
+      expiry: 'Please enter a valid expiry date (MM/YY).',
+      cvc: 'Please enter the 3 or 4 digit security code.',
+    },
+    cartChangedTitle: 'Your cart changed',
+    cartChangedMessage: 'Some prices or dishes on the menu were updated. Please review your order before paying.',
+    loadCartFailed: 'Could not load your cart. Please try again.',
+    paymentFailed: 'Payment Failed',
+    paymentErrors: {
+      declined: 'Your card was declined. Please use a different card.',
+      timeout: 'We did not hear back from the payment provider. Please check your connection and try again.',
+      invalid_card: 'Please check your card details and try again.',
+      provider_error: 'Something went wrong while processing your payment. Please try again.',
+    },
+    orderPlacedTitle: 'Order Placed!',
+    orderPlacedMessage: 'Thank you! You can follow your order here.',
+    saveOrderFailed: 'Your payment went through but we could not save your order. Please contact us with reference {{reference}}.',
+  },
+  orders: {
+    historyTitle: 'Order history',
+    detailTitle: 'Order details',
+    orderNumber: 'Order #{{id}}',
+    itemCount: {
+      one: '{{count}} item',
+      other: '{{count}} items',
+    },
+    emptyTitle: 'No orders yet',
+    emptySubtitle: 'Orders you place for delivery will show up here.',
+    notFound: 'Order not found',
+    placedAt: 'Placed {{time}}',
+    status: 'Status',
+    items: 'Items',
+    delivery: 'Delivery',
+    timelineStates: {
+      done: 'done',
+      current: 'in progress',
+      pending: 'not yet',
+      cancelled: 'cancelled',
+    },
+    cancelOrder: 'Cancel order',
+    keepOrder: 'Keep order',
+    cancelTitle: 'Cancel Order',
+    cancelMessage: 'Are you sure you want to cancel this order?',
+    tooLateTitle: 'Too late',
+    tooLateMessage: 'The kitchen has already started on this order.',
+    cancelFailed: 'Failed to cancel the order. Please try again.',
+  },
+  orderStatus: {
+    placed: 'Placed',
+    preparing: 'Preparing',
+    out_for_delivery: 'Out for delivery',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled',
+  },
+  reservations: {
+    reserveTitle: 'Reserve a table',
+    changeTitle: 'Change reservation',
+    date: 'Date',
+    partySize: 'Party size',
+    fewerGuests: 'Fewer guests',
+    moreGuests: 'More guests',
+    largeParty: 'For parties larger than {{count}}, please call the restaurant.',
+    time: 'Time',
+    noTimes: 'No more times available on this day.',
+    slotUnavailable: '{{time}}, unavailable',
+    confirm: 'Confirm reservation',
+    saveChanges: 'Save changes',
+    reservedTitle: 'Table Reserved!',
+    updatedTitle: 'Reservation Updated',
+    confirmation: '{{date}} at {{time}} for {{guests}}.',
+    unavailableTitle: 'Not Available',
+    unavailableMessage: 'Sorry, that time was just booked. Please pick another.',
+    saveFailed: 'Failed to save your reservation. Please try again.',
+  },
+  databaseRecovery: {
+    title: "We couldn't update the app's data",
+    subtitle: 'Something went wrong while upgrading the local database. You can try again, or reset it to start fresh.',
+    tryAgain: 'Try again',
+    resetDatabase: 'Reset database',
+    retryFailedTitle: 'Still not working',
+    retryFailedMessage: 'The database could not be updated. You can reset it to start fresh.',
+    resetTitle: 'Reset Database',
+    resetMessage: 'This deletes the locally stored menu and app data. The menu will be downloaded again. Continue?',
+    reset: 'Reset',
+    resetFailed: 'Failed to reset the database. Please reinstall the app.',
+  },
+  profile: {
+    headerTitle: 'LITTLE LEMON',
+    personalInformation: 'Personal information',
+    avatar: 'Avatar',
+    change: 'Change',
+    firstName: 'First name',
+    firstNamePlaceholder: 'Enter your first name',
+    lastName: 'Last name',
+    lastNamePlaceholder: 'Enter your last name',
+    email: 'Email',
+    emailVerified: 'Verified',
+    emailReadOnly: 'This is the email you log in with, so it cannot be changed here.',
+    phoneNumber: 'Phone number',
+    orders: 'Orders',
+    orderHistory: 'Order history',
+    security: 'Security',
+    changePassword: 'Change password',
+    reservations: 'Reservations',
+    guests: {
+      one: '{{count}} guest',
+      other: '{{count}} guests',
+    },
+    modify: 'Modify',
+    changePhoto: 'Change photo',
+    removePhoto: 'Remove photo',
+    modifyReservationOn: 'Modify reservation on {{date}}',
+    cancelReservationOn: 'Cancel reservation on {{date}}',
+    reserveTable: 'Reserve a table',
+    language: 'Language',
+    deviceLanguage: 'Device language ({{language}})',
+    appearance: 'Appearance',
+    colorSchemes: {
+      system: 'Match device',
+      light: 'Light',
+      dark: 'Dark',
+    },
+    emailNotifications: 'Email notifications',
+    notifications: {
+      orderStatuses: 'Order statuses',
+      passwordChanges: 'Password changes',
+      specialOffers: 'Special offers',
+      newsletter: 'Newsletter',
+    },
+    logOut: 'Log out',
+    discardChanges: 'Discard changes',
+    saveChanges: 'Save changes',
+    permissionTitle: 'Permission Required',
+    permissionMessage: 'We need camera roll permissions to select your profile picture.',
+    cancelReservationTitle: 'Cancel Reservation',
+    cancelReservationMessage: 'Cancel your table on {{date}} at {{time}}?',
+    keep: 'Keep',
+    cancelReservation: 'Cancel reservation',
+    cancelReservationFailed: 'Failed to cancel the reservation. Please try again.',
+    pickImageFailed: 'Failed to pick image. Please try again.',
+    removePhotoTitle: 'Remove Photo',
+    removePhotoMessage: 'Are you sure you want to remove your profile photo?',
+    requiredFields: 'First name is required.',
+    invalidPhone: 'Please enter a valid 10-digit phone number.',
+    successTitle: 'Success',
+    saved: 'Your changes have been saved successfully!',
+    saveFailed: 'Failed to save changes. Please try again.',
+    discardTitle: 'Discard Changes',
+    discardMessage: 'Are you sure you want to discard all unsaved changes?',
+    discard: 'Discard',
+    logOutTitle: 'Log Out',
+    logOutMessage: 'Are you sure you want to log out? All unsaved changes will be lost.',
+  },
+};
@@ -0,0 +1,387 @@
+// Spanish strings. Missing keys fall back to English.
+export default {
+  common: {
+    cancel: 'Cancelar',
+    back: 'Atrás',
+    close: 'Cerrar',
+    continue: 'Continuar',
+    ok: 'Aceptar',
+    error: 'Error',
+    remove: 'Eliminar',
+    restaurantName: 'Little Lemon',
+    location: 'Chicago',
+  },
+  app: {
+    welcomeTitle: '¡Bienvenido a Little Lemon!',
+    welcomeMessage: '¡Hola, {{firstName}}! Tu cuenta se ha creado correctamente.',
+    getStarted: 'Empezar',
+    saveUserFailed: 'No se pudo guardar tu información. Inténtalo de nuevo.',
+    welcomeBackTitle: '¡Hola de nuevo!',
+    welcomeBackMessage: '¡Hola, {{firstName}}! Has iniciado sesión.',
+  },
+  splash: {
+    tagline: 'Restaurante mediterráneo',
+    welcomeTo: 'Bienvenido a',
+  },
+  onboarding: {
+    welcome: '¡Bienvenido!',
+    getStarted: '¡Empecemos!',
+    nameTitle: '¿Cómo te llamas?',
+    firstName: 'Nombre',
+    lastName: 'Apellido',
+    emailTitle: '¡Encantados de conocerte!',
+    emailSubtitle: '¿Cuál es tu correo electrónico? Elige también una contraseña.',
+    email: 'Correo electrónico',
+    tutorialTitle: '¡Gracias! Ahora veamos lo que esta app puede hacer por ti.',
+    tutorialYes: '¡Sí, por favor!',
+    skipTutorial: 'Saltar tutorial',
+    password: 'Contraseña',
+    haveAccount: 'Ya tengo una cuenta',
+    signInTitle: '¡Hola de nuevo!',
+    signIn: 'Iniciar sesión',
+    createAccount: '¿Eres nuevo? Crea una cuenta',
+    forgotPassword: '¿Olvidaste tu contraseña?',
+    verifyTitle: 'Revisa tu correo',
+    verifySubtitle: {
+      one: 'Hemos enviado un código de 6 cifras a {{email}}. Caduca en {{count}} minuto.',
+      other: 'Hemos enviado un código de 6 cifras a {{email}}. Caduca en {{count}} minutos.',
+    },
+    verificationCode: 'Código de verificación',
+    verify: 'Verificar correo',
+    resendCode: 'Enviar un código nuevo',
+    resendCodeIn: 'Enviar un código nuevo en {{seconds}} s',
+    skipVerification: 'Omitir verificación',
+  },
+  auth: {
+    invalidCredentials: 'El correo o la contraseña no son correctos.',
+    emailTaken: 'Ya existe una cuenta con este correo. Inicia sesión.',
+    weakPassword: 'La contraseña no cumple los requisitos.',
+    networkError: 'No se pudo conectar con el servidor. Comprueba tu conexión e inténtalo de nuevo.',
+    unknownError: 'Algo salió mal. Inténtalo de nuevo.',
+    invalidCode: 'El código es incorrecto o ha caducado. Pide uno nuevo si hace falta.',
+    sessionExpired: 'Tu sesión ha terminado. Cierra sesión y vuelve a iniciarla.',
+  },
+  password: {
+    newPassword: 'Nueva contraseña',
+    confirmPassword: 'Confirma la nueva contraseña',
+    mismatch: 'Las contraseñas nuevas no coinciden.',
+    rules: {
+      length: {
+        one: 'Al menos {{count}} carácter',
+        other: 'Al menos {{count}} caracteres',
+      },
+      mixedCase: 'Mayúsculas y minúsculas',
+      number: 'Al menos un número',
+    },
+    ruleMet: '{{rule}}, cumplido',
+    ruleNotMet: '{{rule}}, pendiente',
+  },
+  changePassword: {
+    title: 'Cambiar contraseña',
+    currentPassword: 'Contraseña actual',
+    currentIncorrect: 'Tu contraseña actual no es correcta.',
+    sameAsCurrent: 'Elige una contraseña distinta de la actual.',
+    save: 'Cambiar contraseña',
+    successTitle: 'Contraseña cambiada',
+    successMessage: 'Se ha cerrado la sesión en los demás dispositivos conectados a tu cuenta.',
+  },
+  forgotPassword: {
+    title: 'Restablecer contraseña',
+    emailSubtitle: 'Escribe el correo de tu cuenta y te enviaremos un código de 6 cifras.',
+    sendCode: 'Enviar código',
+    codeSubtitle: 'Si {{email}} tiene una cuenta, le hemos enviado un código. Escríbelo junto con una nueva contraseña.',
+    code: 'Código',
+    resend: 'Enviar un código nuevo',
+    codeResent: 'Te hemos enviado un código nuevo. Los anteriores ya no sirven.',
+    reset: 'Restablecer contraseña',
+    successTitle: 'Contraseña restablecida',
+    successMessage: 'Inicia sesión con tu nueva contraseña.',
+  },
+  home: {
+    bannerDescription: 'Somos un restaurante mediterráneo familiar, centrado en recetas tradicionales con un toque moderno.',
+    searchPlaceholder: 'Buscar en el menú...',
+    loadingMenu: 'Cargando menú...',
+    orderForDelivery: '¡PIDE A DOMICILIO!',
+    menuUpdated: 'Menú actualizado {{time}}',
+    favorites: 'Favoritos',
+    excludeTag: 'Sin {{tag}}',
+    add: 'Añadir',
+    noFavoritesTitle: 'Aún no tienes favoritos',
+    noFavoritesSubtitle: 'Toca el corazón de un plato para encontrarlo aquí rápidamente',
+    noDishesTitle: 'No se encontraron platos',
+    noDishesSubtitle: 'Prueba a cambiar la búsqueda, la categoría o los filtros dietéticos',
+    menuUnavailableTitle: 'Menú no disponible',
+    menuUnavailableMessage: 'Recibimos un menú que no pudimos leer, así que mostramos el último menú guardado.',
+    loadMenuFailed: 'No se pudo cargar el menú. Comprueba tu conexión a internet.',
+    addToCartFailed: 'No se pudo añadir este plato a tu carrito. Inténtalo de nuevo.',
+    favoriteFailed: 'No se pudieron actualizar tus favoritos. Inténtalo de nuevo.',
+    cart: {
+      one: 'Carrito, {{count}} artículo',
+      other: 'Carrito, {{count}} artículos',
+    },
+    profile: 'Perfil',
+    menuOptions: 'Ordenar y rango de precios',
+    addToFavorites: 'Añadir a favoritos',
+    removeFromFavorites: 'Quitar de favoritos',
+    addOne: 'Añadir uno',
+    removeOne: 'Quitar uno',
+    inCart: '{{count}} en el carrito',
+    results: {
+      one: '{{count}} plato encontrado',
+      other: '{{count}} platos encontrados',
+    },
+    resultsOrMore: '{{count}} platos o más encontrados',
+    options: {
+      title: 'Ordenar y filtrar',
+      sortBy: 'Ordenar por',
+      priceRange: 'Rango de precios',
+      min: 'Mín.',
+      max: 'Máx.',
+      minPrice: 'Precio mínimo',
+      maxPrice: 'Precio máximo',
+      reset: 'Restablecer',
+      apply: 'Aplicar',
+    },
+    sort: {
+      name: 'Nombre (A–Z)',
+      price_asc: 'Precio: de menor a mayor',
+      price_desc: 'Precio: de mayor a menor',
+      newest: 'Más recientes',
+      most_ordered: 'Más pedidos',
+    },
+  },
+  dietary: {
+    vegetarian: 'Vegetariano',
+    vegan: 'Vegano',
+    'gluten-free': 'Sin gluten',
+    nuts: 'Frutos secos',
+    dairy: 'Lácteos',
+    eggs: 'Huevo',
+    fish: 'Pescado',
+    spicy: 'Picante',
+  },
+  menuItem: {
+    title: 'Plato',
+    notFoundTitle: 'Plato no encontrado',
+    notFoundSubtitle: 'Puede que ya no esté en el menú.',
+    description: 'Descripción',
+    noDescription: 'No hay descripción disponible.',
+    dietaryInformation: 'Información dietética',
+    instructions: 'Instrucciones especiales',
+    instructionsPlaceholder: 'Alergias, aliño aparte, etc.',
+    addToCart: 'Añadir al carrito · {{price}}',
+    addedTitle: 'Añadido al carrito',
+    addedMessage: '{{name}} se añadió a tu carrito.',
+    keepBrowsing: 'Seguir mirando',
+    viewCart: 'Ver carrito',
+  },
+  modifiers: {
+    required: 'Obligatorio',
+    optional: 'Opcional',
+    chooseExactly: 'Elige {{count}}',
+    chooseRange: 'Elige de {{min}} a {{max}}',
+    optionalUpTo: 'Opcional · hasta {{count}}',
+    chooseOne: 'Elige una opción',
+    chooseAtLeast: 'Elige al menos {{count}}',
+    chooseUpTo: 'Elige hasta {{count}}',
+  },
+  totals: {
+    subtotal: 'Subtotal',
+    tax: 'Impuestos',
+    tip: 'Propina',
+    total: 'Total',
+  },
+  cart: {
+    title: 'Tu carrito',
+    each: '{{price}} c/u',
+    removeItem: 'Quitar {{name}}',
+    oneLess: 'Uno menos de {{name}}',
+    oneMore: 'Uno más de {{name}}',
+    quantity: 'Cantidad {{count}}',
+    emptyTitle: 'Tu carrito está vacío',
+    emptySubtitle: 'Añade platos del menú para pedir a domicilio.',
+    browseMenu: 'Ver el menú',
+    checkout: 'Pagar',
+    removeTitle: 'Quitar plato',
+    removeMessage: '¿Quitar {{name}} de tu carrito?',
+    updateFailed: 'No se pudo actualizar tu carrito. Inténtalo de nuevo.',
+  },
+  checkout: {
+    title: 'Pago',
+    deliveryAddress: 'Dirección de entrega',
+    street: 'Calle y número',
+    streetPlaceholder: '123 Main St',
+    apartment: 'Piso, puerta (opcional)',
+    apartmentPlaceholder: 'Apto. 4B',
+    city: 'Ciudad',
+    zipCode: 'Código postal',
+    contactPhone: 'Teléfono de contacto',
+    noTip: 'Sin propina',
+    payment: 'Pago',
+    cardName: 'Nombre en la tarjeta',
+    cardNamePlaceholder: 'Nombre completo',
+    cardNumber: 'Número de tarjeta',
+    expiry: 'Caducidad',
+    expiryPlaceholder: 'MM/AA',
+    cvc: 'CVC',
+    placeOrder: 'Hacer pedido · {{total}}',
+    placeOrderLabel: 'Hacer pedido, {{total}}',
+    errors: {
+      address: 'Introduce tu dirección de entrega.',
+      zipCode: 'Introduce un código postal válido.',
+      phone: 'Introduce un teléfono válido de 10 dígitos para que el repartidor pueda llamarte.',
+      cardName: 'Introduce el nombre que aparece en tu tarjeta.',
+      cardNumber: 'Introduce un número de tarjeta válido.',
+      expiry: 'Introduce una fecha de caducidad válida (MM/AA).',
+      cvc: 'Introduce el código de seguridad de 3 o 4 dígitos.',
+    },
+    cartChangedTitle: 'Tu carrito ha cambiado',
+    cartChangedMessage: 'Se han actualizado algunos precios o platos del menú. Revisa tu pedido antes de pagar.',
+    loadCartFailed: 'No se pudo cargar tu carrito. Inténtalo de nuevo.',
+    paymentFailed: 'Pago fallido',
+    paymentErrors: {
+      declined: 'Tu tarjeta ha sido rechazada. Usa otra tarjeta.',
+      timeout: 'No recibimos respuesta del proveedor de pagos. Comprueba tu conexión e inténtalo de nuevo.',
+      invalid_card: 'Revisa los datos de tu tarjeta e inténtalo de nuevo.',
+      provider_error: 'Algo salió mal al procesar tu pago. Inténtalo de nuevo.',
+    },
+    orderPlacedTitle: '¡Pedido realizado!',
+    orderPlacedMessage: '¡Gracias! Aquí puedes seguir tu pedido.',
+    saveOrderFailed: 'Tu pago se realizó, pero no pudimos guardar tu pedido. Contáctanos con la referencia {{reference}}.',
+  },
+  orders: {
+    historyTitle: 'Historial de pedidos',
+    detailTitle: 'Detalles del pedido',
+    orderNumber: 'Pedido n.º {{id}}',
+    itemCount: {
+      one: '{{count}} artículo',
+      other: '{{count}} artículos',
+    },
+    emptyTitle: 'Aún no hay pedidos',
+    emptySubtitle: 'Los pedidos a domicilio que hagas aparecerán aquí.',
+    notFound: 'Pedido no encontrado',
+    placedAt: 'Realizado {{time}}',
+    status: 'Estado',
+    items: 'Artículos',
+    delivery: 'Entrega',
+    timelineStates: {
+      done: 'hecho',
+      current: 'en curso',
+      pending: 'todavía no',
+      cancelled: 'cancelado',
+    },
+    cancelOrder: 'Cancelar pedido',
+    keepOrder: 'Mantener pedido',
+    cancelTitle: 'Cancelar pedido',
+    cancelMessage: '¿Seguro que quieres cancelar este pedido?',
+    tooLateTitle: 'Demasiado tarde',
+    tooLateMessage: 'La cocina ya ha empezado a preparar este pedido.',
+    cancelFailed: 'No se pudo cancelar el pedido. Inténtalo de nuevo.',
+  },
+  orderStatus: {
+    placed: 'Realizado',
+    preparing: 'En preparación',
+    out_for_delivery: 'En reparto',
+    delivered: 'Entregado',
+    cancelled: 'Cancelado',
+  },
+  reservations: {
+    reserveTitle: 'Reservar mesa',
+    changeTitle: 'Cambiar reserva',
+    date: 'Fecha',
+    partySize: 'Número de personas',
+    fewerGuests: 'Menos personas',
+    moreGuests: 'Más personas',
+    largeParty: 'Para grupos de más de {{count}}, llama al restaurante.',
+    time: 'Hora',
+    noTimes: 'No quedan horas disponibles este día.',
+    slotUnavailable: '{{time}}, no disponible',
+    confirm: 'Confirmar reserva',
+    saveChanges: 'Guardar cambios',
+    reservedTitle: '¡Mesa reservada!',
+    updatedTitle: 'Reserva actualizada',
+    confirmation: '{{date}} a las {{time}} para {{guests}}.',
+    unavailableTitle: 'No disponible',
+    unavailableMessage: 'Lo sentimos, esa hora se acaba de reservar. Elige otra.',
+    saveFailed: 'No se pudo guardar tu reserva. Inténtalo de nuevo.',
+  },
+  databaseRecovery: {
+    title: 'No pudimos actualizar los datos de la app',
+    subtitle: 'Algo salió mal al actualizar la base de datos local. Puedes volver a intentarlo o restablecerla para empezar de cero.',
+    tryAgain: 'Reintentar',
+    resetDatabase: 'Restablecer base de datos',
+    retryFailedTitle: 'Sigue sin funcionar',
+    retryFailedMessage: 'No se pudo actualizar la base de datos. Puedes restablecerla para empezar de cero.',
+    resetTitle: 'Restablecer base de datos',
+    resetMessage: 'Se borrarán el menú y los datos de la app guardados en el dispositivo. El menú se volverá a descargar. ¿Continuar?',
+    reset: 'Restablecer',
+    resetFailed: 'No se pudo restablecer la base de datos. Reinstala la app.',
+  },
+  profile: {
+    headerTitle: 'LITTLE LEMON',
+    personalInformation: 'Información personal',
+    avatar: 'Foto de perfil',
+    change: 'Cambiar',
+    firstName: 'Nombre',
+    firstNamePlaceholder: 'Escribe tu nombre',
+    lastName: 'Apellido',
+    lastNamePlaceholder: 'Escribe tu apellido',
+    email: 'Correo electrónico',
+    emailVerified: 'Verificado',
+    emailReadOnly: 'Es el correo con el que inicias sesión, así que no se puede cambiar aquí.',
+    phoneNumber: 'Teléfono',
+    orders: 'Pedidos',
+    orderHistory: 'Historial de pedidos',
+    security: 'Seguridad',
+    changePassword: 'Cambiar contraseña',
+    reservations: 'Reservas',
+    guests: {
+      one: '{{count}} persona',
+      other: '{{count}} personas',
+    },
+    modify: 'Modificar',
+    changePhoto: 'Cambiar foto',
+    removePhoto: 'Eliminar foto',
+    modifyReservationOn: 'Modificar la reserva del {{date}}',
+    cancelReservationOn: 'Cancelar la reserva del {{date}}',
+    reserveTable: 'Reservar mesa',
+    language: 'Idioma',
+    deviceLanguage: 'Idioma del dispositivo ({{language}})',
+    appearance: 'Apariencia',
+    colorSchemes: {
+      system: 'Igual que el dispositivo',
+      light: 'Claro',
+      dark: 'Oscuro',
+    },
+    emailNotifications: 'Notificaciones por correo',
+    notifications: {
+      orderStatuses: 'Estado de los pedidos',
+      passwordChanges: 'Cambios de contraseña',
+      specialOffers: 'Ofertas especiales',
+      newsletter: 'Boletín',
+    },
+    logOut: 'Cerrar sesión',
+    discardChanges: 'Descartar cambios',
+    saveChanges: 'Guardar cambios',
+    permissionTitle: 'Permiso necesario',
+    permissionMessage: 'Necesitamos acceso a tus fotos para elegir tu foto de perfil.',
+    cancelReservationTitle: 'Cancelar reserva',
+    cancelReservationMessage: '¿Cancelar tu mesa del {{date}} a las {{time}}?',
+    keep: 'Mantener',
+    cancelReservation: 'Cancelar reserva',
+    cancelReservationFailed: 'No se pudo cancelar la reserva. Inténtalo de nuevo.',
+    pickImageFailed: 'No se pudo elegir la imagen. Inténtalo de nuevo.',
+    removePhotoTitle: 'Eliminar foto',
+    removePhotoMessage: '¿Seguro que quieres eliminar tu foto de perfil?',
+    requiredFields: 'El nombre es obligatorio.',
+    invalidPhone: 'Introduce un número de teléfono válido de 10 dígitos.',
+    successTitle: 'Listo',
+    saved: '¡Tus cambios se han guardado correctamente!',
+    saveFailed: 'No se pudieron guardar los cambios. Inténtalo de nuevo.',
+    discardTitle: 'Descartar cambios',
+    discardMessage: '¿Seguro que quieres descartar todos los cambios sin guardar?',
+    discard: 'Descartar',
+    logOutTitle: 'Cerrar sesión',
+    logOutMessage: '¿Seguro que quieres cerrar sesión? Se perderán los cambios sin guardar.',
+  },
+};
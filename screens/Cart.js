@@ -0,0 +1,391 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  FlatList,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DatabaseOperations from '../database/DatabaseOperations';
+import CartOperations from '../database/CartOperations';
+import { calculateCartTotals, calculateLineTotal } from '../utils/pricing';
+import { formatMoney } from '../utils/money';
+import MenuImage from '../components/MenuImage';
+import { useTranslation } from '../i18n/LanguageContext';
+import { flipInRTL } from '../utils/rtl';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+
+const Cart = ({ navigation }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [cartItems, setCartItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      loadCart();
+    });
+    return unsubscribe;
+  }, [navigation]);
+
+  const loadCart = async () => {
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      setCartItems(await CartOperations.getCartItems(database));
+    } catch (error) {
+      console.error('Error loading cart:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleQuantityChange = async (line, quantity) => {
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      await CartOperations.setQuantity(database, line.id, quantity);
+      await loadCart();
+    } catch (error) {
+      console.error('Error updating cart:', error);
+      Alert.alert(t('common.error'), t('cart.updateFailed'));
+    }
+  };
+
+  const handleRemoveLine = (line) => {
+    Alert.alert(
+      t('cart.removeTitle'),
+      t('cart.removeMessage', { name: line.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.remove'),
+          style: 'destructive',
+          onPress: () => handleQuantityChange(line, 0),
+        },
+      ]
+    );
+  };
+
+  const totals = calculateCartTotals(cartItems);
+
+  const renderCartItem = ({ item }) => (
+    <View style={styles.cartItem}>
+      <MenuImage
+        image={item.image}
+        cachedPath={item.thumbnail_path}
+        style={styles.cartItemImage}
+      />
+      <View style={styles.cartItemContent}>
+        <View style={styles.cartItemHeader}>
+          <Text style={styles.cartItemName} numberOfLines={1}>{item.name}</Text>
+          <TouchableOpacity
+            onPress={() => handleRemoveLine(item)}
+            accessibilityRole="button"
+            accessibilityLabel={t('cart.removeItem', { name: item.name })}
+          >
+            <Ionicons name="trash-outline" size={20} color={colors.textMuted} />
+          </TouchableOpacity>
+        </View>
+        {item.optionsSummary ? (
+          <Text style={styles.cartItemOptions}>{item.optionsSummary}</Text>
+        ) : null}
+        {item.instructions ? (
+          <Text style={styles.cartItemInstructions}>“{item.instructions}”</Text>
+        ) : null}
+        <Text style={styles.cartItemUnitPrice}>{t('cart.each', { price: formatMoney(item.price) })}</Text>
+        <View style={styles.cartItemFooter}>
+          <View style={styles.quantityControl}>
+            <TouchableOpacity
+              style={styles.quantityButton}
+              onPress={() => handleQuantityChange(item, item.quantity - 1)}
+              accessibilityRole="button"
+              accessibilityLabel={t('cart.oneLess', { name: item.name })}
+            >
+              <Ionicons name="remove" size={18} color={colors.tint} />
+            </TouchableOpacity>
+            <Text style={styles.quantityText} accessibilityLabel={t('cart.quantity', { count: item.quantity })}>
+              {item.quantity}
+            </Text>
+            <TouchableOpacity
+              style={styles.quantityButton}
+              onPress={() => handleQuantityChange(item, item.quantity + 1)}
+              accessibilityRole="button"
+              accessibilityLabel={t('cart.oneMore', { name: item.name })}
+            >
+              <Ionicons name="add" size={18} color={colors.tint} />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.lineTotal}>
+            {formatMoney(calculateLineTotal(item))}
+          </Text>
+        </View>
+      </View>
+    </View>
+  );
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={colors.tint} />
+        </View>
+      );
+    }
+
+    if (cartItems.length === 0) {
+      return (
+        <View style={styles.centered}>
+          <Ionicons name="basket-outline" size={64} color={colors.border} />
+          <Text style={styles.emptyText}>{t('cart.emptyTitle')}</Text>
+          <Text style={styles.emptySubtext}>{t('cart.emptySubtitle')}</Text>
+          <TouchableOpacity
+            style={styles.browseButton}
+            onPress={() => navigation.navigate('Home')}
+            accessibilityRole="button"
+          >
+            <Text style={styles.browseButtonText}>{t('cart.browseMenu')}</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <>
+        <FlatList
+          data={cartItems}
+          renderItem={renderCartItem}
+          keyExtractor={(item) => item.id.toString()}
+          contentContainerStyle={styles.cartList}
+          ItemSeparatorComponent={() => <View style={styles.separator} />}
+        />
+
+        {/* Order Summary */}
+        <View style={styles.summary}>
+          <View style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>{t('totals.subtotal')}</Text>
+            <Text style={styles.summaryValue}>{formatMoney(totals.subtotal)}</Text>
+          </View>
+          <View style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>{t('totals.tax')}</Text>
+            <Text style={styles.summaryValue}>{formatMoney(totals.tax)}</Text>
+          </View>
+          <View style={[styles.summaryRow, styles.totalRow]}>
+            <Text style={styles.totalLabel}>{t('totals.total')}</Text>
+            <Text style={styles.totalValue}>{formatMoney(totals.total)}</Text>
+          </View>
+
+          <TouchableOpacity
+            style={styles.checkoutButton}
+            onPress={() => navigation.navigate('Checkout')}
+            accessibilityRole="button"
+          >
+            <Text style={styles.checkoutButtonText}>{t('cart.checkout')}</Text>
+          </TouchableOpacity>
+        </View>
+      </>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+          accessibilityRole="button"
+          accessibilityLabel={t('common.back')}
+        >
+          <Ionicons name="arrow-back" size={24} color={colors.tint} style={flipInRTL} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle} accessibilityRole="header">{t('cart.title')}</Text>
+      </View>
+
+      {renderContent()}
+    </SafeAreaView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: colors.background,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  backButton: {
+    padding: 8,
+    marginEnd: 8,
+  },
+  headerTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.tint,
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+  },
+  emptyText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.textMuted,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: colors.textMuted,
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+  browseButton: {
+    backgroundColor: colors.brand,
+    paddingVertical: 12,
+    paddingHorizontal: 32,
+    borderRadius: 8,
+  },
+  browseButtonText: {
+    color: colors.onBrand,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cartList: {
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  cartItem: {
+    flexDirection: 'row',
+  },
+  cartItemImage: {
+    width: 72,
+    height: 72,
+    borderRadius: 8,
+    marginEnd: 16,
+  },
+  cartItemContent: {
+    flex: 1,
+  },
+  cartItemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  cartItemName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginEnd: 8,
+  },
+  cartItemOptions: {
+    fontSize: 14,
+    color: colors.text,
+    marginTop: 4,
+  },
+  cartItemInstructions: {
+    fontSize: 13,
+    fontStyle: 'italic',
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  cartItemUnitPrice: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginVertical: 4,
+  },
+  cartItemFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  quantityControl: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.tint,
+    borderRadius: 16,
+  },
+  quantityButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+  },
+  quantityText: {
+    minWidth: 20,
+    textAlign: 'center',
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  lineTotal: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.tint,
+  },
+  separator: {
+    height: 1,
+    backgroundColor: colors.surface,
+    marginVertical: 16,
+  },
+  summary: {
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  summaryLabel: {
+    fontSize: 16,
+    color: colors.textMuted,
+  },
+  summaryValue: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  totalRow: {
+    marginTop: 4,
+    marginBottom: 0,
+  },
+  totalLabel: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  totalValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.tint,
+  },
+  checkoutButton: {
+    backgroundColor: colors.accent,
+    paddingVertical: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  checkoutButtonText: {
+    color: colors.onAccent,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default Cart;
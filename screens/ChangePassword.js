@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { changePassword } from '../services/auth';
+import { isStrongPassword } from '../utils/password';
+import { getAuthErrorMessage } from '../utils/authErrors';
+import PasswordRules from '../components/PasswordRules';
+import { useTranslation } from '../i18n/LanguageContext';
+import { flipInRTL } from '../utils/rtl';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+
+const ChangePassword = ({ navigation }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const [passwords, setPasswords] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [isSaving, setIsSaving] = useState(false);
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  const isSameAsCurrent = passwords.newPassword !== '' && passwords.newPassword === passwords.currentPassword;
+  const isMismatched = passwords.confirmPassword !== '' && passwords.confirmPassword !== passwords.newPassword;
+  const canSave = passwords.currentPassword !== '' &&
+    isStrongPassword(passwords.newPassword) &&
+    passwords.confirmPassword === passwords.newPassword &&
+    !isSameAsCurrent &&
+    !isSaving;
+
+  const handleInputChange = (field, value) => {
+    setErrorMessage(null);
+    setPasswords(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await changePassword({
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword,
+      });
+
+      Alert.alert(
+        t('changePassword.successTitle'),
+        t('changePassword.successMessage'),
+        [{ text: t('common.ok'), onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      // The backend reports a wrong current password as bad credentials
+      setErrorMessage(error.code === 'invalid_credentials'
+        ? t('changePassword.currentIncorrect')
+        : getAuthErrorMessage(error, t));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderPasswordField = (field, label, textContentType) => (
+    <View style={styles.inputSection}>
+      <Text style={styles.inputLabel}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        value={passwords[field]}
+        onChangeText={(text) => handleInputChange(field, text)}
+        accessibilityLabel={label}
+        secureTextEntry
+        autoCapitalize="none"
+        textContentType={textContentType}
+        placeholderTextColor={colors.textMuted}
+      />
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardContainer}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+            accessibilityRole="button"
+            accessibilityLabel={t('common.back')}
+          >
+            <Ionicons name="arrow-back" size={24} color={colors.tint} style={flipInRTL} />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle} accessibilityRole="header">
+            {t('changePassword.title')}
+          </Text>
+        </View>
+
+        <ScrollView
+          style={styles.scrollView}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        >
+          {renderPasswordField('currentPassword', t('changePassword.currentPassword'), 'password')}
+          {renderPasswordField('newPassword', t('password.newPassword'), 'newPassword')}
+          <PasswordRules password={passwords.newPassword} />
+          {renderPasswordField('confirmPassword', t('password.confirmPassword'), 'newPassword')}
+
+          {isSameAsCurrent && (
+            <Text style={styles.errorText}>{t('changePassword.sameAsCurrent')}</Text>
+          )}
+          {isMismatched && (
+            <Text style={styles.errorText}>{t('password.mismatch')}</Text>
+          )}
+          {errorMessage && (
+            <Text style={styles.errorText} accessibilityRole="alert" accessibilityLiveRegion="polite">
+              {errorMessage}
+            </Text>
+          )}
+        </ScrollView>
+
+        {/* Action Buttons */}
+        <View style={styles.actionButtons}>
+          <TouchableOpacity
+            style={[styles.saveButton, !canSave && styles.disabledButton]}
+            onPress={handleSave}
+            disabled={!canSave}
+            accessibilityRole="button"
+            accessibilityLabel={t('changePassword.save')}
+            accessibilityState={{ disabled: !canSave, busy: isSaving }}
+          >
+            {isSaving ? (
+              <ActivityIndicator color={colors.onBrand} />
+            ) : (
+              <Text style={styles.saveButtonText}>{t('changePassword.save')}</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  keyboardContainer: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: colors.background,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  backButton: {
+    padding: 8,
+    marginEnd: 8,
+  },
+  headerTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.tint,
+    flex: 1,
+  },
+  scrollView: {
+    flex: 1,
+    paddingHorizontal: 16,
+    paddingTop: 24,
+  },
+  inputSection: {
+    marginBottom: 20,
+  },
+  inputLabel: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginBottom: 8,
+  },
+  input: {
+    textAlign: 'left',
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: colors.text,
+  },
+  errorText: {
+    fontSize: 14,
+    color: colors.danger,
+    marginBottom: 12,
+  },
+  actionButtons: {
+    paddingHorizontal: 16,
+    paddingBottom: 20,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+    paddingTop: 16,
+  },
+  saveButton: {
+    backgroundColor: colors.brand,
+    paddingVertical: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: colors.onBrand,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+});
+
+export default ChangePassword;
@@ -0,0 +1,609 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Ionicons } from '@expo/vector-icons';
+import * as Crypto from 'expo-crypto';
+import DatabaseOperations from '../database/DatabaseOperations';
+import CartOperations from '../database/CartOperations';
+import OrderOperations from '../database/OrderOperations';
+import { calculateCartTotals } from '../utils/pricing';
+import { formatMoney, formatPercent } from '../utils/money';
+import { formatPhoneNumber, isValidPhoneNumber } from '../utils/phone';
+import {
+  formatCardNumber,
+  formatExpiry,
+  isValidCardNumber,
+  isValidCvc,
+  normalizeCardNumber,
+  parseExpiry,
+} from '../utils/cards';
+import { CURRENCY, SALES_TAX_RATE, TIP_OPTIONS } from '../config/restaurant';
+import { getPaymentProvider, chargeWithTimeout } from '../services/payments';
+import { useTranslation } from '../i18n/LanguageContext';
+import { flipInRTL } from '../utils/rtl';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+
+// PaymentError codes with a message of their own under checkout.paymentErrors
+const PAYMENT_ERROR_CODES = ['declined', 'timeout', 'invalid_card', 'provider_error'];
+
+// What the customer sees of each cart line, to tell whether the cart changed
+const getCartSignature = (lines) => JSON.stringify(
+  lines.map(line => [line.id, line.quantity, line.price, line.optionsSummary])
+);
+
+const Checkout = ({ navigation }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [cartItems, setCartItems] = useState([]);
+  const [delivery, setDelivery] = useState({
+    street: '',
+    apartment: '',
+    city: '',
+    zipCode: '',
+  });
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [tipRate, setTipRate] = useState(TIP_OPTIONS[1]);
+  const [card, setCard] = useState({
+    name: '',
+    number: '',
+    expiry: '',
+    cvc: '',
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // The idempotency key of the charge being attempted. Retrying the same charge
+  // (after a timeout, say) reuses it so the provider never takes the money
+  // twice; a different amount or card starts a new attempt with a new key.
+  const chargeAttemptRef = useRef(null);
+
+  useEffect(() => {
+    loadCheckoutData();
+  }, []);
+
+  const loadCheckoutData = async () => {
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      setCartItems(await CartOperations.getCartItems(database));
+
+      // Prefill contact details saved in Profile
+      const userData = await AsyncStorage.getItem('userData');
+      const profileSettings = await AsyncStorage.getItem('profileSettings');
+
+      if (profileSettings) {
+        const parsedSettings = JSON.parse(profileSettings);
+        if (parsedSettings.phoneNumber) {
+          setPhoneNumber(parsedSettings.phoneNumber);
+        }
+      }
+
+      if (userData) {
+        const parsedUserData = JSON.parse(userData);
+        const fullName = [parsedUserData.firstName, parsedUserData.lastName].filter(Boolean).join(' ');
+        setCard(prev => ({ ...prev, name: prev.name || fullName }));
+      }
+    } catch (error) {
+      console.error('Error loading checkout data:', error);
+    }
+  };
+
+  const handleDeliveryChange = (field, value) => {
+    setDelivery(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleCardChange = (field, value) => {
+    let formatted = value;
+    if (field === 'number') {
+      formatted = formatCardNumber(value);
+    } else if (field === 'expiry') {
+      formatted = formatExpiry(value);
+    } else if (field === 'cvc') {
+      formatted = value.replace(/\D/g, '').substring(0, 4);
+    }
+    setCard(prev => ({ ...prev, [field]: formatted }));
+  };
+
+  const totals = calculateCartTotals(cartItems, SALES_TAX_RATE, tipRate);
+
+  // Returns the first problem with the form, or null when it can be submitted
+  const validateForm = () => {
+    if (!delivery.street.trim() || !delivery.city.trim() || !delivery.zipCode.trim()) {
+      return t('checkout.errors.address');
+    }
+    if (!/^\d{5}(-\d{4})?$/.test(delivery.zipCode.trim())) {
+      return t('checkout.errors.zipCode');
+    }
+    if (!isValidPhoneNumber(phoneNumber)) {
+      return t('checkout.errors.phone');
+    }
+    if (!card.name.trim()) {
+      return t('checkout.errors.cardName');
+    }
+    if (!isValidCardNumber(card.number)) {
+      return t('checkout.errors.cardNumber');
+    }
+    if (!parseExpiry(card.expiry)) {
+      return t('checkout.errors.expiry');
+    }
+    if (!isValidCvc(card.cvc)) {
+      return t('checkout.errors.cvc');
+    }
+    return null;
+  };
+
+  const handlePlaceOrder = async () => {
+    const validationError = validateForm();
+    if (validationError) {
+      Alert.alert(t('common.error'), validationError);
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    // A menu sync since the screen opened may have changed prices or removed
+    // dishes, so only charge for the cart the customer is looking at
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      const latestItems = await CartOperations.getCartItems(database);
+      if (getCartSignature(latestItems) !== getCartSignature(cartItems)) {
+        setCartItems(latestItems);
+        Alert.alert(t('checkout.cartChangedTitle'), t('checkout.cartChangedMessage'));
+        setIsSubmitting(false);
+        return;
+      }
+    } catch (error) {
+      console.error('Error checking cart:', error);
+      Alert.alert(t('common.error'), t('checkout.loadCartFailed'));
+      setIsSubmitting(false);
+      return;
+    }
+
+    const chargedItems = cartItems;
+    const chargedTotals = totals;
+    let payment;
+    try {
+      const expiry = parseExpiry(card.expiry);
+      const request = {
+        amount: chargedTotals.total,
+        currency: CURRENCY,
+        card: {
+          name: card.name.trim(),
+          number: normalizeCardNumber(card.number),
+          expiryMonth: expiry.month,
+          expiryYear: expiry.year,
+          cvc: card.cvc,
+        },
+        metadata: {
+          phoneNumber,
+        },
+      };
+
+      const fingerprint = JSON.stringify([request.amount, request.currency, request.card]);
+      if (chargeAttemptRef.current?.fingerprint !== fingerprint) {
+        chargeAttemptRef.current = { fingerprint, idempotencyKey: Crypto.randomUUID() };
+      }
+
+      const provider = getPaymentProvider();
+      payment = await chargeWithTimeout(provider, {
+        ...request,
+        idempotencyKey: chargeAttemptRef.current.idempotencyKey,
+      });
+    } catch (error) {
+      console.error('Error charging payment:', error);
+      Alert.alert(
+        t('checkout.paymentFailed'),
+        t(`checkout.paymentErrors.${PAYMENT_ERROR_CODES.includes(error.code) ? error.code : 'provider_error'}`)
+      );
+      setIsSubmitting(false);
+      return;
+    }
+
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      const orderId = await OrderOperations.createOrderFromCart(database, {
+        lines: chargedItems,
+        totals: chargedTotals,
+        currency: CURRENCY,
+        deliveryAddress: formatDeliveryAddress(),
+        contactPhone: phoneNumber,
+        paymentReference: payment.transactionId,
+      });
+
+      Alert.alert(t('checkout.orderPlacedTitle'), t('checkout.orderPlacedMessage'));
+      navigation.reset({
+        index: 1,
+        routes: [
+          { name: 'Home' },
+          { name: 'OrderDetail', params: { orderId } },
+        ],
+      });
+    } catch (error) {
+      console.error('Error saving order:', error);
+      Alert.alert(
+        t('common.error'),
+        t('checkout.saveOrderFailed', { reference: payment.transactionId })
+      );
+      setIsSubmitting(false);
+    }
+  };
+
+  const formatDeliveryAddress = () => {
+    const street = [delivery.street.trim(), delivery.apartment.trim()].filter(Boolean).join(', ');
+    return `${street}, ${delivery.city.trim()} ${delivery.zipCode.trim()}`;
+  };
+
+  const formatTipLabel = (rate) => (rate === 0 ? t('checkout.noTip') : formatPercent(rate));
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardContainer}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+            disabled={isSubmitting}
+            accessibilityRole="button"
+            accessibilityLabel={t('common.back')}
+          >
+            <Ionicons name="arrow-back" size={24} color={colors.tint} style={flipInRTL} />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle} accessibilityRole="header">{t('checkout.title')}</Text>
+        </View>
+
+        <ScrollView
+          style={styles.scrollView}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        >
+          {/* Delivery Address */}
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('checkout.deliveryAddress')}</Text>
+          <View style={styles.inputSection}>
+            <Text style={styles.inputLabel}>{t('checkout.street')}</Text>
+            <TextInput
+              style={styles.input}
+              accessibilityLabel={t('checkout.street')}
+              value={delivery.street}
+              onChangeText={(text) => handleDeliveryChange('street', text)}
+              placeholder={t('checkout.streetPlaceholder')}
+              placeholderTextColor={colors.textMuted}
+              autoComplete="street-address"
+            />
+          </View>
+          <View style={styles.inputSection}>
+            <Text style={styles.inputLabel}>{t('checkout.apartment')}</Text>
+            <TextInput
+              style={styles.input}
+              accessibilityLabel={t('checkout.apartment')}
+              value={delivery.apartment}
+              onChangeText={(text) => handleDeliveryChange('apartment', text)}
+              placeholder={t('checkout.apartmentPlaceholder')}
+              placeholderTextColor={colors.textMuted}
+            />
+          </View>
+          <View style={styles.inputRow}>
+            <View style={[styles.inputSection, styles.inputRowWide]}>
+              <Text style={styles.inputLabel}>{t('checkout.city')}</Text>
+              <TextInput
+                style={styles.input}
+                accessibilityLabel={t('checkout.city')}
+                value={delivery.city}
+                onChangeText={(text) => handleDeliveryChange('city', text)}
+                placeholder={t('common.location')}
+                placeholderTextColor={colors.textMuted}
+              />
+            </View>
+            <View style={[styles.inputSection, styles.inputRowNarrow]}>
+              <Text style={styles.inputLabel}>{t('checkout.zipCode')}</Text>
+              <TextInput
+                style={styles.input}
+                accessibilityLabel={t('checkout.zipCode')}
+                value={delivery.zipCode}
+                onChangeText={(text) => handleDeliveryChange('zipCode', text)}
+                placeholder="60601"
+                placeholderTextColor={colors.textMuted}
+                keyboardType="number-pad"
+                maxLength={10}
+              />
+            </View>
+          </View>
+
+          {/* Contact */}
+          <View style={styles.inputSection}>
+            <Text style={styles.inputLabel}>{t('checkout.contactPhone')}</Text>
+            <TextInput
+              style={styles.input}
+              accessibilityLabel={t('checkout.contactPhone')}
+              value={phoneNumber}
+              onChangeText={(text) => setPhoneNumber(formatPhoneNumber(text))}
+              placeholder="(555) 123-4567"
+              placeholderTextColor={colors.textMuted}
+              keyboardType="phone-pad"
+            />
+          </View>
+
+          {/* Tip */}
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('totals.tip')}</Text>
+          <View style={styles.tipOptions}>
+            {TIP_OPTIONS.map((rate) => (
+              <TouchableOpacity
+                key={rate}
+                style={[styles.tipButton, tipRate === rate && styles.tipButtonSelected]}
+                onPress={() => setTipRate(rate)}
+                accessibilityRole="radio"
+                accessibilityState={{ checked: tipRate === rate }}
+              >
+                <Text style={[styles.tipButtonText, tipRate === rate && styles.tipButtonTextSelected]}>
+                  {formatTipLabel(rate)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {/* Payment */}
+          <Text style={styles.sectionTitle} accessibilityRole="header">{t('checkout.payment')}</Text>
+          <View style={styles.inputSection}>
+            <Text style={styles.inputLabel}>{t('checkout.cardName')}</Text>
+            <TextInput
+              style={styles.input}
+              accessibilityLabel={t('checkout.cardName')}
+              value={card.name}
+              onChangeText={(text) => handleCardChange('name', text)}
+              placeholder={t('checkout.cardNamePlaceholder')}
+              placeholderTextColor={colors.textMuted}
+              autoComplete="cc-name"
+            />
+          </View>
+          <View style={styles.inputSection}>
+            <Text style={styles.inputLabel}>{t('checkout.cardNumber')}</Text>
+            <TextInput
+              style={styles.input}
+              accessibilityLabel={t('checkout.cardNumber')}
+              value={card.number}
+              onChangeText={(text) => handleCardChange('number', text)}
+              placeholder="4242 4242 4242 4242"
+              placeholderTextColor={colors.textMuted}
+              keyboardType="number-pad"
+              autoComplete="cc-number"
+            />
+          </View>
+          <View style={styles.inputRow}>
+            <View style={[styles.inputSection, styles.inputRowHalf]}>
+              <Text style={styles.inputLabel}>{t('checkout.expiry')}</Text>
+              <TextInput
+                style={styles.input}
+                accessibilityLabel={t('checkout.expiry')}
+                value={card.expiry}
+                onChangeText={(text) => handleCardChange('expiry', text)}
+                placeholder={t('checkout.expiryPlaceholder')}
+                placeholderTextColor={colors.textMuted}
+                keyboardType="number-pad"
+                autoComplete="cc-exp"
+              />
+            </View>
+            <View style={[styles.inputSection, styles.inputRowHalf]}>
+              <Text style={styles.inputLabel}>{t('checkout.cvc')}</Text>
+              <TextInput
+                style={styles.input}
+                accessibilityLabel={t('checkout.cvc')}
+                value={card.cvc}
+                onChangeText={(text) => handleCardChange('cvc', text)}
+                placeholder="123"
+                placeholderTextColor={colors.textMuted}
+                keyboardType="number-pad"
+                secureTextEntry
+                autoComplete="cc-csc"
+              />
+            </View>
+          </View>
+
+          {/* Order Summary */}
+          <View style={styles.summary}>
+            <View style={styles.summaryRow}>
+              <Text style={styles.summaryLabel}>{t('totals.subtotal')}</Text>
+              <Text style={styles.summaryValue}>{formatMoney(totals.subtotal)}</Text>
+            </View>
+            <View style={styles.summaryRow}>
+              <Text style={styles.summaryLabel}>{t('totals.tax')}</Text>
+              <Text style={styles.summaryValue}>{formatMoney(totals.tax)}</Text>
+            </View>
+            <View style={styles.summaryRow}>
+              <Text style={styles.summaryLabel}>{t('totals.tip')}</Text>
+              <Text style={styles.summaryValue}>{formatMoney(totals.tip)}</Text>
+            </View>
+            <View style={[styles.summaryRow, styles.totalRow]}>
+              <Text style={styles.totalLabel}>{t('totals.total')}</Text>
+              <Text style={styles.totalValue}>{formatMoney(totals.total)}</Text>
+            </View>
+          </View>
+        </ScrollView>
+
+        {/* Action Buttons */}
+        <View style={styles.actionButtons}>
+          <TouchableOpacity
+            style={[styles.placeOrderButton, (isSubmitting || cartItems.length === 0) && styles.disabledButton]}
+            onPress={handlePlaceOrder}
+            disabled={isSubmitting || cartItems.length === 0}
+            accessibilityRole="button"
+            accessibilityLabel={t('checkout.placeOrderLabel', { total: formatMoney(totals.total) })}
+            accessibilityState={{ disabled: isSubmitting || cartItems.length === 0, busy: isSubmitting }}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator color={colors.onAccent} />
+            ) : (
+              <Text style={styles.placeOrderButtonText}>
+                {t('checkout.placeOrder', { total: formatMoney(totals.total) })}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  keyboardContainer: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: colors.background,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  backButton: {
+    padding: 8,
+    marginEnd: 8,
+  },
+  headerTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.tint,
+    flex: 1,
+  },
+  scrollView: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 20,
+    marginBottom: 16,
+  },
+  inputSection: {
+    marginBottom: 20,
+  },
+  inputLabel: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginBottom: 8,
+  },
+  input: {
+    textAlign: 'left',
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: colors.text,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  inputRowWide: {
+    flex: 2,
+  },
+  inputRowNarrow: {
+    flex: 1,
+  },
+  inputRowHalf: {
+    flex: 1,
+  },
+  tipOptions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  tipButton: {
+    flex: 1,
+    backgroundColor: colors.surface,
+    paddingVertical: 10,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: 'center',
+  },
+  tipButtonSelected: {
+    backgroundColor: colors.brand,
+    borderColor: colors.tint,
+  },
+  tipButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.tint,
+  },
+  tipButtonTextSelected: {
+    color: colors.onBrand,
+  },
+  summary: {
+    paddingVertical: 16,
+    marginBottom: 16,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  summaryLabel: {
+    fontSize: 16,
+    color: colors.textMuted,
+  },
+  summaryValue: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  totalRow: {
+    marginTop: 4,
+    marginBottom: 0,
+  },
+  totalLabel: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  totalValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.tint,
+  },
+  actionButtons: {
+    paddingHorizontal: 16,
+    paddingBottom: 20,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+    paddingTop: 16,
+  },
+  placeOrderButton: {
+    backgroundColor: colors.accent,
+    paddingVertical: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  placeOrderButtonText: {
+    color: colors.onAccent,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+});
+
+export default Checkout;
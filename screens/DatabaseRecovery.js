@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  Image,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import DatabaseOperations from '../database/DatabaseOperations';
+import { useTranslation } from '../i18n/LanguageContext';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+
+const DatabaseRecovery = ({ error, onRecovered }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const handleRetry = async () => {
+    setIsWorking(true);
+    try {
+      await DatabaseOperations.initializeDatabase();
+      onRecovered();
+    } catch (retryError) {
+      console.error('Database retry failed:', retryError);
+      Alert.alert(t('databaseRecovery.retryFailedTitle'), t('databaseRecovery.retryFailedMessage'));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const resetDatabase = async () => {
+    setIsWorking(true);
+    try {
+      await DatabaseOperations.resetDatabase();
+      await DatabaseOperations.initializeDatabase();
+      onRecovered();
+    } catch (resetError) {
+      console.error('Database reset failed:', resetError);
+      Alert.alert(t('common.error'), t('databaseRecovery.resetFailed'));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleReset = () => {
+    Alert.alert(
+      t('databaseRecovery.resetTitle'),
+      t('databaseRecovery.resetMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('databaseRecovery.reset'), style: 'destructive', onPress: resetDatabase },
+      ]
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.card}>
+        <Image
+          source={require('../assets/Logo.png')}
+          style={styles.logo}
+          resizeMode="contain"
+        />
+        <Text style={styles.title} accessibilityRole="header">{t('databaseRecovery.title')}</Text>
+        <Text style={styles.subtitle}>
+          {t('databaseRecovery.subtitle')}
+        </Text>
+        {error?.message ? (
+          <Text style={styles.errorDetails}>{error.message}</Text>
+        ) : null}
+
+        {isWorking ? (
+          <ActivityIndicator size="large" color={colors.tint} style={styles.spinner} />
+        ) : (
+          <View style={styles.buttonGroup}>
+            <TouchableOpacity
+              style={styles.primaryButton}
+              onPress={handleRetry}
+              accessibilityRole="button"
+            >
+              <Text style={styles.primaryButtonText}>{t('databaseRecovery.tryAgain')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={handleReset}
+              accessibilityRole="button"
+            >
+              <Text style={styles.secondaryButtonText}>{t('databaseRecovery.resetDatabase')}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    </SafeAreaView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.surfaceAlt,
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+  },
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 12,
+    padding: 32,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  logo: {
+    width: 80,
+    height: 80,
+    marginBottom: 24,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: colors.tint,
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: colors.textMuted,
+    textAlign: 'center',
+    lineHeight: 24,
+    marginBottom: 16,
+  },
+  errorDetails: {
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'center',
+    marginBottom: 24,
+    fontFamily: 'monospace',
+  },
+  spinner: {
+    marginVertical: 16,
+  },
+  buttonGroup: {
+    width: '100%',
+    gap: 16,
+  },
+  primaryButton: {
+    backgroundColor: colors.brand,
+    paddingVertical: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    color: colors.onBrand,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    backgroundColor: 'transparent',
+    paddingVertical: 16,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.tint,
+    alignItems: 'center',
+  },
+  secondaryButtonText: {
+    color: colors.tint,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default DatabaseRecovery;
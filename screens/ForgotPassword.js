@@ -0,0 +1,311 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { requestPasswordReset, resetPassword } from '../services/auth';
+import { isStrongPassword } from '../utils/password';
+import { ONE_TIME_CODE_LENGTH } from '../config/auth';
+import { getAuthErrorMessage } from '../utils/authErrors';
+import PasswordRules from '../components/PasswordRules';
+import { useTranslation } from '../i18n/LanguageContext';
+import { flipInRTL } from '../utils/rtl';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+
+// Route params: { email } to start from the address typed on the log-in step
+const ForgotPassword = ({ navigation, route }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const [email, setEmail] = useState(route?.params?.email ?? '');
+  // Whether a code was requested, which moves on to entering it
+  const [isCodeSent, setIsCodeSent] = useState(false);
+  const [code, setCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const isMismatched = confirmPassword !== '' && confirmPassword !== newPassword;
+  const canSubmit = !isSubmitting && (isCodeSent
+    ? code.trim().length === ONE_TIME_CODE_LENGTH && isStrongPassword(newPassword) && confirmPassword === newPassword
+    : email.trim() !== '' && email.includes('@'));
+
+  const withChange = (setter) => (value) => {
+    setErrorMessage(null);
+    setNotice(null);
+    setter(value);
+  };
+
+  const handleSendCode = async (isResend = false) => {
+    setIsSubmitting(true);
+    setErrorMessage(null);
+    try {
+      await requestPasswordReset(email.trim());
+      setIsCodeSent(true);
+      setNotice(isResend ? t('forgotPassword.codeResent') : null);
+    } catch (error) {
+      setErrorMessage(getAuthErrorMessage(error, t));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleReset = async () => {
+    setIsSubmitting(true);
+    try {
+      await resetPassword({ email: email.trim(), code, newPassword });
+
+      Alert.alert(
+        t('forgotPassword.successTitle'),
+        t('forgotPassword.successMessage'),
+        [{ text: t('common.ok'), onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      setErrorMessage(getAuthErrorMessage(error, t));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderField = ({ label, value, onChangeText, ...inputProps }) => (
+    <View style={styles.inputSection}>
+      <Text style={styles.inputLabel}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        value={value}
+        onChangeText={withChange(onChangeText)}
+        accessibilityLabel={label}
+        autoCapitalize="none"
+        placeholderTextColor={colors.textMuted}
+        {...inputProps}
+      />
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.keyboardContainer}
+      >
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+            accessibilityRole="button"
+            accessibilityLabel={t('common.back')}
+          >
+            <Ionicons name="arrow-back" size={24} color={colors.tint} style={flipInRTL} />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle} accessibilityRole="header">
+            {t('forgotPassword.title')}
+          </Text>
+        </View>
+
+        <ScrollView
+          style={styles.scrollView}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        >
+          {!isCodeSent ? (
+            <>
+              <Text style={styles.subtitle}>{t('forgotPassword.emailSubtitle')}</Text>
+              {renderField({
+                label: t('onboarding.email'),
+                value: email,
+                onChangeText: setEmail,
+                keyboardType: 'email-address',
+                textContentType: 'username',
+              })}
+            </>
+          ) : (
+            <>
+              <Text style={styles.subtitle}>{t('forgotPassword.codeSubtitle', { email: email.trim() })}</Text>
+              {renderField({
+                label: t('forgotPassword.code'),
+                value: code,
+                onChangeText: setCode,
+                keyboardType: 'number-pad',
+                maxLength: ONE_TIME_CODE_LENGTH,
+                textContentType: 'oneTimeCode',
+              })}
+              {renderField({
+                label: t('password.newPassword'),
+                value: newPassword,
+                onChangeText: setNewPassword,
+                secureTextEntry: true,
+                textContentType: 'newPassword',
+              })}
+              <PasswordRules password={newPassword} />
+              {renderField({
+                label: t('password.confirmPassword'),
+                value: confirmPassword,
+                onChangeText: setConfirmPassword,
+                secureTextEntry: true,
+                textContentType: 'newPassword',
+              })}
+              {isMismatched && (
+                <Text style={styles.errorText}>{t('password.mismatch')}</Text>
+              )}
+            </>
+          )}
+
+          {errorMessage && (
+            <Text style={styles.errorText} accessibilityRole="alert" accessibilityLiveRegion="polite">
+              {errorMessage}
+            </Text>
+          )}
+          {notice && (
+            <Text style={styles.noticeText} accessibilityLiveRegion="polite">{notice}</Text>
+          )}
+
+          {isCodeSent && (
+            <TouchableOpacity
+              style={styles.linkButton}
+              onPress={() => handleSendCode(true)}
+              disabled={isSubmitting}
+              accessibilityRole="button"
+            >
+              <Text style={styles.linkButtonText}>{t('forgotPassword.resend')}</Text>
+            </TouchableOpacity>
+          )}
+        </ScrollView>
+
+        {/* Action Buttons */}
+        <View style={styles.actionButtons}>
+          <TouchableOpacity
+            style={[styles.submitButton, !canSubmit && styles.disabledButton]}
+            onPress={isCodeSent ? handleReset : () => handleSendCode()}
+            disabled={!canSubmit}
+            accessibilityRole="button"
+            accessibilityState={{ disabled: !canSubmit, busy: isSubmitting }}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator color={colors.onBrand} />
+            ) : (
+              <Text style={styles.submitButtonText}>
+                {isCodeSent ? t('forgotPassword.reset') : t('forgotPassword.sendCode')}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  keyboardContainer: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: colors.background,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  backButton: {
+    padding: 8,
+    marginEnd: 8,
+  },
+  headerTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.tint,
+    flex: 1,
+  },
+  scrollView: {
+    flex: 1,
+    paddingHorizontal: 16,
+    paddingTop: 24,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: colors.textMuted,
+    lineHeight: 24,
+    marginBottom: 24,
+  },
+  inputSection: {
+    marginBottom: 20,
+  },
+  inputLabel: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginBottom: 8,
+  },
+  input: {
+    textAlign: 'left',
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: colors.text,
+  },
+  errorText: {
+    fontSize: 14,
+    color: colors.danger,
+    marginBottom: 12,
+  },
+  noticeText: {
+    fontSize: 14,
+    color: colors.text,
+    marginBottom: 12,
+  },
+  linkButton: {
+    alignSelf: 'flex-start',
+    paddingVertical: 8,
+    marginBottom: 24,
+  },
+  linkButtonText: {
+    color: colors.tint,
+    fontSize: 16,
+    fontWeight: '600',
+    textDecorationLine: 'underline',
+  },
+  actionButtons: {
+    paddingHorizontal: 16,
+    paddingBottom: 20,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+    paddingTop: 16,
+  },
+  submitButton: {
+    backgroundColor: colors.brand,
+    paddingVertical: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  submitButtonText: {
+    color: colors.onBrand,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+});
+
+export default ForgotPassword;
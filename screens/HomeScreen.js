@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback, memo, Profiler } from 'react';
 import {
   View,
   Text,
@@ -11,135 +11,500 @@ import {
   ActivityIndicator,
   TextInput,
   ScrollView,
+  RefreshControl,
+  AppState,
+  Modal,
+  AccessibilityInfo,
+  useWindowDimensions,
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import * as SQLite from 'expo-sqlite';
-import { Ionicons } from '@expo/vector-icons';
-
-// Database operations
-const DatabaseOperations = {
-  async initializeDatabase() {
-    const database = await SQLite.openDatabaseAsync('little_lemon');
-
-    await database.execAsync(`
-      CREATE TABLE IF NOT EXISTS menu (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        price REAL NOT NULL,
-        description TEXT,
-        image TEXT,
-        category TEXT
-      );
-    `);
+import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
+import DatabaseOperations, {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  DEFAULT_MENU_SORT,
+  getMenuItemKey,
+} from '../database/DatabaseOperations';
+import CartOperations from '../database/CartOperations';
+import FavoriteOperations from '../database/FavoriteOperations';
+import { cacheMenuImages } from '../utils/imageCache';
+import { getMenuSource, MenuValidationError } from '../services/menu';
+import { MENU_PROFILING } from '../config/menu';
+import { logRenderTiming } from '../utils/profiling';
+import MenuImage from '../components/MenuImage';
+import { DIETARY_TAGS, DIETARY_TAGS_BY_ID } from '../config/dietary';
+import { getDefaultSelections, validateSelections } from '../utils/modifiers';
+import { formatMoney, formatEditableAmount } from '../utils/money';
+import { useTranslation } from '../i18n/LanguageContext';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+import { BADGE_MAX_FONT_SCALE, useReduceMotion } from '../utils/accessibility';
 
-    return database;
-  },
+// How often the menu is re-synced while the app is open
+const MENU_REFRESH_INTERVAL = 15 * 60 * 1000;
 
-  async getAllMenuItems(database) {
-    return await database.getAllAsync('SELECT * FROM menu ORDER BY name');
-  },
+// Dishes fetched per page as the list scrolls
+const MENU_PAGE_SIZE = 30;
 
-  async saveMenuItems(database, menuItems) {
-    for (const item of menuItems) {
-      await database.runAsync(
-        'INSERT INTO menu (name, price, description, image, category) VALUES (?, ?, ?, ?, ?)',
-        [item.name, item.price, item.description, item.image, item.category || 'Main']
-      );
-    }
-  },
+// Every row has the same height so FlatList can skip measuring them. The
+// padding, tag icons and buttons are a fixed size; the name, the two
+// description lines and the price line grow with the device text size.
+const MENU_ITEM_FIXED_HEIGHT = 85;
+const MENU_ITEM_TEXT_HEIGHT = 84;
+const MENU_DESCRIPTION_HEIGHT = 40;
 
-  async filterByCategories(database, categories) {
-    if (categories.length === 0) {
-      return await this.getAllMenuItems(database);
-    }
+const getMenuItemHeight = (fontScale) => Math.ceil(MENU_ITEM_FIXED_HEIGHT + MENU_ITEM_TEXT_HEIGHT * fontScale);
 
-    const placeholders = categories.map(() => '?').join(',');
-    const query = `SELECT * FROM menu WHERE category IN (${placeholders}) ORDER BY name`;
-    return await database.getAllAsync(query, categories);
-  },
+// Sort and price range chosen in the menu options sheet, restored on launch
+const MENU_PREFERENCES_KEY = 'menuPreferences';
+
+const DEFAULT_MENU_PREFERENCES = { sort: DEFAULT_MENU_SORT, minPrice: null, maxPrice: null };
+
+// Search, filters and scroll position from the last visit, restored when the
+// app is relaunched. Bump the version when the saved shape changes so a
+// session saved by an older build is ignored.
+const MENU_SESSION_KEY = 'menuSession';
+const MENU_SESSION_VERSION = 1;
+
+// Labelled by the home.sort.<id> strings
+const SORT_OPTIONS = ['name', 'price_asc', 'price_desc', 'newest', 'most_ordered'];
+
+const parsePrice = (text) => {
+  const value = parseFloat(String(text).replace(',', '.'));
+  return Number.isFinite(value) && value >= 0 ? value : null;
+};
+
+// Category Button Component
+const CategoryButton = ({ category, isSelected, onPress, icon }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <TouchableOpacity
+      style={[
+        styles.categoryButton,
+        isSelected && styles.categoryButtonSelected
+      ]}
+      onPress={() => onPress(category)}
+      accessibilityRole="button"
+      accessibilityState={{ selected: isSelected }}
+    >
+      {icon && (
+        <Ionicons
+          name={icon}
+          size={14}
+          color={isSelected ? colors.onBrand : colors.tint}
+          style={styles.categoryButtonIcon}
+        />
+      )}
+      <Text style={[
+        styles.categoryButtonText,
+        isSelected && styles.categoryButtonTextSelected
+      ]}>
+        {category}
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+// Dietary filter chip. Tapping cycles through the tag's usual mode ("only
+// vegan", "no nuts"), the opposite mode and off.
+const DietaryChip = ({ tag, mode, onPress }) => {
+  const { t, language } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
 
-  async filterBySearchAndCategories(database, searchText, categories) {
-    let query = 'SELECT * FROM menu WHERE 1=1';
-    const params = [];
+  const label = t(`dietary.${tag.id}`);
 
-    if (searchText && searchText.trim()) {
-      query += ' AND name LIKE ?';
-      params.push(`%${searchText.trim()}%`);
+  return (
+    <TouchableOpacity
+      style={[
+        styles.dietaryChip,
+        mode === 'include' && styles.dietaryChipInclude,
+        mode === 'exclude' && styles.dietaryChipExclude,
+      ]}
+      onPress={() => onPress(tag)}
+      accessibilityRole="button"
+      accessibilityState={{ selected: !!mode }}
+    >
+      <MaterialCommunityIcons
+        name={tag.icon}
+        size={14}
+        color={mode === 'include' ? colors.onBrand : colors.tint}
+        style={styles.categoryButtonIcon}
+      />
+      <Text style={[
+        styles.dietaryChipText,
+        mode === 'include' && styles.categoryButtonTextSelected,
+      ]}>
+        {mode === 'exclude' ? t('home.excludeTag', { tag: label.toLocaleLowerCase(language) }) : label}
+      </Text>
+    </TouchableOpacity>
+  );
+};
+
+// Small icons for the tags on a dish. Rendered even when empty so every menu
+// row keeps the same height.
+const DishTags = ({ tags }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.dishTags}>
+      {tags.map((id) => DIETARY_TAGS_BY_ID[id] && (
+        <MaterialCommunityIcons
+          key={id}
+          name={DIETARY_TAGS_BY_ID[id].icon}
+          size={16}
+          color={colors.textMuted}
+          style={styles.dishTagIcon}
+          accessibilityLabel={t(`dietary.${id}`)}
+        />
+      ))}
+    </View>
+  );
+};
+
+// Bottom sheet for choosing the sort order and price range
+const MenuOptionsModal = ({ visible, preferences, onApply, onClose }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const reduceMotion = useReduceMotion();
+  const [sort, setSort] = useState(preferences.sort);
+  const [minPrice, setMinPrice] = useState('');
+  const [maxPrice, setMaxPrice] = useState('');
+
+  // Start from the saved choice every time the sheet opens
+  useEffect(() => {
+    if (visible) {
+      setSort(preferences.sort);
+      setMinPrice(preferences.minPrice != null ? formatEditableAmount(preferences.minPrice) : '');
+      setMaxPrice(preferences.maxPrice != null ? formatEditableAmount(preferences.maxPrice) : '');
     }
+  }, [visible]);
 
-    if (categories.length > 0) {
-      const placeholders = categories.map(() => '?').join(',');
-      query += ` AND category IN (${placeholders})`;
-      params.push(...categories);
+  const handleApply = () => {
+    let min = parsePrice(minPrice);
+    let max = parsePrice(maxPrice);
+    if (min != null && max != null && min > max) {
+      [min, max] = [max, min];
     }
+    onApply({ sort, minPrice: min, maxPrice: max });
+  };
 
-    query += ' ORDER BY name';
-    return await database.getAllAsync(query, params);
-  },
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType={reduceMotion ? 'fade' : 'slide'}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalBackdrop}>
+        <View style={styles.modalSheet}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle} accessibilityRole="header">{t('home.options.title')}</Text>
+            <TouchableOpacity
+              onPress={onClose}
+              accessibilityRole="button"
+              accessibilityLabel={t('common.close')}
+            >
+              <Ionicons name="close" size={24} color={colors.tint} />
+            </TouchableOpacity>
+          </View>
 
-  async getCategories(database) {
-    const result = await database.getAllAsync('SELECT DISTINCT category FROM menu ORDER BY category');
-    return result.map(row => row.category);
-  }
+          <Text style={styles.modalSectionTitle} accessibilityRole="header">{t('home.options.sortBy')}</Text>
+          {SORT_OPTIONS.map((option) => (
+            <TouchableOpacity
+              key={option}
+              style={styles.sortOption}
+              onPress={() => setSort(option)}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: sort === option }}
+            >
+              <Ionicons
+                name={sort === option ? 'radio-button-on' : 'radio-button-off'}
+                size={20}
+                color={colors.tint}
+              />
+              <Text style={styles.sortOptionText}>{t(`home.sort.${option}`)}</Text>
+            </TouchableOpacity>
+          ))}
+
+          <Text style={styles.modalSectionTitle} accessibilityRole="header">{t('home.options.priceRange')}</Text>
+          <View style={styles.priceRange}>
+            <TextInput
+              style={styles.priceInput}
+              placeholder={t('home.options.min')}
+              placeholderTextColor={colors.textMuted}
+              accessibilityLabel={t('home.options.minPrice')}
+              keyboardType="decimal-pad"
+              value={minPrice}
+              onChangeText={setMinPrice}
+            />
+            <Text style={styles.priceRangeSeparator}>–</Text>
+            <TextInput
+              style={styles.priceInput}
+              placeholder={t('home.options.max')}
+              placeholderTextColor={colors.textMuted}
+              accessibilityLabel={t('home.options.maxPrice')}
+              keyboardType="decimal-pad"
+              value={maxPrice}
+              onChangeText={setMaxPrice}
+            />
+          </View>
+
+          <View style={styles.modalActions}>
+            <TouchableOpacity
+              style={styles.modalResetButton}
+              onPress={() => onApply(DEFAULT_MENU_PREFERENCES)}
+              accessibilityRole="button"
+            >
+              <Text style={styles.modalResetButtonText}>{t('home.options.reset')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.modalApplyButton}
+              onPress={handleApply}
+              accessibilityRole="button"
+            >
+              <Text style={styles.modalApplyButtonText}>{t('home.options.apply')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
 };
 
-// Category Button Component
-const CategoryButton = ({ category, isSelected, onPress }) => (
-  <TouchableOpacity
-    style={[
-      styles.categoryButton,
-      isSelected && styles.categoryButtonSelected
-    ]}
-    onPress={() => onPress(category)}
-  >
-    <Text style={[
-      styles.categoryButtonText,
-      isSelected && styles.categoryButtonTextSelected
-    ]}>
-      {category}
-    </Text>
-  </TouchableOpacity>
-);
+// Renders search results with the matched terms emphasised
+const HighlightedText = ({ text, style, highlightStyle, ...props }) => {
+  const parts = [];
+  let isMatch = false;
+  let buffer = '';
 
-// Banner Component
-const Banner = ({ searchText, onSearchChange }) => (
-  <View style={styles.bannerSection}>
-    <Text style={styles.restaurantName}>Little Lemon</Text>
-    <Text style={styles.restaurantLocation}>Chicago</Text>
-    <View style={styles.bannerContent}>
-      <View style={styles.bannerText}>
-        <Text style={styles.bannerDescription}>
-          We are a family owned Mediterranean restaurant, focused on traditional recipes served with a modern twist.
+  for (const char of text) {
+    if (char === HIGHLIGHT_START || char === HIGHLIGHT_END) {
+      if (buffer) parts.push({ text: buffer, isMatch });
+      buffer = '';
+      isMatch = char === HIGHLIGHT_START;
+    } else {
+      buffer += char;
+    }
+  }
+  if (buffer) parts.push({ text: buffer, isMatch });
+
+  return (
+    <Text style={style} {...props}>
+      {parts.map((part, index) => (
+        <Text key={index} style={part.isMatch ? highlightStyle : undefined}>
+          {part.text}
         </Text>
-        <View style={styles.searchContainer}>
-          <Ionicons name="search" size={20} color="#7C7C7C" style={styles.searchIcon} />
-          <TextInput
-            style={styles.searchInput}
-            placeholder="Search menu..."
-            placeholderTextColor="#7C7C7C"
-            value={searchText}
-            onChangeText={onSearchChange}
+      ))}
+    </Text>
+  );
+};
+
+// One dish in the menu list. Memoized so that loading another page or changing
+// one dish's cart quantity only re-renders the rows that changed.
+const MenuItemRow = memo(({ item, quantity, isFavorite, onPress, onAdd, onRemove, onToggleFavorite }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { fontScale } = useWindowDimensions();
+
+  // VoiceOver reads the row as one element, so the buttons inside it are
+  // offered as actions on the row
+  const favoriteLabel = isFavorite ? t('home.removeFromFavorites') : t('home.addToFavorites');
+  const accessibilityActions = [
+    { name: 'add', label: t('home.addOne') },
+    ...(quantity ? [{ name: 'remove', label: t('home.removeOne') }] : []),
+    { name: 'favorite', label: favoriteLabel },
+  ];
+
+  const handleAccessibilityAction = ({ nativeEvent }) => {
+    if (nativeEvent.actionName === 'add') onAdd(item);
+    if (nativeEvent.actionName === 'remove') onRemove(item.id);
+    if (nativeEvent.actionName === 'favorite') onToggleFavorite(item.id);
+  };
+
+  return (
+    <TouchableOpacity
+      style={[styles.menuItem, { height: getMenuItemHeight(fontScale) }]}
+      onPress={() => onPress(item)}
+      accessibilityRole="button"
+      accessibilityLabel={[
+        item.name,
+        formatMoney(item.price),
+        ...(item.tags || []).filter(id => DIETARY_TAGS_BY_ID[id]).map(id => t(`dietary.${id}`)),
+        quantity ? t('home.inCart', { count: quantity }) : null,
+      ].filter(Boolean).join(', ')}
+      accessibilityActions={accessibilityActions}
+      onAccessibilityAction={handleAccessibilityAction}
+    >
+      <View style={styles.menuItemContent}>
+        <View style={styles.menuItemTitleRow}>
+          {item.nameHighlight ? (
+            <HighlightedText
+              text={item.nameHighlight}
+              style={styles.menuItemName}
+              highlightStyle={styles.searchHighlight}
+              numberOfLines={1}
+            />
+          ) : (
+            <Text style={styles.menuItemName} numberOfLines={1}>{item.name}</Text>
+          )}
+          <TouchableOpacity
+            style={styles.favoriteButton}
+            onPress={() => onToggleFavorite(item.id)}
+            hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+            accessibilityRole="button"
+            accessibilityLabel={favoriteLabel}
+          >
+            <Ionicons
+              name={isFavorite ? 'heart' : 'heart-outline'}
+              size={20}
+              color={colors.tint}
+            />
+          </TouchableOpacity>
+        </View>
+        {item.snippet ? (
+          <HighlightedText
+            text={item.snippet}
+            style={[styles.menuItemDescription, { height: MENU_DESCRIPTION_HEIGHT * fontScale }]}
+            highlightStyle={styles.searchHighlight}
+            numberOfLines={2}
           />
+        ) : (
+          <Text
+            style={[styles.menuItemDescription, { height: MENU_DESCRIPTION_HEIGHT * fontScale }]}
+            numberOfLines={2}
+          >
+            {item.description}
+          </Text>
+        )}
+        <DishTags tags={item.tags || []} />
+        <View style={styles.menuItemFooter}>
+          <Text style={styles.menuItemPrice}>{formatMoney(item.price)}</Text>
+          {quantity ? (
+            <View style={styles.quantityControl}>
+              <TouchableOpacity
+                style={styles.quantityButton}
+                onPress={() => onRemove(item.id)}
+                accessibilityRole="button"
+                accessibilityLabel={t('home.removeOne')}
+              >
+                <Ionicons name="remove" size={18} color={colors.tint} />
+              </TouchableOpacity>
+              <Text style={styles.quantityText}>{quantity}</Text>
+              <TouchableOpacity
+                style={styles.quantityButton}
+                onPress={() => onAdd(item)}
+                accessibilityRole="button"
+                accessibilityLabel={t('home.addOne')}
+              >
+                <Ionicons name="add" size={18} color={colors.tint} />
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <TouchableOpacity
+              style={styles.addButton}
+              onPress={() => onAdd(item)}
+              accessibilityRole="button"
+            >
+              <Ionicons name="add" size={16} color={colors.onBrand} />
+              <Text style={styles.addButtonText}>{t('home.add')}</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </View>
-      <Image
-        source={require('../assets/Hero image.png')}
-        style={styles.bannerImage}
-        resizeMode="cover"
+      <MenuImage
+        image={item.image}
+        cachedPath={item.thumbnail_path}
+        style={styles.menuItemImage}
       />
+    </TouchableOpacity>
+  );
+});
+
+// Banner Component
+const Banner = ({ searchText, onSearchChange }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.bannerSection}>
+      <Text style={styles.restaurantName}>{t('common.restaurantName')}</Text>
+      <Text style={styles.restaurantLocation}>{t('common.location')}</Text>
+      <View style={styles.bannerContent}>
+        <View style={styles.bannerText}>
+          <Text style={styles.bannerDescription}>
+            {t('home.bannerDescription')}
+          </Text>
+          <View style={styles.searchContainer}>
+            <Ionicons name="search" size={20} color={colors.textMuted} style={styles.searchIcon} />
+            <TextInput
+              style={styles.searchInput}
+              placeholder={t('home.searchPlaceholder')}
+              placeholderTextColor={colors.textMuted}
+              accessibilityLabel={t('home.searchPlaceholder')}
+              accessibilityRole="search"
+              value={searchText}
+              onChangeText={onSearchChange}
+            />
+          </View>
+        </View>
+        <Image
+          source={require('../assets/Hero image.png')}
+          style={styles.bannerImage}
+          resizeMode="cover"
+        />
+      </View>
     </View>
-  </View>
-);
+  );
+};
 
-const HomeScreen = ({ navigation }) => {
+// Route params: { category, q } from a menu link narrow the list to that
+// category and search text
+const HomeScreen = ({ navigation, route }) => {
+  const { t, language } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { fontScale } = useWindowDimensions();
   const [userData, setUserData] = useState(null);
-  const [menuItems, setMenuItems] = useState([]);
   const [filteredMenuItems, setFilteredMenuItems] = useState([]);
+  const [hasMoreItems, setHasMoreItems] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [categories, setCategories] = useState([]);
   const [selectedCategories, setSelectedCategories] = useState([]);
   const [searchText, setSearchText] = useState('');
   const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [lastUpdated, setLastUpdated] = useState(null);
   const [db, setDb] = useState(null);
+  const [cartQuantities, setCartQuantities] = useState({});
+  const [favoriteIds, setFavoriteIds] = useState(new Set());
+  const [showFavoritesOnly, setShowFavoritesOnly] = useState(false);
+  // Tag id -> 'include' | 'exclude'
+  const [tagFilters, setTagFilters] = useState({});
+  const [menuPreferences, setMenuPreferences] = useState(DEFAULT_MENU_PREFERENCES);
+  const [showMenuOptions, setShowMenuOptions] = useState(false);
+  // Bumped whenever stored dishes change (a sync, or images finishing caching)
+  // so the list re-queries
+  const [menuVersion, setMenuVersion] = useState(0);
+  const isSyncingRef = useRef(false);
+  // Incremented per first-page query so pages of an outdated query are dropped
+  const filterRequestRef = useRef(0);
+  // The filters whose result count was last read out by the screen reader
+  const announcedFiltersRef = useRef(null);
+  const menuListRef = useRef(null);
+  // First row on screen, saved with the session
+  const scrollIndexRef = useRef(0);
+  // Row to return to once the restored filters have loaded
+  const restoreScrollIndexRef = useRef(null);
+  // The session is saved only after the saved one was applied, so the empty
+  // filters of the first render do not overwrite it
+  const [isSessionRestored, setIsSessionRestored] = useState(false);
 
   // Debounce hook
   const useDebounce = (value, delay) => {
@@ -173,41 +538,123 @@ const HomeScreen = ({ navigation }) => {
   useEffect(() => {
     const unsubscribe = navigation.addListener('focus', () => {
       loadUserData();
+      loadCart();
+      loadFavorites();
     });
     return unsubscribe;
   }, [navigation]);
 
-  // Handle filtering when search text or categories change
   useEffect(() => {
-    if (db) {
+    const { category, q } = route?.params || {};
+    if (category) {
+      setSelectedCategories([category]);
+    }
+    if (q != null) {
+      setSearchText(q);
+    }
+  }, [route?.params]);
+
+  // Handle filtering when search text or any filter or sort changes, or the menu was re-synced.
+  // A restored search waits for the debounce rather than listing the whole menu first.
+  useEffect(() => {
+    if (db && debouncedSearchText === searchText) {
       handleFilter();
     }
-  }, [debouncedSearchText, selectedCategories, db]);
+  }, [
+    debouncedSearchText,
+    selectedCategories,
+    showFavoritesOnly,
+    // Only refilter on favorite changes when they decide what is listed;
+    // otherwise toggling a heart would send the list back to its first page
+    showFavoritesOnly ? favoriteIds : null,
+    tagFilters,
+    menuPreferences,
+    menuVersion,
+    db,
+  ]);
+
+  useEffect(() => {
+    if (isSessionRestored) {
+      saveMenuSession();
+    }
+  }, [isSessionRestored, debouncedSearchText, selectedCategories, showFavoritesOnly, tagFilters]);
+
+  // Scroll back once the restored list is on screen
+  useEffect(() => {
+    const index = restoreScrollIndexRef.current;
+    if (index == null || loading || !userData || filteredMenuItems.length === 0) return;
+
+    restoreScrollIndexRef.current = null;
+    scrollIndexRef.current = Math.min(index, filteredMenuItems.length - 1);
+    menuListRef.current?.scrollToIndex({ index: scrollIndexRef.current, animated: false });
+  }, [filteredMenuItems, loading, userData]);
+
+  // Keep the menu fresh while the app is open and whenever it returns to the foreground
+  useEffect(() => {
+    if (!db) return;
+
+    const interval = setInterval(() => {
+      syncMenu(db, { silent: true });
+    }, MENU_REFRESH_INTERVAL);
+
+    const subscription = AppState.addEventListener('change', async (nextState) => {
+      if (nextState === 'active' && await isMenuStale(db)) {
+        syncMenu(db, { silent: true });
+      }
+    });
+
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, [db]);
 
   const initializeDatabase = async () => {
     try {
+      // Before the first query so the list opens in the saved order and filters
+      await loadMenuPreferences();
+      await restoreMenuSession();
+
       const database = await DatabaseOperations.initializeDatabase();
       setDb(database);
 
       await loadMenuData(database);
       await loadCategories(database);
+      await loadCart();
+      await loadFavorites();
     } catch (error) {
       console.error('Database initialization error:', error);
       setLoading(false);
     }
   };
 
+  const isMenuStale = async (database) => {
+    const updatedAt = await DatabaseOperations.getLastUpdated(database);
+    return !updatedAt || Date.now() - new Date(updatedAt).getTime() > MENU_REFRESH_INTERVAL;
+  };
+
   const loadMenuData = async (database) => {
     try {
-      const result = await DatabaseOperations.getAllMenuItems(database);
+      const itemCount = await DatabaseOperations.getMenuItemCount(database);
 
-      if (result.length > 0) {
+      if (itemCount > 0) {
         console.log('Loading menu from database');
-        setMenuItems(result);
-        setFilteredMenuItems(result);
+        setLastUpdated(await DatabaseOperations.getLastUpdated(database));
+
+        if (await isMenuStale(database)) {
+          // Show what we have straight away and refresh behind it
+          syncMenu(database, { silent: true });
+        } else {
+          // Retry images that could not be downloaded last time
+          updateImageCache(database);
+        }
       } else {
-        console.log('Fetching menu from API');
-        await fetchAndStoreMenuData(database);
+        // First launch: show the menu shipped with the app, then fetch the
+        // latest behind it. The seed does not count as a sync, so the menu
+        // stays stale until a fetch succeeds.
+        console.log('Seeding menu from bundled data');
+        await syncMenu(database, { source: getMenuSource('bundled'), markUpdated: false });
+        syncMenu(database, { silent: true });
       }
     } catch (error) {
       console.error('Error loading menu data:', error);
@@ -216,24 +663,65 @@ const HomeScreen = ({ navigation }) => {
     }
   };
 
-  const fetchAndStoreMenuData = async (database) => {
+  // Fetches the menu from `source` (the configured menu source by default)
+  // and stores it
+  const syncMenu = async (database, { silent = false, source = null, markUpdated = true } = {}) => {
+    if (isSyncingRef.current) return;
+    isSyncingRef.current = true;
+
     try {
-      const response = await fetch('https://raw.githubusercontent.com/Meta-Mobile-Developer-PC/Working-With-Data-API/main/capstone.json');
-      const data = await response.json();
+      const menuSource = source || getMenuSource();
+      const items = await menuSource.fetchMenu();
+
+      const summary = await DatabaseOperations.syncMenuItems(database, items, { markUpdated });
+      console.log(`Menu synced from ${menuSource.name}:`, summary);
 
-      if (data.menu && Array.isArray(data.menu)) {
-        await DatabaseOperations.saveMenuItems(database, data.menu);
+      await loadCategories(database);
+      // Lines for dishes that left the menu were removed with them
+      await loadCart();
+      // A favorite dish that returned to the menu comes back with a new id
+      await loadFavorites();
+      setLastUpdated(await DatabaseOperations.getLastUpdated(database));
+      setMenuVersion(version => version + 1);
+
+      // Downloads run behind the list, which shows remote images meanwhile
+      updateImageCache(database);
+    } catch (error) {
+      if (error instanceof MenuValidationError) {
+        console.error('Menu payload rejected:', error.issues);
+        if (!silent) {
+          Alert.alert(t('home.menuUnavailableTitle'), t('home.menuUnavailableMessage'));
+        }
+      } else {
+        console.error('Error fetching menu data:', error);
+        if (!silent) {
+          Alert.alert(t('common.error'), t('home.loadMenuFailed'));
+        }
+      }
+    } finally {
+      isSyncingRef.current = false;
+    }
+  };
 
-        const storedItems = await DatabaseOperations.getAllMenuItems(database);
-        setMenuItems(storedItems);
-        setFilteredMenuItems(storedItems);
+  const updateImageCache = async (database) => {
+    try {
+      const summary = await cacheMenuImages(database);
+      if (summary.cached > 0) {
+        setMenuVersion(version => version + 1);
       }
     } catch (error) {
-      console.error('Error fetching menu data:', error);
-      Alert.alert('Error', 'Failed to load menu data. Please check your internet connection.');
+      console.error('Error caching menu images:', error);
     }
   };
 
+  const handleRefresh = async () => {
+    if (!db) return;
+
+    setRefreshing(true);
+    await syncMenu(db);
+    setRefreshing(false);
+  };
+
   const loadCategories = async (database) => {
     try {
       const categoryList = await DatabaseOperations.getCategories(database);
@@ -243,21 +731,149 @@ const HomeScreen = ({ navigation }) => {
     }
   };
 
+  const fetchMenuPage = (after = null, limit = MENU_PAGE_SIZE) => DatabaseOperations.filterBySearchAndCategories(
+    db,
+    debouncedSearchText,
+    selectedCategories,
+    {
+      favoritesOnly: showFavoritesOnly,
+      includeTags: Object.keys(tagFilters).filter(tag => tagFilters[tag] === 'include'),
+      excludeTags: Object.keys(tagFilters).filter(tag => tagFilters[tag] === 'exclude'),
+      ...menuPreferences,
+      limit,
+      after,
+    }
+  );
+
+  // Loads the first page for the current filters
   const handleFilter = async () => {
     if (!db) return;
 
+    const requestId = ++filterRequestRef.current;
     try {
-      const filtered = await DatabaseOperations.filterBySearchAndCategories(
-        db,
-        debouncedSearchText,
-        selectedCategories
-      );
-      setFilteredMenuItems(filtered);
+      // A restored scroll position needs the rows down to it, plus a page
+      const restoreIndex = restoreScrollIndexRef.current;
+      const limit = restoreIndex ? restoreIndex + MENU_PAGE_SIZE : MENU_PAGE_SIZE;
+      const page = await fetchMenuPage(null, limit);
+      if (requestId !== filterRequestRef.current) return;
+
+      setFilteredMenuItems(page);
+      setHasMoreItems(page.length === limit);
+      announceResults(page);
     } catch (error) {
       console.error('Error filtering menu items:', error);
     }
   };
 
+  // Only after the search or a filter changed, not when the first page loads
+  // or a sync refreshes the same list. Only a page is loaded, so a full page
+  // is read as "30 or more".
+  const announceResults = (page) => {
+    const filters = JSON.stringify([
+      debouncedSearchText,
+      selectedCategories,
+      showFavoritesOnly,
+      tagFilters,
+      menuPreferences,
+    ]);
+    if (announcedFiltersRef.current !== null && announcedFiltersRef.current !== filters) {
+      AccessibilityInfo.announceForAccessibility(
+        page.length === MENU_PAGE_SIZE
+          ? t('home.resultsOrMore', { count: page.length })
+          : t('home.results', { count: page.length })
+      );
+    }
+    announcedFiltersRef.current = filters;
+  };
+
+  const handleLoadMore = async () => {
+    if (!db || !hasMoreItems || loadingMore || filteredMenuItems.length === 0) return;
+
+    const requestId = filterRequestRef.current;
+    setLoadingMore(true);
+    try {
+      const lastItem = filteredMenuItems[filteredMenuItems.length - 1];
+      const page = await fetchMenuPage(lastItem.cursor);
+      if (requestId !== filterRequestRef.current) return;
+
+      setFilteredMenuItems(prev => [...prev, ...page]);
+      setHasMoreItems(page.length === MENU_PAGE_SIZE);
+    } catch (error) {
+      console.error('Error loading more menu items:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const loadCart = async () => {
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      const cartItems = await CartOperations.getCartItems(database);
+      const quantities = {};
+      // A dish in several configurations shows the portions of all of them
+      for (const line of cartItems) {
+        quantities[line.menuItemId] = (quantities[line.menuItemId] || 0) + line.quantity;
+      }
+      setCartQuantities(quantities);
+    } catch (error) {
+      console.error('Error loading cart:', error);
+    }
+  };
+
+  // Row handlers keep their identity between renders so memoized rows can skip
+  const handleOpenItem = useCallback((item) => {
+    navigation.navigate('MenuItemDetail', { dishKey: getMenuItemKey(item) });
+  }, [navigation]);
+
+  // A dish already in the cart gets another portion as last configured. A new
+  // dish is added with its default options, unless it needs a choice first.
+  const handleAddToCart = useCallback(async (item) => {
+    try {
+      if (!(await CartOperations.repeatItem(db, item.id))) {
+        const selections = getDefaultSelections(item.modifiers);
+        if (Object.keys(validateSelections(item.modifiers, selections, t)).length > 0) {
+          navigation.navigate('MenuItemDetail', { dishKey: getMenuItemKey(item) });
+          return;
+        }
+        await CartOperations.addItem(db, item.id, { selections });
+      }
+      await loadCart();
+    } catch (error) {
+      console.error('Error adding to cart:', error);
+      Alert.alert(t('common.error'), t('home.addToCartFailed'));
+    }
+  }, [db, navigation, t]);
+
+  const handleRemoveFromCart = useCallback(async (menuItemId) => {
+    try {
+      await CartOperations.removeItem(db, menuItemId);
+      await loadCart();
+    } catch (error) {
+      console.error('Error removing from cart:', error);
+    }
+  }, [db]);
+
+  const loadFavorites = async () => {
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      setFavoriteIds(new Set(await FavoriteOperations.getFavoriteIds(database)));
+    } catch (error) {
+      console.error('Error loading favorites:', error);
+    }
+  };
+
+  const handleToggleFavorite = useCallback(async (menuItemId) => {
+    try {
+      await FavoriteOperations.toggleFavorite(db, menuItemId);
+      await loadFavorites();
+    } catch (error) {
+      console.error('Error updating favorite:', error);
+      Alert.alert(t('common.error'), t('home.favoriteFailed'));
+    }
+  }, [db, t]);
+
+  const cartCount = Object.values(cartQuantities).reduce((sum, quantity) => sum + quantity, 0);
+
   const handleCategoryToggle = (category) => {
     setSelectedCategories(prev => {
       if (prev.includes(category)) {
@@ -268,6 +884,94 @@ const HomeScreen = ({ navigation }) => {
     });
   };
 
+  const loadMenuPreferences = async () => {
+    try {
+      const stored = await AsyncStorage.getItem(MENU_PREFERENCES_KEY);
+      if (stored) {
+        setMenuPreferences({ ...DEFAULT_MENU_PREFERENCES, ...JSON.parse(stored) });
+      }
+    } catch (error) {
+      console.error('Error loading menu preferences:', error);
+    }
+  };
+
+  const restoreMenuSession = async () => {
+    try {
+      const session = JSON.parse(await AsyncStorage.getItem(MENU_SESSION_KEY));
+      // Filters from a menu link replace the saved ones
+      const isFromLink = route?.params?.category || route?.params?.q != null;
+
+      if (session?.version === MENU_SESSION_VERSION && !isFromLink) {
+        setSearchText(session.searchText || '');
+        setSelectedCategories(session.selectedCategories || []);
+        setShowFavoritesOnly(!!session.showFavoritesOnly);
+        setTagFilters(session.tagFilters || {});
+        restoreScrollIndexRef.current = session.scrollIndex || null;
+      }
+    } catch (error) {
+      console.error('Error restoring menu session:', error);
+    } finally {
+      setIsSessionRestored(true);
+    }
+  };
+
+  const saveMenuSession = async () => {
+    try {
+      await AsyncStorage.setItem(MENU_SESSION_KEY, JSON.stringify({
+        version: MENU_SESSION_VERSION,
+        searchText: debouncedSearchText,
+        selectedCategories,
+        showFavoritesOnly,
+        tagFilters,
+        scrollIndex: scrollIndexRef.current,
+      }));
+    } catch (error) {
+      console.error('Error saving menu session:', error);
+    }
+  };
+
+  // Saved as a row index rather than an offset, so it still fits if the text
+  // size and with it the row height change before the next launch
+  const handleMenuScrollEnd = ({ nativeEvent }) => {
+    scrollIndexRef.current = Math.floor(nativeEvent.contentOffset.y / getMenuItemHeight(fontScale));
+    if (isSessionRestored) {
+      saveMenuSession();
+    }
+  };
+
+  const handleApplyMenuPreferences = async (preferences) => {
+    setMenuPreferences(preferences);
+    setShowMenuOptions(false);
+
+    try {
+      await AsyncStorage.setItem(MENU_PREFERENCES_KEY, JSON.stringify(preferences));
+    } catch (error) {
+      console.error('Error saving menu preferences:', error);
+    }
+  };
+
+  const hasCustomMenuPreferences =
+    menuPreferences.sort !== DEFAULT_MENU_SORT ||
+    menuPreferences.minPrice != null ||
+    menuPreferences.maxPrice != null;
+
+  const handleTagFilterToggle = (tag) => {
+    const firstMode = tag.kind === 'allergen' ? 'exclude' : 'include';
+    const secondMode = firstMode === 'include' ? 'exclude' : 'include';
+
+    setTagFilters(prev => {
+      const next = { ...prev };
+      if (!prev[tag.id]) {
+        next[tag.id] = firstMode;
+      } else if (prev[tag.id] === firstMode) {
+        next[tag.id] = secondMode;
+      } else {
+        delete next[tag.id];
+      }
+      return next;
+    });
+  };
+
   const loadUserData = async () => {
     try {
       const storedUserData = await AsyncStorage.getItem('userData');
@@ -296,26 +1000,70 @@ const HomeScreen = ({ navigation }) => {
     return `${firstInitial}${lastInitial}`;
   };
 
-  const getImageUrl = (imageName) => {
-    return `https://github.com/Meta-Mobile-Developer-PC/Working-With-Data-API/blob/main/images/${imageName}?raw=true`;
+  const formatLastUpdated = (timestamp) => {
+    const date = new Date(timestamp);
+    return date.toLocaleString(language, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
   };
 
 
-  const renderMenuItem = ({ item }) => (
-    <View style={styles.menuItem}>
-      <View style={styles.menuItemContent}>
-        <Text style={styles.menuItemName}>{item.name}</Text>
-        <Text style={styles.menuItemDescription} numberOfLines={2}>
-          {item.description}
-        </Text>
-        <Text style={styles.menuItemPrice}>${item.price.toFixed(2)}</Text>
-      </View>
-      <Image
-        source={{ uri: getImageUrl(item.image) }}
-        style={styles.menuItemImage}
-        resizeMode="cover"
-      />
-    </View>
+  const renderMenuItem = useCallback(({ item }) => (
+    <MenuItemRow
+      item={item}
+      quantity={cartQuantities[item.id] || 0}
+      isFavorite={favoriteIds.has(item.id)}
+      onPress={handleOpenItem}
+      onAdd={handleAddToCart}
+      onRemove={handleRemoveFromCart}
+      onToggleFavorite={handleToggleFavorite}
+    />
+  ), [cartQuantities, favoriteIds, handleOpenItem, handleAddToCart, handleRemoveFromCart, handleToggleFavorite]);
+
+  const getItemLayout = useCallback((data, index) => {
+    const height = getMenuItemHeight(fontScale);
+    return { length: height, offset: height * index, index };
+  }, [fontScale]);
+
+  const menuList = (
+    <FlatList
+      ref={menuListRef}
+      data={filteredMenuItems}
+      renderItem={renderMenuItem}
+      keyExtractor={(item) => item.id?.toString() || item.name}
+      getItemLayout={getItemLayout}
+      initialNumToRender={8}
+      maxToRenderPerBatch={10}
+      windowSize={7}
+      onEndReached={handleLoadMore}
+      onEndReachedThreshold={0.5}
+      onScrollEndDrag={handleMenuScrollEnd}
+      onMomentumScrollEnd={handleMenuScrollEnd}
+      showsVerticalScrollIndicator={false}
+      contentContainerStyle={styles.menuList}
+      refreshControl={
+        <RefreshControl
+          refreshing={refreshing}
+          onRefresh={handleRefresh}
+          colors={[colors.tint]}
+          tintColor={colors.tint}
+        />
+      }
+      ListFooterComponent={
+        loadingMore ? <ActivityIndicator color={colors.tint} style={styles.listFooter} /> : null
+      }
+      ListEmptyComponent={
+        showFavoritesOnly && favoriteIds.size === 0 ? (
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>{t('home.noFavoritesTitle')}</Text>
+            <Text style={styles.emptySubtext}>{t('home.noFavoritesSubtitle')}</Text>
+          </View>
+        ) : (
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>{t('home.noDishesTitle')}</Text>
+            <Text style={styles.emptySubtext}>{t('home.noDishesSubtitle')}</Text>
+          </View>
+        )
+      }
+    />
   );
 
   if (!userData || loading) {
@@ -327,8 +1075,8 @@ const HomeScreen = ({ navigation }) => {
             style={styles.loadingLogo}
             resizeMode="contain"
           />
-          <ActivityIndicator size="large" color="#F4CE14" style={styles.loadingSpinner} />
-          <Text style={styles.loadingText}>Loading menu...</Text>
+          <ActivityIndicator size="large" color={colors.accent} style={styles.loadingSpinner} />
+          <Text style={styles.loadingText}>{t('home.loadingMenu')}</Text>
         </View>
       </SafeAreaView>
     );
@@ -343,21 +1091,44 @@ const HomeScreen = ({ navigation }) => {
             source={require('../assets/Logo.png')}
             style={styles.headerLogo}
             resizeMode="contain"
+            accessible
+            accessibilityRole="image"
+            accessibilityLabel={t('common.restaurantName')}
           />
         </View>
 
-        <TouchableOpacity
-          style={styles.profileButton}
-          onPress={() => navigation.navigate('Profile')}
-        >
-          {userData.avatar ? (
-            <Image source={{ uri: userData.avatar }} style={styles.profileImage} />
-          ) : (
-            <View style={styles.profilePlaceholder}>
-              <Text style={styles.profileInitials}>{getInitials()}</Text>
-            </View>
-          )}
-        </TouchableOpacity>
+        <View style={styles.headerRight}>
+          <TouchableOpacity
+            style={styles.cartButton}
+            onPress={() => navigation.navigate('Cart')}
+            accessibilityRole="button"
+            accessibilityLabel={t('home.cart', { count: cartCount })}
+          >
+            <Ionicons name="basket-outline" size={30} color={colors.tint} />
+            {cartCount > 0 && (
+              <View style={styles.cartBadge}>
+                <Text style={styles.cartBadgeText} maxFontSizeMultiplier={BADGE_MAX_FONT_SCALE}>{cartCount > 99 ? '99+' : cartCount}</Text>
+              </View>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.profileButton}
+            onPress={() => navigation.navigate('Profile')}
+            accessibilityRole="button"
+            accessibilityLabel={t('home.profile')}
+          >
+            {userData.avatar ? (
+              <Image source={{ uri: userData.avatar }} style={styles.profileImage} />
+            ) : (
+              <View style={styles.profilePlaceholder}>
+                <Text style={styles.profileInitials} maxFontSizeMultiplier={BADGE_MAX_FONT_SCALE}>
+                  {getInitials()}
+                </Text>
+              </View>
+            )}
+          </TouchableOpacity>
+        </View>
       </View>
 
       {/* Banner with Search */}
@@ -368,7 +1139,26 @@ const HomeScreen = ({ navigation }) => {
 
       {/* Order for Delivery Title */}
       <View style={styles.deliveryTitleContainer}>
-        <Text style={styles.deliveryTitle}>ORDER FOR DELIVERY!</Text>
+        <View style={styles.deliveryTitleText}>
+          <Text style={styles.deliveryTitle} accessibilityRole="header">{t('home.orderForDelivery')}</Text>
+          {lastUpdated && (
+            <Text style={styles.lastUpdatedText}>
+              {t('home.menuUpdated', { time: formatLastUpdated(lastUpdated) })}
+            </Text>
+          )}
+        </View>
+        <TouchableOpacity
+          style={[styles.menuOptionsButton, hasCustomMenuPreferences && styles.menuOptionsButtonActive]}
+          onPress={() => setShowMenuOptions(true)}
+          accessibilityRole="button"
+          accessibilityLabel={t('home.menuOptions')}
+        >
+          <Ionicons
+            name="options-outline"
+            size={22}
+            color={hasCustomMenuPreferences ? colors.onBrand : colors.tint}
+          />
+        </TouchableOpacity>
       </View>
 
       {/* Categories */}
@@ -378,6 +1168,12 @@ const HomeScreen = ({ navigation }) => {
           showsHorizontalScrollIndicator={false}
           contentContainerStyle={styles.categoriesScrollContent}
         >
+          <CategoryButton
+            category={t('home.favorites')}
+            icon="heart"
+            isSelected={showFavoritesOnly}
+            onPress={() => setShowFavoritesOnly(prev => !prev)}
+          />
           {categories.map((category) => (
             <CategoryButton
               key={category}
@@ -387,37 +1183,51 @@ const HomeScreen = ({ navigation }) => {
             />
           ))}
         </ScrollView>
+
+        {/* Dietary Filters */}
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.categoriesScrollContent}
+        >
+          {DIETARY_TAGS.map((tag) => (
+            <DietaryChip
+              key={tag.id}
+              tag={tag}
+              mode={tagFilters[tag.id]}
+              onPress={handleTagFilterToggle}
+            />
+          ))}
+        </ScrollView>
       </View>
 
       {/* Menu Items */}
       <View style={styles.menuSection}>
-        <FlatList
-          data={filteredMenuItems}
-          renderItem={renderMenuItem}
-          keyExtractor={(item) => item.id?.toString() || item.name}
-          showsVerticalScrollIndicator={false}
-          contentContainerStyle={styles.menuList}
-          ItemSeparatorComponent={() => <View style={styles.separator} />}
-          ListEmptyComponent={
-            <View style={styles.emptyContainer}>
-              <Text style={styles.emptyText}>No dishes found</Text>
-              <Text style={styles.emptySubtext}>Try adjusting your search or category filters</Text>
-            </View>
-          }
-        />
+        {MENU_PROFILING ? (
+          <Profiler id="MenuList" onRender={logRenderTiming}>
+            {menuList}
+          </Profiler>
+        ) : menuList}
       </View>
+
+      <MenuOptionsModal
+        visible={showMenuOptions}
+        preferences={menuPreferences}
+        onApply={handleApplyMenuPreferences}
+        onClose={() => setShowMenuOptions(false)}
+      />
     </SafeAreaView>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#FFFFFF',
+    backgroundColor: colors.background,
   },
   loadingContainer: {
     flex: 1,
-    backgroundColor: '#495E57',
+    backgroundColor: colors.brand,
     justifyContent: 'center',
     alignItems: 'center',
   },
@@ -434,7 +1244,7 @@ const styles = StyleSheet.create({
   },
   loadingText: {
     fontSize: 18,
-    color: '#F4CE14',
+    color: colors.accent,
     fontWeight: '500',
   },
   header: {
@@ -443,9 +1253,9 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingHorizontal: 20,
     paddingVertical: 16,
-    backgroundColor: '#FFFFFF',
+    backgroundColor: colors.background,
     borderBottomWidth: 1,
-    borderBottomColor: '#EDEFEE',
+    borderBottomColor: colors.border,
   },
   headerLeft: {
     flex: 1,
@@ -455,6 +1265,34 @@ const styles = StyleSheet.create({
     width: 185,
     height: 40,
   },
+  headerRight: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  cartButton: {
+    width: 44,
+    height: 44,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginEnd: 8,
+  },
+  cartBadge: {
+    position: 'absolute',
+    top: 0,
+    end: 0,
+    minWidth: 20,
+    minHeight: 20,
+    borderRadius: 10,
+    paddingHorizontal: 4,
+    backgroundColor: colors.accent,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  cartBadgeText: {
+    color: colors.onAccent,
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
   profileButton: {
     width: 50,
     height: 50,
@@ -468,30 +1306,33 @@ const styles = StyleSheet.create({
     width: 50,
     height: 50,
     borderRadius: 25,
-    backgroundColor: '#495E57',
+    backgroundColor: colors.brand,
     justifyContent: 'center',
     alignItems: 'center',
   },
   profileInitials: {
-    color: '#FFFFFF',
+    color: colors.onBrand,
     fontSize: 16,
     fontWeight: 'bold',
   },
   bannerSection: {
-    backgroundColor: '#495E57',
+    backgroundColor: colors.brand,
     paddingHorizontal: 20,
     paddingVertical: 24,
   },
   restaurantName: {
+    // 'left' is the start side: React Native swaps it to 'right' in RTL layouts
+    textAlign: 'left',
     fontSize: 40,
     fontWeight: 'bold',
-    color: '#F4CE14',
+    color: colors.accent,
     marginBottom: 4,
     fontFamily: 'serif',
   },
   restaurantLocation: {
+    textAlign: 'left',
     fontSize: 28,
-    color: '#FFFFFF',
+    color: colors.onBrand,
     marginBottom: 16,
     fontFamily: 'serif',
   },
@@ -501,29 +1342,31 @@ const styles = StyleSheet.create({
   },
   bannerText: {
     flex: 1,
-    marginRight: 16,
+    marginEnd: 16,
   },
   bannerDescription: {
+    textAlign: 'left',
     fontSize: 16,
-    color: '#FFFFFF',
+    color: colors.onBrand,
     lineHeight: 24,
     marginBottom: 16,
   },
   searchContainer: {
     flexDirection: 'row',
     alignItems: 'center',
-    backgroundColor: '#FFFFFF',
+    backgroundColor: colors.background,
     borderRadius: 12,
     paddingHorizontal: 12,
     paddingVertical: 8,
   },
   searchIcon: {
-    marginRight: 8,
+    marginEnd: 8,
   },
   searchInput: {
+    textAlign: 'left',
     flex: 1,
     fontSize: 16,
-    color: '#333333',
+    color: colors.text,
     paddingVertical: 4,
   },
   bannerImage: {
@@ -532,17 +1375,39 @@ const styles = StyleSheet.create({
     borderRadius: 12,
   },
   deliveryTitleContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
     paddingHorizontal: 20,
     paddingTop: 24,
     paddingBottom: 16,
   },
+  deliveryTitleText: {
+    flex: 1,
+  },
   deliveryTitle: {
     fontSize: 20,
     fontWeight: 'bold',
-    color: '#333333',
+    color: colors.text,
     textTransform: 'uppercase',
     letterSpacing: 1,
   },
+  lastUpdatedText: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 4,
+  },
+  menuOptionsButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: colors.tint,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  menuOptionsButtonActive: {
+    backgroundColor: colors.brand,
+  },
   categoriesContainer: {
     paddingHorizontal: 20,
     marginBottom: 20,
@@ -551,26 +1416,54 @@ const styles = StyleSheet.create({
     paddingVertical: 8,
   },
   categoryButton: {
-    backgroundColor: '#EDEFEE',
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
     paddingHorizontal: 16,
     paddingVertical: 10,
     borderRadius: 20,
-    marginRight: 12,
+    marginEnd: 12,
     borderWidth: 1,
-    borderColor: '#EDEFEE',
+    borderColor: colors.border,
   },
   categoryButtonSelected: {
-    backgroundColor: '#495E57',
-    borderColor: '#495E57',
+    backgroundColor: colors.brand,
+    borderColor: colors.tint,
+  },
+  categoryButtonIcon: {
+    marginEnd: 6,
   },
   categoryButtonText: {
     fontSize: 14,
     fontWeight: '600',
-    color: '#495E57',
+    color: colors.tint,
     textTransform: 'capitalize',
   },
   categoryButtonTextSelected: {
-    color: '#FFFFFF',
+    color: colors.onBrand,
+  },
+  dietaryChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginEnd: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  dietaryChipInclude: {
+    backgroundColor: colors.brand,
+    borderColor: colors.tint,
+  },
+  dietaryChipExclude: {
+    borderColor: colors.tint,
+    borderStyle: 'dashed',
+  },
+  dietaryChipText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: colors.tint,
   },
   menuSection: {
     flex: 1,
@@ -581,40 +1474,103 @@ const styles = StyleSheet.create({
   },
   menuItem: {
     flexDirection: 'row',
-    backgroundColor: '#FFFFFF',
+    backgroundColor: colors.background,
     paddingVertical: 16,
     paddingHorizontal: 0,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+    overflow: 'hidden',
   },
   menuItemContent: {
     flex: 1,
-    marginRight: 16,
+    marginEnd: 16,
+  },
+  menuItemTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 8,
   },
   menuItemName: {
+    flex: 1,
     fontSize: 18,
+    lineHeight: 24,
     fontWeight: 'bold',
-    color: '#333333',
-    marginBottom: 8,
+    color: colors.text,
+  },
+  favoriteButton: {
+    marginStart: 8,
+    paddingTop: 2,
   },
   menuItemDescription: {
     fontSize: 14,
-    color: '#7C7C7C',
+    color: colors.textMuted,
     lineHeight: 20,
     marginBottom: 8,
   },
+  searchHighlight: {
+    fontWeight: 'bold',
+    color: colors.onAccent,
+    backgroundColor: colors.accent,
+  },
+  dishTags: {
+    flexDirection: 'row',
+    height: 16,
+    marginBottom: 8,
+  },
+  dishTagIcon: {
+    marginEnd: 6,
+  },
+  menuItemFooter: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.brand,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+  },
+  addButtonText: {
+    color: colors.onBrand,
+    fontSize: 14,
+    lineHeight: 20,
+    fontWeight: '600',
+    marginStart: 4,
+  },
+  quantityControl: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.tint,
+    borderRadius: 16,
+  },
+  quantityButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+  },
+  quantityText: {
+    minWidth: 20,
+    textAlign: 'center',
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
   menuItemPrice: {
     fontSize: 16,
+    lineHeight: 20,
     fontWeight: 'bold',
-    color: '#495E57',
+    color: colors.tint,
   },
   menuItemImage: {
     width: 80,
     height: 80,
     borderRadius: 8,
   },
-  separator: {
-    height: 1,
-    backgroundColor: '#EDEFEE',
-    marginVertical: 8,
+  listFooter: {
+    paddingVertical: 16,
   },
   emptyContainer: {
     alignItems: 'center',
@@ -623,14 +1579,104 @@ const styles = StyleSheet.create({
   emptyText: {
     fontSize: 18,
     fontWeight: '600',
-    color: '#7C7C7C',
+    color: colors.textMuted,
     marginBottom: 8,
   },
   emptySubtext: {
     fontSize: 14,
-    color: '#7C7C7C',
+    color: colors.textMuted,
     textAlign: 'center',
   },
+  modalBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: colors.backdrop,
+  },
+  modalSheet: {
+    backgroundColor: colors.background,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingHorizontal: 20,
+    paddingTop: 20,
+    paddingBottom: 32,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  modalSectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  sortOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  sortOptionText: {
+    fontSize: 16,
+    color: colors.text,
+    marginStart: 12,
+  },
+  priceRange: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  priceInput: {
+    textAlign: 'left',
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: colors.text,
+  },
+  priceRangeSeparator: {
+    marginHorizontal: 12,
+    fontSize: 16,
+    color: colors.textMuted,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    marginTop: 24,
+  },
+  modalResetButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.tint,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginEnd: 12,
+  },
+  modalResetButtonText: {
+    color: colors.tint,
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  modalApplyButton: {
+    flex: 1,
+    backgroundColor: colors.accent,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  modalApplyButtonText: {
+    color: colors.onAccent,
+    fontSize: 16,
+    fontWeight: '600',
+  },
   actionButtons: {
     paddingHorizontal: 20,
     paddingBottom: 20,
@@ -641,7 +1687,7 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   logoutButtonText: {
-    color: '#7C7C7C',
+    color: colors.textMuted,
     fontSize: 14,
     fontWeight: '500',
   },
@@ -0,0 +1,532 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
+import DatabaseOperations from '../database/DatabaseOperations';
+import CartOperations from '../database/CartOperations';
+import FavoriteOperations from '../database/FavoriteOperations';
+import MenuImage from '../components/MenuImage';
+import { DIETARY_TAGS_BY_ID } from '../config/dietary';
+import { MAX_INSTRUCTIONS_LENGTH } from '../config/modifiers';
+import {
+  getDefaultSelections,
+  getSelectedOptions,
+  isRequiredGroup,
+  toggleSelection,
+  validateSelections,
+} from '../utils/modifiers';
+import { calculateConfiguredPrice } from '../utils/pricing';
+import { formatMoney, formatMoneyDelta } from '../utils/money';
+import { useTranslation } from '../i18n/LanguageContext';
+import { flipInRTL } from '../utils/rtl';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+
+const describeGroupLimits = (group, t) => {
+  if (group.max === 1) return isRequiredGroup(group) ? t('modifiers.required') : t('modifiers.optional');
+  if (group.min === group.max) return t('modifiers.chooseExactly', { count: group.min });
+  return isRequiredGroup(group)
+    ? t('modifiers.chooseRange', { min: group.min, max: group.max })
+    : t('modifiers.optionalUpTo', { count: group.max });
+};
+
+// One modifier group: radio buttons when a single option may be picked,
+// checkboxes otherwise
+const ModifierGroup = ({ group, selected, error, onToggle }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const single = group.max === 1;
+
+  return (
+    <View style={styles.modifierGroup}>
+      <View style={styles.modifierHeader}>
+        <Text style={styles.modifierTitle} accessibilityRole="header">{group.name}</Text>
+        <Text
+          style={[styles.modifierLimits, error && styles.modifierLimitsError]}
+          accessibilityLiveRegion="polite"
+        >
+          {error || describeGroupLimits(group, t)}
+        </Text>
+      </View>
+      {group.options.map((option) => {
+        const isSelected = selected.includes(option.id);
+        const isFull = !single && !isSelected && selected.length >= group.max;
+        const icon = single
+          ? (isSelected ? 'radio-button-on' : 'radio-button-off')
+          : (isSelected ? 'checkbox' : 'square-outline');
+
+        return (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.optionRow, isFull && styles.optionRowDisabled]}
+            onPress={() => onToggle(group, option.id)}
+            disabled={isFull}
+            accessibilityRole={single ? 'radio' : 'checkbox'}
+            accessibilityState={{ checked: isSelected, disabled: isFull }}
+          >
+            <Ionicons name={icon} size={22} color={colors.tint} />
+            <Text style={styles.optionName}>{option.name}</Text>
+            <Text style={styles.optionPrice}>{formatMoneyDelta(option.price)}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+};
+
+// Route params: { dishKey } — the getMenuItemKey() of the dish to show, which
+// unlike its `menu.id` stays the same across menu syncs
+const MenuItemDetail = ({ navigation, route }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const dishKey = route?.params?.dishKey;
+  const [item, setItem] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isFavorite, setIsFavorite] = useState(false);
+  const [selections, setSelections] = useState({});
+  const [instructions, setInstructions] = useState('');
+  // Group errors are only shown once the user has tried to add the dish
+  const [showErrors, setShowErrors] = useState(false);
+
+  useEffect(() => {
+    loadItem();
+  }, [dishKey]);
+
+  const loadItem = async () => {
+    setLoading(true);
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      const menuItem = await DatabaseOperations.getMenuItemByKey(database, dishKey);
+      setItem(menuItem);
+      if (menuItem) {
+        setSelections(getDefaultSelections(menuItem.modifiers));
+        setInstructions('');
+        setShowErrors(false);
+        setIsFavorite(await FavoriteOperations.isFavorite(database, menuItem.id));
+      }
+    } catch (error) {
+      console.error('Error loading menu item:', error);
+      setItem(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleOption = (group, optionId) => {
+    setSelections(prev => toggleSelection(prev, group, optionId));
+  };
+
+  const handleAddToCart = async () => {
+    if (Object.keys(validateSelections(item.modifiers, selections, t)).length > 0) {
+      setShowErrors(true);
+      return;
+    }
+
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      await CartOperations.addItem(database, item.id, { selections, instructions });
+      Alert.alert(
+        t('menuItem.addedTitle'),
+        t('menuItem.addedMessage', { name: item.name }),
+        [
+          { text: t('menuItem.keepBrowsing'), style: 'cancel' },
+          { text: t('menuItem.viewCart'), onPress: () => navigation.navigate('Cart') },
+        ]
+      );
+    } catch (error) {
+      console.error('Error adding to cart:', error);
+      Alert.alert(t('common.error'), t('home.addToCartFailed'));
+    }
+  };
+
+  const handleToggleFavorite = async () => {
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      setIsFavorite(await FavoriteOperations.toggleFavorite(database, item.id));
+    } catch (error) {
+      console.error('Error updating favorite:', error);
+      Alert.alert(t('common.error'), t('home.favoriteFailed'));
+    }
+  };
+
+  const handleBack = () => {
+    if (navigation.canGoBack()) {
+      navigation.goBack();
+    } else {
+      navigation.navigate('Home');
+    }
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={colors.tint} />
+        </View>
+      );
+    }
+
+    if (!item) {
+      return (
+        <View style={styles.centered}>
+          <Text style={styles.emptyText}>{t('menuItem.notFoundTitle')}</Text>
+          <Text style={styles.emptySubtext}>{t('menuItem.notFoundSubtitle')}</Text>
+        </View>
+      );
+    }
+
+    const groupErrors = showErrors ? validateSelections(item.modifiers, selections, t) : {};
+    const configuredPrice = calculateConfiguredPrice(
+      item.price,
+      getSelectedOptions(item.modifiers, selections)
+    );
+
+    return (
+      <KeyboardAvoidingView
+        style={styles.content}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <ScrollView
+          style={styles.scrollView}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        >
+          <MenuImage
+            image={item.image}
+            cachedPath={item.image_path}
+            style={styles.heroImage}
+          />
+
+          <View style={styles.details}>
+            <View style={styles.titleRow}>
+              <Text style={styles.name}>{item.name}</Text>
+              <Text style={styles.price}>{formatMoney(item.price)}</Text>
+            </View>
+
+            {item.category ? (
+              <View style={styles.categoryChip}>
+                <Text style={styles.categoryChipText}>{item.category}</Text>
+              </View>
+            ) : null}
+
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('menuItem.description')}</Text>
+            <Text style={styles.description}>
+              {item.description || t('menuItem.noDescription')}
+            </Text>
+
+            {item.tags.length > 0 && (
+              <>
+                <Text style={[styles.sectionTitle, styles.tagsTitle]} accessibilityRole="header">{t('menuItem.dietaryInformation')}</Text>
+                <View style={styles.tagList}>
+                  {item.tags.map((id) => DIETARY_TAGS_BY_ID[id] && (
+                    <View key={id} style={styles.tag}>
+                      <MaterialCommunityIcons name={DIETARY_TAGS_BY_ID[id].icon} size={16} color={colors.tint} />
+                      <Text style={styles.tagText}>{t(`dietary.${id}`)}</Text>
+                    </View>
+                  ))}
+                </View>
+              </>
+            )}
+
+            {item.modifiers.map((group) => (
+              <ModifierGroup
+                key={group.id}
+                group={group}
+                selected={selections[group.id] || []}
+                error={groupErrors[group.id]}
+                onToggle={handleToggleOption}
+              />
+            ))}
+
+            <Text style={[styles.sectionTitle, styles.instructionsTitle]} accessibilityRole="header">
+              {t('menuItem.instructions')}
+            </Text>
+            <TextInput
+              style={styles.instructionsInput}
+              value={instructions}
+              onChangeText={setInstructions}
+              accessibilityLabel={t('menuItem.instructions')}
+              placeholder={t('menuItem.instructionsPlaceholder')}
+              placeholderTextColor={colors.textMuted}
+              maxLength={MAX_INSTRUCTIONS_LENGTH}
+              multiline
+            />
+            <Text style={styles.instructionsCount}>
+              {instructions.length}/{MAX_INSTRUCTIONS_LENGTH}
+            </Text>
+          </View>
+        </ScrollView>
+
+        <View style={styles.actionBar}>
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={handleAddToCart}
+            accessibilityRole="button"
+          >
+            <Ionicons name="basket-outline" size={20} color={colors.onBrand} />
+            <Text style={styles.addButtonText}>
+              {t('menuItem.addToCart', { price: formatMoney(configuredPrice) })}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={handleBack}
+          accessibilityRole="button"
+          accessibilityLabel={t('common.back')}
+        >
+          <Ionicons name="arrow-back" size={24} color={colors.tint} style={flipInRTL} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle} numberOfLines={1} accessibilityRole="header">
+          {item ? item.name : t('menuItem.title')}
+        </Text>
+        {item && (
+          <TouchableOpacity
+            style={styles.favoriteButton}
+            onPress={handleToggleFavorite}
+            accessibilityRole="button"
+            accessibilityLabel={isFavorite ? t('home.removeFromFavorites') : t('home.addToFavorites')}
+          >
+            <Ionicons name={isFavorite ? 'heart' : 'heart-outline'} size={24} color={colors.tint} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {renderContent()}
+    </SafeAreaView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: colors.background,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  backButton: {
+    padding: 8,
+    marginEnd: 8,
+  },
+  headerTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.tint,
+    flex: 1,
+  },
+  favoriteButton: {
+    padding: 8,
+    marginStart: 8,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+  },
+  emptyText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.textMuted,
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: colors.textMuted,
+    textAlign: 'center',
+  },
+  content: {
+    flex: 1,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  heroImage: {
+    width: '100%',
+    aspectRatio: 4 / 3,
+    backgroundColor: colors.surface,
+  },
+  details: {
+    paddingHorizontal: 20,
+    paddingVertical: 24,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: 12,
+  },
+  name: {
+    flex: 1,
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginEnd: 16,
+  },
+  price: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: colors.tint,
+  },
+  categoryChip: {
+    alignSelf: 'flex-start',
+    backgroundColor: colors.surface,
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    borderRadius: 20,
+    marginBottom: 24,
+  },
+  categoryChipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.tint,
+    textTransform: 'capitalize',
+  },
+  tagsTitle: {
+    marginTop: 24,
+  },
+  tagList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  tag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  tagText: {
+    fontSize: 13,
+    color: colors.text,
+    marginStart: 4,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 16,
+    color: colors.text,
+    lineHeight: 24,
+  },
+  modifierGroup: {
+    marginTop: 24,
+  },
+  modifierHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+    marginBottom: 4,
+  },
+  modifierTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  modifierLimits: {
+    fontSize: 13,
+    color: colors.textMuted,
+  },
+  modifierLimitsError: {
+    color: colors.danger,
+    fontWeight: '600',
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  optionRowDisabled: {
+    opacity: 0.4,
+  },
+  optionName: {
+    flex: 1,
+    fontSize: 16,
+    color: colors.text,
+    marginStart: 12,
+  },
+  optionPrice: {
+    fontSize: 14,
+    color: colors.tint,
+  },
+  instructionsTitle: {
+    marginTop: 24,
+  },
+  instructionsInput: {
+    textAlign: 'left',
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: colors.text,
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  instructionsCount: {
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'right',
+    marginTop: 4,
+  },
+  actionBar: {
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  addButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: colors.brand,
+    paddingVertical: 16,
+    borderRadius: 8,
+  },
+  addButtonText: {
+    color: colors.onBrand,
+    fontSize: 16,
+    fontWeight: '600',
+    marginStart: 8,
+  },
+});
+
+export default MenuItemDetail;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -10,46 +10,153 @@ import {
   KeyboardAvoidingView,
   Platform,
   ScrollView,
+  ActivityIndicator,
 } from 'react-native';
+import { useTranslation } from '../i18n/LanguageContext';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+import { signUp, signIn, requestEmailVerification, verifyEmail } from '../services/auth';
+import { isStrongPassword } from '../utils/password';
+import {
+  ONE_TIME_CODE_LENGTH,
+  ONE_TIME_CODE_TTL_MS,
+  VERIFICATION_RESEND_COOLDOWN_MS,
+} from '../config/auth';
+import { getAuthErrorMessage } from '../utils/authErrors';
+import PasswordRules from '../components/PasswordRules';
+
+const SIGN_IN_STEP = 'signIn';
+const VERIFY_STEP = 'verifyEmail';
 
-const Onboarding = ({ onComplete }) => {
+const Onboarding = ({ navigation, onComplete }) => {
+  const { t } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  // 0-3 walk through creating an account, with the optional VERIFY_STEP
+  // between 2 and 3; SIGN_IN_STEP is for existing accounts
   const [currentStep, setCurrentStep] = useState(0);
   const [userData, setUserData] = useState({
     firstName: '',
     lastName: '',
     email: '',
+    password: '',
   });
+  // The account returned by the backend once signed up
+  const [account, setAccount] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [authError, setAuthError] = useState(null);
+  const [verificationCode, setVerificationCode] = useState('');
+  const [isSendingCode, setIsSendingCode] = useState(false);
+  // When another verification code may be sent, and the clock the countdown
+  // to it is drawn from
+  const [resendAvailableAt, setResendAvailableAt] = useState(0);
+  const [now, setNow] = useState(Date.now());
+
+  const resendSeconds = Math.max(0, Math.ceil((resendAvailableAt - now) / 1000));
+
+  useEffect(() => {
+    if (resendSeconds === 0) return undefined;
+
+    const timer = setTimeout(() => setNow(Date.now()), 1000);
+    return () => clearTimeout(timer);
+  }, [resendSeconds, now]);
 
   const handleInputChange = (field, value) => {
+    setAuthError(null);
     setUserData(prev => ({
       ...prev,
       [field]: value
     }));
   };
 
-  const handleContinue = () => {
-    if (currentStep < 3) {
+  const showAuthError = (error) => {
+    setAuthError(getAuthErrorMessage(error, t));
+  };
+
+  const handleContinue = async () => {
+    if (currentStep === 2) {
+      // The account is created before the tutorial question, so a taken email
+      // is reported while the email is still on screen
+      setIsSubmitting(true);
+      try {
+        setAccount(await signUp(userData));
+        setCurrentStep(VERIFY_STEP);
+        sendVerificationCode();
+      } catch (error) {
+        showAuthError(error);
+      } finally {
+        setIsSubmitting(false);
+      }
+    } else if (currentStep < 3) {
       setCurrentStep(currentStep + 1);
     } else {
       // Complete onboarding
       if (onComplete) {
-        onComplete(userData);
+        onComplete(account);
       }
     }
   };
 
   const handleSkipTutorial = () => {
     if (onComplete) {
-      onComplete(userData);
+      onComplete(account);
+    }
+  };
+
+  const sendVerificationCode = async () => {
+    setIsSendingCode(true);
+    try {
+      await requestEmailVerification();
+      const sentAt = Date.now();
+      setNow(sentAt);
+      setResendAvailableAt(sentAt + VERIFICATION_RESEND_COOLDOWN_MS);
+    } catch (error) {
+      showAuthError(error);
+    } finally {
+      setIsSendingCode(false);
     }
   };
 
+  const handleVerify = async () => {
+    setIsSubmitting(true);
+    try {
+      setAccount(await verifyEmail(verificationCode.trim()));
+      switchTo(3);
+    } catch (error) {
+      showAuthError(error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSignIn = async () => {
+    setIsSubmitting(true);
+    try {
+      const user = await signIn({ email: userData.email, password: userData.password });
+      if (onComplete) {
+        onComplete(user, { isReturning: true });
+      }
+    } catch (error) {
+      showAuthError(error);
+      setIsSubmitting(false);
+    }
+  };
+
+  const switchTo = (step) => {
+    setAuthError(null);
+    setCurrentStep(step);
+  };
+
   const isStepValid = () => {
     switch (currentStep) {
       case 1:
         return userData.firstName.trim() !== '' && userData.lastName.trim() !== '';
       case 2:
-        return userData.email.trim() !== '' && userData.email.includes('@');
+        return userData.email.trim() !== '' && userData.email.includes('@') &&
+          isStrongPassword(userData.password);
+      case VERIFY_STEP:
+        return verificationCode.trim().length === ONE_TIME_CODE_LENGTH;
+      case SIGN_IN_STEP:
+        return userData.email.trim() !== '' && userData.password !== '';
       default:
         return true;
     }
@@ -65,14 +172,25 @@ const Onboarding = ({ onComplete }) => {
                 source={require('../assets/Logo.png')}
                 style={styles.logo}
                 resizeMode="contain"
+                accessible
+                accessibilityRole="image"
+                accessibilityLabel={t('common.restaurantName')}
               />
             </View>
-            <Text style={styles.title}>Welcome!</Text>
+            <Text style={styles.title} accessibilityRole="header">{t('onboarding.welcome')}</Text>
             <TouchableOpacity
               style={styles.primaryButton}
               onPress={handleContinue}
+              accessibilityRole="button"
+            >
+              <Text style={styles.primaryButtonText}>{t('onboarding.getStarted')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.linkButton}
+              onPress={() => switchTo(SIGN_IN_STEP)}
+              accessibilityRole="button"
             >
-              <Text style={styles.primaryButtonText}>Let's get started!</Text>
+              <Text style={styles.linkButtonText}>{t('onboarding.haveAccount')}</Text>
             </TouchableOpacity>
           </View>
         );
@@ -80,23 +198,25 @@ const Onboarding = ({ onComplete }) => {
       case 1:
         return (
           <View style={styles.stepContainer}>
-            <Text style={styles.title}>What's your name?</Text>
+            <Text style={styles.title} accessibilityRole="header">{t('onboarding.nameTitle')}</Text>
 
             <View style={styles.inputContainer}>
               <TextInput
                 style={styles.input}
-                placeholder="First Name"
+                placeholder={t('onboarding.firstName')}
+                accessibilityLabel={t('onboarding.firstName')}
                 value={userData.firstName}
                 onChangeText={(text) => handleInputChange('firstName', text)}
-                placeholderTextColor="#8EA3A3"
+                placeholderTextColor={colors.textMuted}
               />
 
               <TextInput
                 style={styles.input}
-                placeholder="Last Name"
+                placeholder={t('onboarding.lastName')}
+                accessibilityLabel={t('onboarding.lastName')}
                 value={userData.lastName}
                 onChangeText={(text) => handleInputChange('lastName', text)}
-                placeholderTextColor="#8EA3A3"
+                placeholderTextColor={colors.textMuted}
               />
             </View>
 
@@ -107,12 +227,14 @@ const Onboarding = ({ onComplete }) => {
               ]}
               onPress={handleContinue}
               disabled={!isStepValid()}
+              accessibilityRole="button"
+              accessibilityState={{ disabled: !isStepValid() }}
             >
               <Text style={[
                 styles.primaryButtonText,
                 !isStepValid() && styles.disabledButtonText
               ]}>
-                Continue
+                {t('common.continue')}
               </Text>
             </TouchableOpacity>
           </View>
@@ -121,59 +243,151 @@ const Onboarding = ({ onComplete }) => {
       case 2:
         return (
           <View style={styles.stepContainer}>
-            <Text style={styles.title}>Nice to meet you!</Text>
-            <Text style={styles.subtitle}>How about your email address?</Text>
+            <Text style={styles.title} accessibilityRole="header">{t('onboarding.emailTitle')}</Text>
+            <Text style={styles.subtitle}>{t('onboarding.emailSubtitle')}</Text>
 
             <View style={styles.inputContainer}>
               <TextInput
                 style={styles.input}
-                placeholder="Email"
+                placeholder={t('onboarding.email')}
+                accessibilityLabel={t('onboarding.email')}
                 value={userData.email}
                 onChangeText={(text) => handleInputChange('email', text)}
                 keyboardType="email-address"
                 autoCapitalize="none"
-                placeholderTextColor="#8EA3A3"
+                placeholderTextColor={colors.textMuted}
               />
+
+              {renderPasswordInput('newPassword')}
+              <PasswordRules password={userData.password} />
+              {renderAuthError()}
             </View>
 
-            <TouchableOpacity
-              style={[
-                styles.primaryButton,
-                !isStepValid() && styles.disabledButton
-              ]}
-              onPress={handleContinue}
-              disabled={!isStepValid()}
-            >
-              <Text style={[
-                styles.primaryButtonText,
-                !isStepValid() && styles.disabledButtonText
-              ]}>
-                Continue
-              </Text>
-            </TouchableOpacity>
+            {renderSubmitButton(t('common.continue'), handleContinue)}
           </View>
         );
 
       case 3:
         return (
           <View style={styles.stepContainer}>
-            <Text style={styles.title}>Thanks! Now let's find out what this app can do for you!</Text>
+            <Text style={styles.title} accessibilityRole="header">{t('onboarding.tutorialTitle')}</Text>
 
             <View style={styles.buttonGroup}>
               <TouchableOpacity
                 style={styles.primaryButton}
                 onPress={handleContinue}
+                accessibilityRole="button"
               >
-                <Text style={styles.primaryButtonText}>Yes please!</Text>
+                <Text style={styles.primaryButtonText}>{t('onboarding.tutorialYes')}</Text>
               </TouchableOpacity>
 
               <TouchableOpacity
                 style={styles.secondaryButton}
                 onPress={handleSkipTutorial}
+                accessibilityRole="button"
+              >
+                <Text style={styles.secondaryButtonText}>{t('onboarding.skipTutorial')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        );
+
+      case VERIFY_STEP:
+        return (
+          <View style={styles.stepContainer}>
+            <Text style={styles.title} accessibilityRole="header">{t('onboarding.verifyTitle')}</Text>
+            <Text style={styles.subtitle}>
+              {t('onboarding.verifySubtitle', {
+                email: account?.email,
+                count: ONE_TIME_CODE_TTL_MS / 60000,
+              })}
+            </Text>
+
+            <View style={styles.inputContainer}>
+              <TextInput
+                style={[styles.input, styles.codeInput]}
+                placeholder={t('onboarding.verificationCode')}
+                accessibilityLabel={t('onboarding.verificationCode')}
+                value={verificationCode}
+                onChangeText={(text) => {
+                  setAuthError(null);
+                  setVerificationCode(text);
+                }}
+                keyboardType="number-pad"
+                maxLength={ONE_TIME_CODE_LENGTH}
+                textContentType="oneTimeCode"
+                placeholderTextColor={colors.textMuted}
+              />
+              {renderAuthError()}
+              <TouchableOpacity
+                style={styles.resendButton}
+                onPress={sendVerificationCode}
+                disabled={resendSeconds > 0 || isSendingCode}
+                accessibilityRole="button"
+                accessibilityState={{ disabled: resendSeconds > 0 || isSendingCode, busy: isSendingCode }}
               >
-                <Text style={styles.secondaryButtonText}>Skip tutorial</Text>
+                <Text style={[
+                  styles.linkButtonText,
+                  (resendSeconds > 0 || isSendingCode) && styles.disabledLinkText
+                ]}>
+                  {resendSeconds > 0
+                    ? t('onboarding.resendCodeIn', { seconds: resendSeconds })
+                    : t('onboarding.resendCode')}
+                </Text>
               </TouchableOpacity>
             </View>
+
+            {renderSubmitButton(t('onboarding.verify'), handleVerify)}
+            <TouchableOpacity
+              style={styles.linkButton}
+              onPress={() => switchTo(3)}
+              disabled={isSubmitting}
+              accessibilityRole="button"
+            >
+              <Text style={styles.linkButtonText}>{t('onboarding.skipVerification')}</Text>
+            </TouchableOpacity>
+          </View>
+        );
+
+      case SIGN_IN_STEP:
+        return (
+          <View style={styles.stepContainer}>
+            <Text style={styles.title} accessibilityRole="header">{t('onboarding.signInTitle')}</Text>
+
+            <View style={styles.inputContainer}>
+              <TextInput
+                style={styles.input}
+                placeholder={t('onboarding.email')}
+                accessibilityLabel={t('onboarding.email')}
+                value={userData.email}
+                onChangeText={(text) => handleInputChange('email', text)}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                textContentType="username"
+                placeholderTextColor={colors.textMuted}
+              />
+
+              {renderPasswordInput('password')}
+              {renderAuthError()}
+              <TouchableOpacity
+                style={styles.forgotPasswordButton}
+                onPress={() => navigation.navigate('ForgotPassword', { email: userData.email.trim() })}
+                disabled={isSubmitting}
+                accessibilityRole="button"
+              >
+                <Text style={styles.linkButtonText}>{t('onboarding.forgotPassword')}</Text>
+              </TouchableOpacity>
+            </View>
+
+            {renderSubmitButton(t('onboarding.signIn'), handleSignIn)}
+            <TouchableOpacity
+              style={styles.linkButton}
+              onPress={() => switchTo(0)}
+              disabled={isSubmitting}
+              accessibilityRole="button"
+            >
+              <Text style={styles.linkButtonText}>{t('onboarding.createAccount')}</Text>
+            </TouchableOpacity>
           </View>
         );
 
@@ -182,6 +396,56 @@ const Onboarding = ({ onComplete }) => {
     }
   };
 
+  // `textContentType` lets the system offer a saved password, or a strong new one
+  const renderPasswordInput = (textContentType) => (
+    <TextInput
+      style={styles.input}
+      placeholder={t('onboarding.password')}
+      accessibilityLabel={t('onboarding.password')}
+      value={userData.password}
+      onChangeText={(text) => handleInputChange('password', text)}
+      secureTextEntry
+      autoCapitalize="none"
+      textContentType={textContentType}
+      placeholderTextColor={colors.textMuted}
+    />
+  );
+
+  const renderAuthError = () => authError && (
+    <Text style={styles.errorText} accessibilityRole="alert" accessibilityLiveRegion="polite">
+      {authError}
+    </Text>
+  );
+
+  const renderSubmitButton = (label, onPress) => {
+    const isDisabled = !isStepValid() || isSubmitting;
+
+    return (
+      <TouchableOpacity
+        style={[
+          styles.primaryButton,
+          isDisabled && styles.disabledButton
+        ]}
+        onPress={onPress}
+        disabled={isDisabled}
+        accessibilityRole="button"
+        accessibilityLabel={label}
+        accessibilityState={{ disabled: isDisabled, busy: isSubmitting }}
+      >
+        {isSubmitting ? (
+          <ActivityIndicator color={colors.onBrand} />
+        ) : (
+          <Text style={[
+            styles.primaryButtonText,
+            isDisabled && styles.disabledButtonText
+          ]}>
+            {label}
+          </Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       <KeyboardAvoidingView
@@ -199,10 +463,10 @@ const Onboarding = ({ onComplete }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#F4F4F4',
+    backgroundColor: colors.surfaceAlt,
   },
   keyboardContainer: {
     flex: 1,
@@ -213,7 +477,7 @@ const styles = StyleSheet.create({
     paddingHorizontal: 20,
   },
   stepContainer: {
-    backgroundColor: '#FFFFFF',
+    backgroundColor: colors.background,
     borderRadius: 12,
     padding: 32,
     alignItems: 'center',
@@ -236,14 +500,14 @@ const styles = StyleSheet.create({
   title: {
     fontSize: 24,
     fontWeight: 'bold',
-    color: '#495E57',
+    color: colors.tint,
     textAlign: 'center',
     marginBottom: 8,
     lineHeight: 32,
   },
   subtitle: {
     fontSize: 16,
-    color: '#7C7C7C',
+    color: colors.textMuted,
     textAlign: 'center',
     marginBottom: 24,
     lineHeight: 24,
@@ -253,21 +517,32 @@ const styles = StyleSheet.create({
     marginBottom: 32,
   },
   input: {
+    textAlign: 'left',
     borderWidth: 1,
-    borderColor: '#EDEFEE',
+    borderColor: colors.border,
     borderRadius: 8,
     padding: 16,
     fontSize: 16,
-    backgroundColor: '#FFFFFF',
+    backgroundColor: colors.background,
+    marginBottom: 16,
+    color: colors.text,
+  },
+  codeInput: {
+    textAlign: 'center',
+    fontSize: 20,
+    letterSpacing: 8,
+  },
+  errorText: {
+    fontSize: 14,
+    color: colors.danger,
     marginBottom: 16,
-    color: '#333333',
   },
   buttonGroup: {
     width: '100%',
     gap: 16,
   },
   primaryButton: {
-    backgroundColor: '#495E57',
+    backgroundColor: colors.brand,
     paddingVertical: 16,
     paddingHorizontal: 32,
     borderRadius: 8,
@@ -275,7 +550,7 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   primaryButtonText: {
-    color: '#FFFFFF',
+    color: colors.onBrand,
     fontSize: 16,
     fontWeight: '600',
   },
@@ -285,20 +560,42 @@ const styles = StyleSheet.create({
     paddingHorizontal: 32,
     borderRadius: 8,
     borderWidth: 1,
-    borderColor: '#495E57',
+    borderColor: colors.tint,
     width: '100%',
     alignItems: 'center',
   },
   secondaryButtonText: {
-    color: '#495E57',
+    color: colors.tint,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  linkButton: {
+    marginTop: 16,
+    paddingVertical: 8,
+  },
+  resendButton: {
+    alignSelf: 'center',
+    paddingVertical: 4,
+  },
+  disabledLinkText: {
+    color: colors.textMuted,
+    textDecorationLine: 'none',
+  },
+  forgotPasswordButton: {
+    alignSelf: 'flex-end',
+    paddingVertical: 4,
+  },
+  linkButtonText: {
+    color: colors.tint,
     fontSize: 16,
     fontWeight: '600',
+    textDecorationLine: 'underline',
   },
   disabledButton: {
-    backgroundColor: '#CCCCCC',
+    backgroundColor: colors.disabled,
   },
   disabledButtonText: {
-    color: '#888888',
+    color: colors.textMuted,
   },
 });
 
@@ -0,0 +1,470 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DatabaseOperations from '../database/DatabaseOperations';
+import OrderOperations from '../database/OrderOperations';
+import {
+  ORDER_STATUS_FLOW,
+  CANCELLED,
+  canCancel,
+  isFinalStatus,
+  refreshOrderStatuses,
+} from '../services/orderStatus';
+import { ORDER_STATUS_POLL_INTERVAL } from '../config/orders';
+import { calculateLineTotal } from '../utils/pricing';
+import { formatMoney } from '../utils/money';
+import { useTranslation } from '../i18n/LanguageContext';
+import { flipInRTL } from '../utils/rtl';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+
+// Route params: { orderId }
+const OrderDetail = ({ navigation, route }) => {
+  const { t, language } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const orderId = Number(route?.params?.orderId);
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadOrder();
+  }, [orderId]);
+
+  // Keep following the order until it reaches a final status
+  useEffect(() => {
+    if (!order || isFinalStatus(order.status)) return;
+
+    const interval = setInterval(loadOrder, ORDER_STATUS_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [order?.status]);
+
+  const loadOrder = async () => {
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      const current = await OrderOperations.getOrderById(database, orderId);
+      if (current) {
+        await refreshOrderStatuses(database, [current]);
+      }
+      setOrder(await OrderOperations.getOrderById(database, orderId));
+    } catch (error) {
+      console.error('Error loading order:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = () => {
+    Alert.alert(
+      t('orders.cancelTitle'),
+      t('orders.cancelMessage'),
+      [
+        { text: t('orders.keepOrder'), style: 'cancel' },
+        {
+          text: t('orders.cancelOrder'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const database = await DatabaseOperations.initializeDatabase();
+              // The kitchen may have picked it up since the screen last refreshed
+              await refreshOrderStatuses(database, [order]);
+              const latest = await OrderOperations.getOrderById(database, orderId);
+              if (!canCancel(latest.status)) {
+                setOrder(latest);
+                Alert.alert(t('orders.tooLateTitle'), t('orders.tooLateMessage'));
+                return;
+              }
+              await OrderOperations.cancelOrder(database, orderId);
+              await loadOrder();
+            } catch (error) {
+              console.error('Error cancelling order:', error);
+              Alert.alert(t('common.error'), t('orders.cancelFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const formatTime = (timestamp) => {
+    const date = new Date(timestamp);
+    return date.toLocaleString(language, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  };
+
+  // One step per status in the normal flow, ending early with a cancelled
+  // step if the order was cancelled
+  const getTimelineSteps = () => {
+    const reachedAt = {};
+    for (const event of order.events) {
+      reachedAt[event.status] = event.created_at;
+    }
+
+    if (order.status === CANCELLED) {
+      const reached = ORDER_STATUS_FLOW.filter((status) => reachedAt[status]);
+      return [
+        ...reached.map((status) => ({ status, at: reachedAt[status], state: 'done' })),
+        { status: CANCELLED, at: reachedAt[CANCELLED], state: 'cancelled' },
+      ];
+    }
+
+    const currentIndex = ORDER_STATUS_FLOW.indexOf(order.status);
+    return ORDER_STATUS_FLOW.map((status, index) => ({
+      status,
+      at: reachedAt[status],
+      state: index < currentIndex || order.status === 'delivered'
+        ? 'done'
+        : index === currentIndex ? 'current' : 'pending',
+    }));
+  };
+
+  const renderTimeline = () => {
+    const steps = getTimelineSteps();
+
+    // Each step's state is read out with it, as it is otherwise only shown by
+    // its marker
+    return steps.map((step, index) => (
+      <View
+        key={step.status}
+        style={styles.timelineStep}
+        accessible
+        accessibilityLabel={[
+          t(`orderStatus.${step.status}`),
+          t(`orders.timelineStates.${step.state}`),
+          step.at ? formatTime(step.at) : null,
+        ].filter(Boolean).join(', ')}
+      >
+        <View style={styles.timelineMarkerColumn}>
+          <View style={[
+            styles.timelineMarker,
+            step.state === 'done' && styles.timelineMarkerDone,
+            step.state === 'current' && styles.timelineMarkerCurrent,
+            step.state === 'cancelled' && styles.timelineMarkerCancelled,
+          ]}>
+            {step.state === 'done' && <Ionicons name="checkmark" size={14} color={colors.onBrand} />}
+            {step.state === 'cancelled' && <Ionicons name="close" size={14} color={colors.onBrand} />}
+          </View>
+          {index < steps.length - 1 && (
+            <View style={[styles.timelineLine, step.state === 'done' && styles.timelineLineDone]} />
+          )}
+        </View>
+        <View style={styles.timelineContent}>
+          <Text style={[
+            styles.timelineLabel,
+            step.state === 'pending' && styles.timelineLabelPending,
+          ]}>
+            {t(`orderStatus.${step.status}`)}
+          </Text>
+          {step.at ? <Text style={styles.timelineTime}>{formatTime(step.at)}</Text> : null}
+        </View>
+      </View>
+    ));
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={colors.tint} />
+        </View>
+      );
+    }
+
+    if (!order) {
+      return (
+        <View style={styles.centered}>
+          <Text style={styles.emptyText}>{t('orders.notFound')}</Text>
+        </View>
+      );
+    }
+
+    return (
+      <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
+        <Text style={styles.pageTitle} accessibilityRole="header">{t('orders.orderNumber', { id: order.id })}</Text>
+        <Text style={styles.placedAt}>{t('orders.placedAt', { time: formatTime(order.placed_at) })}</Text>
+
+        {/* Status Timeline */}
+        <Text style={styles.sectionTitle} accessibilityRole="header">{t('orders.status')}</Text>
+        <View style={styles.timeline}>{renderTimeline()}</View>
+
+        {/* Items */}
+        <Text style={styles.sectionTitle} accessibilityRole="header">{t('orders.items')}</Text>
+        {order.items.map((item) => (
+          <View key={item.id} style={styles.itemRow}>
+            <Text style={styles.itemQuantity}>{item.quantity}×</Text>
+            <View style={styles.itemDetails}>
+              <Text style={styles.itemName}>{item.name}</Text>
+              {item.options ? <Text style={styles.itemOptions}>{item.options}</Text> : null}
+              {item.instructions ? (
+                <Text style={styles.itemInstructions}>“{item.instructions}”</Text>
+              ) : null}
+            </View>
+            <Text style={styles.itemPrice}>{formatMoney(calculateLineTotal({ price: item.unit_price, quantity: item.quantity }), order.currency)}</Text>
+          </View>
+        ))}
+
+        {/* Totals */}
+        <View style={styles.summary}>
+          <View style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>{t('totals.subtotal')}</Text>
+            <Text style={styles.summaryValue}>{formatMoney(order.subtotal, order.currency)}</Text>
+          </View>
+          <View style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>{t('totals.tax')}</Text>
+            <Text style={styles.summaryValue}>{formatMoney(order.tax, order.currency)}</Text>
+          </View>
+          <View style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>{t('totals.tip')}</Text>
+            <Text style={styles.summaryValue}>{formatMoney(order.tip, order.currency)}</Text>
+          </View>
+          <View style={styles.summaryRow}>
+            <Text style={styles.totalLabel}>{t('totals.total')}</Text>
+            <Text style={styles.totalValue}>{formatMoney(order.total, order.currency)}</Text>
+          </View>
+        </View>
+
+        {/* Delivery */}
+        <Text style={styles.sectionTitle} accessibilityRole="header">{t('orders.delivery')}</Text>
+        <Text style={styles.deliveryText}>{order.delivery_address}</Text>
+        {order.contact_phone ? <Text style={styles.deliveryText}>{order.contact_phone}</Text> : null}
+
+        {canCancel(order.status) && (
+          <TouchableOpacity
+            style={styles.cancelButton}
+            onPress={handleCancel}
+            accessibilityRole="button"
+          >
+            <Text style={styles.cancelButtonText}>{t('orders.cancelOrder')}</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+          accessibilityRole="button"
+          accessibilityLabel={t('common.back')}
+        >
+          <Ionicons name="arrow-back" size={24} color={colors.tint} style={flipInRTL} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle} accessibilityRole="header">{t('orders.detailTitle')}</Text>
+      </View>
+
+      {renderContent()}
+    </SafeAreaView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: colors.background,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  backButton: {
+    padding: 8,
+    marginEnd: 8,
+  },
+  headerTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.tint,
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.textMuted,
+  },
+  scrollView: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  pageTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 20,
+  },
+  placedAt: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginTop: 4,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 24,
+    marginBottom: 16,
+  },
+  timeline: {
+    paddingStart: 4,
+  },
+  timelineStep: {
+    flexDirection: 'row',
+  },
+  timelineMarkerColumn: {
+    alignItems: 'center',
+    marginEnd: 16,
+  },
+  timelineMarker: {
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    borderWidth: 2,
+    borderColor: colors.border,
+    backgroundColor: colors.background,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  timelineMarkerDone: {
+    backgroundColor: colors.brand,
+    borderColor: colors.tint,
+  },
+  timelineMarkerCurrent: {
+    borderColor: colors.accent,
+    borderWidth: 6,
+  },
+  timelineMarkerCancelled: {
+    backgroundColor: colors.textMuted,
+    borderColor: colors.textMuted,
+  },
+  timelineLine: {
+    width: 2,
+    flex: 1,
+    minHeight: 24,
+    backgroundColor: colors.surface,
+  },
+  timelineLineDone: {
+    backgroundColor: colors.brand,
+  },
+  timelineContent: {
+    flex: 1,
+    paddingBottom: 20,
+  },
+  timelineLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  timelineLabelPending: {
+    color: colors.textMuted,
+    fontWeight: 'normal',
+  },
+  timelineTime: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  itemQuantity: {
+    width: 32,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.tint,
+  },
+  itemDetails: {
+    flex: 1,
+  },
+  itemName: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  itemOptions: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  itemInstructions: {
+    fontSize: 13,
+    fontStyle: 'italic',
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  itemPrice: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  summary: {
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+    paddingTop: 16,
+    marginTop: 4,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  summaryLabel: {
+    fontSize: 16,
+    color: colors.textMuted,
+  },
+  summaryValue: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  totalLabel: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  totalValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.tint,
+  },
+  deliveryText: {
+    fontSize: 16,
+    color: colors.text,
+    marginBottom: 4,
+  },
+  cancelButton: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: colors.tint,
+    paddingVertical: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 32,
+    marginBottom: 32,
+  },
+  cancelButtonText: {
+    color: colors.tint,
+    fontSize: 16,
+    fontWeight: '500',
+  },
+});
+
+export default OrderDetail;
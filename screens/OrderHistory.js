@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  FlatList,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DatabaseOperations from '../database/DatabaseOperations';
+import OrderOperations from '../database/OrderOperations';
+import { CANCELLED, refreshOrderStatuses } from '../services/orderStatus';
+import { formatMoney } from '../utils/money';
+import { useTranslation } from '../i18n/LanguageContext';
+import { flipInRTL } from '../utils/rtl';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+
+const OrderHistory = ({ navigation }) => {
+  const { t, language } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      loadOrders();
+    });
+    return unsubscribe;
+  }, [navigation]);
+
+  const loadOrders = async () => {
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      await refreshOrderStatuses(database, await OrderOperations.getActiveOrders(database));
+      setOrders(await OrderOperations.getOrders(database));
+    } catch (error) {
+      console.error('Error loading orders:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatPlacedAt = (timestamp) => {
+    const date = new Date(timestamp);
+    return date.toLocaleString(language, { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+  };
+
+  const renderOrder = ({ item }) => (
+    <TouchableOpacity
+      style={styles.orderRow}
+      onPress={() => navigation.navigate('OrderDetail', { orderId: item.id })}
+      accessibilityRole="button"
+    >
+      <View style={styles.orderContent}>
+        <Text style={styles.orderTitle}>{t('orders.orderNumber', { id: item.id })}</Text>
+        <Text style={styles.orderMeta}>{formatPlacedAt(item.placed_at)}</Text>
+        <Text style={styles.orderMeta}>
+          {t('orders.itemCount', { count: item.itemCount })} · {formatMoney(item.total, item.currency)}
+        </Text>
+      </View>
+      <View style={[
+        styles.statusBadge,
+        item.status === 'delivered' && styles.statusBadgeDelivered,
+        item.status === CANCELLED && styles.statusBadgeCancelled,
+      ]}>
+        <Text style={[
+          styles.statusBadgeText,
+          item.status === 'delivered' && styles.statusBadgeTextDelivered,
+          item.status === CANCELLED && styles.statusBadgeTextCancelled,
+        ]}>
+          {t(`orderStatus.${item.status}`)}
+        </Text>
+      </View>
+      <Ionicons name="chevron-forward" size={20} color={colors.textMuted} style={flipInRTL} />
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+          accessibilityRole="button"
+          accessibilityLabel={t('common.back')}
+        >
+          <Ionicons name="arrow-back" size={24} color={colors.tint} style={flipInRTL} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle} accessibilityRole="header">{t('orders.historyTitle')}</Text>
+      </View>
+
+      {loading ? (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color={colors.tint} />
+        </View>
+      ) : (
+        <FlatList
+          data={orders}
+          renderItem={renderOrder}
+          keyExtractor={(item) => item.id.toString()}
+          contentContainerStyle={styles.orderList}
+          ItemSeparatorComponent={() => <View style={styles.separator} />}
+          ListEmptyComponent={
+            <View style={styles.emptyContainer}>
+              <Ionicons name="receipt-outline" size={64} color={colors.border} />
+              <Text style={styles.emptyText}>{t('orders.emptyTitle')}</Text>
+              <Text style={styles.emptySubtext}>{t('orders.emptySubtitle')}</Text>
+            </View>
+          }
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: colors.background,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  backButton: {
+    padding: 8,
+    marginEnd: 8,
+  },
+  headerTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.tint,
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  orderList: {
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  orderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  orderContent: {
+    flex: 1,
+  },
+  orderTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 4,
+  },
+  orderMeta: {
+    fontSize: 14,
+    color: colors.textMuted,
+  },
+  statusBadge: {
+    backgroundColor: colors.accent,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginHorizontal: 8,
+  },
+  statusBadgeDelivered: {
+    backgroundColor: colors.surface,
+  },
+  statusBadgeCancelled: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: colors.textMuted,
+  },
+  statusBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.onAccent,
+  },
+  statusBadgeTextDelivered: {
+    color: colors.text,
+  },
+  statusBadgeTextCancelled: {
+    color: colors.textMuted,
+  },
+  separator: {
+    height: 1,
+    backgroundColor: colors.surface,
+    marginVertical: 16,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.textMuted,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: colors.textMuted,
+    textAlign: 'center',
+  },
+});
+
+export default OrderHistory;
@@ -11,12 +11,29 @@ import {
   Alert,
   KeyboardAvoidingView,
   Platform,
+  AccessibilityInfo,
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as ImagePicker from 'expo-image-picker';
 import { Ionicons } from '@expo/vector-icons';
+import { formatPhoneNumber, isValidPhoneNumber } from '../utils/phone';
+import DatabaseOperations from '../database/DatabaseOperations';
+import ReservationOperations from '../database/ReservationOperations';
+import { toDateKey, formatReservationDate, formatReservationTime } from '../utils/reservations';
+import { useTranslation } from '../i18n/LanguageContext';
+import { LANGUAGES, DEVICE_LANGUAGE, getDeviceLanguage } from '../i18n';
+import { flipInRTL } from '../utils/rtl';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+import { COLOR_SCHEME_OPTIONS } from '../theme';
+import { BADGE_MAX_FONT_SCALE } from '../utils/accessibility';
+
+const NOTIFICATION_TYPES = ['orderStatuses', 'passwordChanges', 'specialOffers', 'newsletter'];
 
 const Profile = ({ navigation, onLogout }) => {
+  const { t, language, preference: languagePreference, changeLanguage } = useTranslation();
+  const { colors, preference: colorSchemePreference, changeColorScheme } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
   const [profileData, setProfileData] = useState({
     firstName: '',
     lastName: '',
@@ -32,16 +49,27 @@ const Profile = ({ navigation, onLogout }) => {
   });
 
   const [hasChanges, setHasChanges] = useState(false);
+  // The address confirmed with a code during onboarding
+  const [verifiedEmail, setVerifiedEmail] = useState(null);
+  const [reservations, setReservations] = useState([]);
 
   useEffect(() => {
     loadProfileData();
     requestPermissions();
   }, []);
 
+  // Reservations may have been made or changed on another screen
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      loadReservations();
+    });
+    return unsubscribe;
+  }, [navigation]);
+
   const requestPermissions = async () => {
     const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
     if (status !== 'granted') {
-      Alert.alert('Permission Required', 'We need camera roll permissions to select your profile picture.');
+      Alert.alert(t('profile.permissionTitle'), t('profile.permissionMessage'));
     }
   };
 
@@ -58,6 +86,7 @@ const Profile = ({ navigation, onLogout }) => {
           lastName: parsedUserData.lastName || '',
           email: parsedUserData.email || '',
         }));
+        setVerifiedEmail(parsedUserData.verifiedEmail || null);
       }
 
       if (profileSettings) {
@@ -72,6 +101,42 @@ const Profile = ({ navigation, onLogout }) => {
     }
   };
 
+  const loadReservations = async () => {
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      setReservations(await ReservationOperations.getUpcomingReservations(database, toDateKey(new Date())));
+    } catch (error) {
+      console.error('Error loading reservations:', error);
+    }
+  };
+
+  const handleCancelReservation = (reservation) => {
+    Alert.alert(
+      t('profile.cancelReservationTitle'),
+      t('profile.cancelReservationMessage', {
+        date: formatReservationDate(reservation.date, language),
+        time: formatReservationTime(reservation.time, language),
+      }),
+      [
+        { text: t('profile.keep'), style: 'cancel' },
+        {
+          text: t('profile.cancelReservation'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const database = await DatabaseOperations.initializeDatabase();
+              await ReservationOperations.cancelReservation(database, reservation.id);
+              await loadReservations();
+            } catch (error) {
+              console.error('Error cancelling reservation:', error);
+              Alert.alert(t('common.error'), t('profile.cancelReservationFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const handleInputChange = (field, value) => {
     if (field === 'phoneNumber') {
       // Format phone number as user types
@@ -94,29 +159,6 @@ const Profile = ({ navigation, onLogout }) => {
     setHasChanges(true);
   };
 
-  const formatPhoneNumber = (value) => {
-    // Remove all non-numeric characters
-    const numbers = value.replace(/\D/g, '');
-
-    // Limit to 10 digits
-    const truncated = numbers.substring(0, 10);
-
-    // Format as (XXX) XXX-XXXX
-    if (truncated.length >= 6) {
-      return `(${truncated.substring(0, 3)}) ${truncated.substring(3, 6)}-${truncated.substring(6)}`;
-    } else if (truncated.length >= 3) {
-      return `(${truncated.substring(0, 3)}) ${truncated.substring(3)}`;
-    } else if (truncated.length > 0) {
-      return `(${truncated}`;
-    }
-    return truncated;
-  };
-
-  const isValidPhoneNumber = (phone) => {
-    const numbers = phone.replace(/\D/g, '');
-    return numbers.length === 10;
-  };
-
   const pickImage = async () => {
     try {
       const result = await ImagePicker.launchImageLibraryAsync({
@@ -131,18 +173,18 @@ const Profile = ({ navigation, onLogout }) => {
         setHasChanges(true);
       }
     } catch (error) {
-      Alert.alert('Error', 'Failed to pick image. Please try again.');
+      Alert.alert(t('common.error'), t('profile.pickImageFailed'));
     }
   };
 
   const removeImage = () => {
     Alert.alert(
-      'Remove Photo',
-      'Are you sure you want to remove your profile photo?',
+      t('profile.removePhotoTitle'),
+      t('profile.removePhotoMessage'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Remove',
+          text: t('common.remove'),
           style: 'destructive',
           onPress: () => {
             setProfileData(prev => ({ ...prev, avatar: null }));
@@ -153,6 +195,9 @@ const Profile = ({ navigation, onLogout }) => {
     );
   };
 
+  const isEmailVerified = Boolean(verifiedEmail) &&
+    profileData.email.trim().toLowerCase() === verifiedEmail.toLowerCase();
+
   const getInitials = () => {
     const firstInitial = profileData.firstName.charAt(0).toUpperCase();
     const lastInitial = profileData.lastName.charAt(0).toUpperCase();
@@ -161,21 +206,14 @@ const Profile = ({ navigation, onLogout }) => {
 
   const saveChanges = async () => {
     // Validate required fields
-    if (!profileData.firstName.trim() || !profileData.email.trim()) {
-      Alert.alert('Error', 'First name and email are required.');
-      return;
-    }
-
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(profileData.email)) {
-      Alert.alert('Error', 'Please enter a valid email address.');
+    if (!profileData.firstName.trim()) {
+      Alert.alert(t('common.error'), t('profile.requiredFields'));
       return;
     }
 
     // Validate phone number if provided
     if (profileData.phoneNumber && !isValidPhoneNumber(profileData.phoneNumber)) {
-      Alert.alert('Error', 'Please enter a valid 10-digit phone number.');
+      Alert.alert(t('common.error'), t('profile.invalidPhone'));
       return;
     }
 
@@ -185,6 +223,7 @@ const Profile = ({ navigation, onLogout }) => {
         firstName: profileData.firstName,
         lastName: profileData.lastName,
         email: profileData.email,
+        verifiedEmail,
       };
       await AsyncStorage.setItem('userData', JSON.stringify(userData));
 
@@ -197,21 +236,22 @@ const Profile = ({ navigation, onLogout }) => {
       await AsyncStorage.setItem('profileSettings', JSON.stringify(profileSettings));
 
       setHasChanges(false);
-      Alert.alert('Success', 'Your changes have been saved successfully!');
+      AccessibilityInfo.announceForAccessibility(t('profile.saved'));
+      Alert.alert(t('profile.successTitle'), t('profile.saved'));
     } catch (error) {
       console.error('Error saving profile:', error);
-      Alert.alert('Error', 'Failed to save changes. Please try again.');
+      Alert.alert(t('common.error'), t('profile.saveFailed'));
     }
   };
 
   const discardChanges = () => {
     Alert.alert(
-      'Discard Changes',
-      'Are you sure you want to discard all unsaved changes?',
+      t('profile.discardTitle'),
+      t('profile.discardMessage'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Discard',
+          text: t('profile.discard'),
           style: 'destructive',
           onPress: () => {
             loadProfileData();
@@ -224,12 +264,12 @@ const Profile = ({ navigation, onLogout }) => {
 
   const handleLogout = () => {
     Alert.alert(
-      'Log Out',
-      'Are you sure you want to log out? All unsaved changes will be lost.',
+      t('profile.logOutTitle'),
+      t('profile.logOutMessage'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Log Out',
+          text: t('profile.logOutTitle'),
           style: 'destructive',
           onPress: async () => {
             try {
@@ -257,8 +297,10 @@ const Profile = ({ navigation, onLogout }) => {
           <TouchableOpacity
             style={styles.backButton}
             onPress={() => navigation?.goBack()}
+            accessibilityRole="button"
+            accessibilityLabel={t('common.back')}
           >
-            <Ionicons name="arrow-back" size={24} color="#495E57" />
+            <Ionicons name="arrow-back" size={24} color={colors.tint} style={flipInRTL} />
           </TouchableOpacity>
 
           <Image
@@ -268,50 +310,62 @@ const Profile = ({ navigation, onLogout }) => {
             style={styles.headerLogo}
             resizeMode="contain"
           />
-          <Text style={styles.headerTitle}>
-            LITTLE LEMON
-            </Text>
+          <Text style={styles.headerTitle} accessibilityRole="header">
+            {t('profile.headerTitle')}
+          </Text>
 
           <View style={styles.headerRight}>
             {profileData.avatar ? (
               <Image source={{ uri: profileData.avatar }} style={styles.headerAvatar} />
             ) : (
               <View style={styles.headerAvatarPlaceholder}>
-                <Text style={styles.headerAvatarText}>{getInitials()}</Text>
+                <Text style={styles.headerAvatarText} maxFontSizeMultiplier={BADGE_MAX_FONT_SCALE}>
+                  {getInitials()}
+                </Text>
               </View>
             )}
           </View>
         </View>
 
         <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
-          <Text style={styles.pageTitle}>Personal information</Text>
+          <Text style={styles.pageTitle} accessibilityRole="header">{t('profile.personalInformation')}</Text>
 
           {/* Avatar Section */}
           <View style={styles.avatarSection}>
-            <Text style={styles.sectionLabel}>Avatar</Text>
+            <Text style={styles.sectionLabel}>{t('profile.avatar')}</Text>
             <View style={styles.avatarContainer}>
               {profileData.avatar ? (
                 <Image source={{ uri: profileData.avatar }} style={styles.avatarImage} />
               ) : (
                 <View style={styles.avatarPlaceholder}>
-                  <Text style={styles.avatarPlaceholderText}>{getInitials()}</Text>
+                  <Text style={styles.avatarPlaceholderText} maxFontSizeMultiplier={BADGE_MAX_FONT_SCALE}>
+                    {getInitials()}
+                  </Text>
                 </View>
               )}
 
               <View style={styles.avatarButtons}>
-                <TouchableOpacity style={styles.changeButton} onPress={pickImage}>
-                  <Text style={styles.changeButtonText}>Change</Text>
+                <TouchableOpacity
+                  style={styles.changeButton}
+                  onPress={pickImage}
+                  accessibilityRole="button"
+                  accessibilityLabel={t('profile.changePhoto')}
+                >
+                  <Text style={styles.changeButtonText}>{t('profile.change')}</Text>
                 </TouchableOpacity>
                 <TouchableOpacity
                   style={styles.removeButton}
                   onPress={removeImage}
                   disabled={!profileData.avatar}
+                  accessibilityRole="button"
+                  accessibilityLabel={t('profile.removePhoto')}
+                  accessibilityState={{ disabled: !profileData.avatar }}
                 >
                   <Text style={[
                     styles.removeButtonText,
                     !profileData.avatar && styles.disabledButtonText
                   ]}>
-                    Remove
+                    {t('common.remove')}
                   </Text>
                 </TouchableOpacity>
               </View>
@@ -320,72 +374,208 @@ const Profile = ({ navigation, onLogout }) => {
 
           {/* Personal Information */}
           <View style={styles.inputSection}>
-            <Text style={styles.inputLabel}>First name</Text>
+            <Text style={styles.inputLabel}>{t('profile.firstName')}</Text>
             <TextInput
               style={styles.input}
               value={profileData.firstName}
               onChangeText={(text) => handleInputChange('firstName', text)}
-              placeholder="Enter your first name"
+              accessibilityLabel={t('profile.firstName')}
+              placeholder={t('profile.firstNamePlaceholder')}
+              placeholderTextColor={colors.textMuted}
             />
           </View>
 
           <View style={styles.inputSection}>
-            <Text style={styles.inputLabel}>Last name</Text>
+            <Text style={styles.inputLabel}>{t('profile.lastName')}</Text>
             <TextInput
               style={styles.input}
               value={profileData.lastName}
               onChangeText={(text) => handleInputChange('lastName', text)}
-              placeholder="Enter your last name"
+              accessibilityLabel={t('profile.lastName')}
+              placeholder={t('profile.lastNamePlaceholder')}
+              placeholderTextColor={colors.textMuted}
             />
           </View>
 
           <View style={styles.inputSection}>
-            <Text style={styles.inputLabel}>Email</Text>
+            <View style={styles.inputLabelRow}>
+              <Text style={styles.inputLabel}>{t('profile.email')}</Text>
+              {isEmailVerified && (
+                <View style={styles.verifiedBadge}>
+                  <Ionicons name="checkmark-circle" size={14} color={colors.onBrand} />
+                  <Text style={styles.verifiedBadgeText} maxFontSizeMultiplier={BADGE_MAX_FONT_SCALE}>
+                    {t('profile.emailVerified')}
+                  </Text>
+                </View>
+              )}
+            </View>
+            {/* The account's email lives with the auth backend, which is
+                where it is verified, so it is shown but not edited here */}
             <TextInput
-              style={styles.input}
+              style={[styles.input, styles.readOnlyInput]}
               value={profileData.email}
-              onChangeText={(text) => handleInputChange('email', text)}
-              placeholder="Enter your email"
-              keyboardType="email-address"
-              autoCapitalize="none"
+              editable={false}
+              accessibilityLabel={isEmailVerified
+                ? `${t('profile.email')}, ${t('profile.emailVerified')}`
+                : t('profile.email')}
             />
+            <Text style={styles.inputHint}>{t('profile.emailReadOnly')}</Text>
           </View>
 
           <View style={styles.inputSection}>
-            <Text style={styles.inputLabel}>Phone number</Text>
+            <Text style={styles.inputLabel}>{t('profile.phoneNumber')}</Text>
             <TextInput
               style={styles.input}
               value={profileData.phoneNumber}
               onChangeText={(text) => handleInputChange('phoneNumber', text)}
+              accessibilityLabel={t('profile.phoneNumber')}
               placeholder="(555) 123-4567"
+              placeholderTextColor={colors.textMuted}
               keyboardType="phone-pad"
             />
           </View>
 
+          {/* Security */}
+          <View style={styles.linkSection}>
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('profile.security')}</Text>
+            <TouchableOpacity
+              style={styles.linkRow}
+              onPress={() => navigation.navigate('ChangePassword')}
+              accessibilityRole="button"
+            >
+              <Ionicons name="key-outline" size={20} color={colors.tint} />
+              <Text style={styles.linkRowText}>{t('profile.changePassword')}</Text>
+              <Ionicons name="chevron-forward" size={20} color={colors.textMuted} style={flipInRTL} />
+            </TouchableOpacity>
+          </View>
+
+          {/* Orders */}
+          <View style={styles.linkSection}>
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('profile.orders')}</Text>
+            <TouchableOpacity
+              style={styles.linkRow}
+              onPress={() => navigation.navigate('OrderHistory')}
+              accessibilityRole="button"
+            >
+              <Ionicons name="receipt-outline" size={20} color={colors.tint} />
+              <Text style={styles.linkRowText}>{t('profile.orderHistory')}</Text>
+              <Ionicons name="chevron-forward" size={20} color={colors.textMuted} style={flipInRTL} />
+            </TouchableOpacity>
+          </View>
+
+          {/* Reservations */}
+          <View style={styles.linkSection}>
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('profile.reservations')}</Text>
+            {reservations.map((reservation) => (
+              <View key={reservation.id} style={styles.reservationRow}>
+                <View style={styles.reservationInfo}>
+                  <Text style={styles.reservationDate}>
+                    {formatReservationDate(reservation.date, language)} · {formatReservationTime(reservation.time, language)}
+                  </Text>
+                  <Text style={styles.reservationMeta}>
+                    {t('profile.guests', { count: reservation.party_size })}
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  style={styles.reservationAction}
+                  onPress={() => navigation.navigate('Reservations', { reservationId: reservation.id })}
+                  accessibilityRole="button"
+                  accessibilityLabel={t('profile.modifyReservationOn', { date: formatReservationDate(reservation.date, language) })}
+                >
+                  <Text style={styles.reservationActionText}>{t('profile.modify')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.reservationAction}
+                  onPress={() => handleCancelReservation(reservation)}
+                  accessibilityRole="button"
+                  accessibilityLabel={t('profile.cancelReservationOn', { date: formatReservationDate(reservation.date, language) })}
+                >
+                  <Text style={styles.reservationCancelText}>{t('common.cancel')}</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+            <TouchableOpacity
+              style={styles.linkRow}
+              onPress={() => navigation.navigate('Reservations')}
+              accessibilityRole="button"
+            >
+              <Ionicons name="calendar-outline" size={20} color={colors.tint} />
+              <Text style={styles.linkRowText}>{t('profile.reserveTable')}</Text>
+              <Ionicons name="chevron-forward" size={20} color={colors.textMuted} style={flipInRTL} />
+            </TouchableOpacity>
+          </View>
+
+          {/* Language: applied and saved right away, not with the form */}
+          <View style={styles.linkSection}>
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('profile.language')}</Text>
+            {[
+              {
+                code: DEVICE_LANGUAGE,
+                label: t('profile.deviceLanguage', {
+                  language: LANGUAGES.find(language => language.code === getDeviceLanguage()).label,
+                }),
+              },
+              ...LANGUAGES,
+            ].map(({ code, label }) => (
+              <TouchableOpacity
+                key={code}
+                style={styles.optionRow}
+                onPress={() => changeLanguage(code)}
+                accessibilityRole="radio"
+                accessibilityState={{ checked: languagePreference === code }}
+              >
+                <Ionicons
+                  name={languagePreference === code ? 'radio-button-on' : 'radio-button-off'}
+                  size={20}
+                  color={colors.tint}
+                />
+                <Text style={styles.optionRowText}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {/* Appearance: also applied right away */}
+          <View style={styles.linkSection}>
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('profile.appearance')}</Text>
+            {COLOR_SCHEME_OPTIONS.map((option) => (
+              <TouchableOpacity
+                key={option}
+                style={styles.optionRow}
+                onPress={() => changeColorScheme(option)}
+                accessibilityRole="radio"
+                accessibilityState={{ checked: colorSchemePreference === option }}
+              >
+                <Ionicons
+                  name={colorSchemePreference === option ? 'radio-button-on' : 'radio-button-off'}
+                  size={20}
+                  color={colors.tint}
+                />
+                <Text style={styles.optionRowText}>{t(`profile.colorSchemes.${option}`)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
           {/* Email Notifications */}
           <View style={styles.notificationSection}>
-            <Text style={styles.sectionTitle}>Email notifications</Text>
+            <Text style={styles.sectionTitle} accessibilityRole="header">{t('profile.emailNotifications')}</Text>
             
-            {Object.entries({
-              orderStatuses: 'Order statuses',
-              passwordChanges: 'Password changes',
-              specialOffers: 'Special offers',
-              newsletter: 'Newsletter',
-            }).map(([key, label]) => (
+            {NOTIFICATION_TYPES.map((key) => (
               <TouchableOpacity
                 key={key}
                 style={styles.checkboxContainer}
                 onPress={() => handleNotificationChange(key)}
+                accessibilityRole="checkbox"
+                accessibilityState={{ checked: profileData.notifications[key] }}
               >
                 <View style={[
                   styles.checkbox,
                   profileData.notifications[key] && styles.checkboxChecked
                 ]}>
                   {profileData.notifications[key] && (
-                    <Ionicons name="checkmark" size={16} color="#FFFFFF" />
+                    <Ionicons name="checkmark" size={16} color={colors.onBrand} />
                   )}
                 </View>
-                <Text style={styles.checkboxLabel}>{label}</Text>
+                <Text style={styles.checkboxLabel}>{t(`profile.notifications.${key}`)}</Text>
               </TouchableOpacity>
             ))}
           </View>
@@ -393,8 +583,12 @@ const Profile = ({ navigation, onLogout }) => {
 
         {/* Action Buttons */}
         <View style={styles.actionButtons}>
-          <TouchableOpacity style={styles.logoutButton} onPress={handleLogout}>
-            <Text style={styles.logoutButtonText}>Log out</Text>
+          <TouchableOpacity
+            style={styles.logoutButton}
+            onPress={handleLogout}
+            accessibilityRole="button"
+          >
+            <Text style={styles.logoutButtonText}>{t('profile.logOut')}</Text>
           </TouchableOpacity>
           
           <View style={styles.bottomButtons}>
@@ -402,12 +596,14 @@ const Profile = ({ navigation, onLogout }) => {
               style={[styles.discardButton, !hasChanges && styles.disabledButton]} 
               onPress={discardChanges}
               disabled={!hasChanges}
+              accessibilityRole="button"
+              accessibilityState={{ disabled: !hasChanges }}
             >
               <Text style={[
                 styles.discardButtonText,
                 !hasChanges && styles.disabledButtonText
               ]}>
-                Discard changes
+                {t('profile.discardChanges')}
               </Text>
             </TouchableOpacity>
             
@@ -415,12 +611,14 @@ const Profile = ({ navigation, onLogout }) => {
               style={[styles.saveButton, !hasChanges && styles.disabledButton]} 
               onPress={saveChanges}
               disabled={!hasChanges}
+              accessibilityRole="button"
+              accessibilityState={{ disabled: !hasChanges }}
             >
               <Text style={[
                 styles.saveButtonText,
                 !hasChanges && styles.disabledButtonText
               ]}>
-                Save changes
+                {t('profile.saveChanges')}
               </Text>
             </TouchableOpacity>
           </View>
@@ -430,10 +628,10 @@ const Profile = ({ navigation, onLogout }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#FFFFFF',
+    backgroundColor: colors.background,
   },
   keyboardContainer: {
     flex: 1,
@@ -443,23 +641,23 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingHorizontal: 16,
     paddingVertical: 12,
-    backgroundColor: '#FFFFFF',
+    backgroundColor: colors.background,
     borderBottomWidth: 1,
-    borderBottomColor: '#EDEFEE',
+    borderBottomColor: colors.border,
   },
   backButton: {
     padding: 8,
-    marginRight: 8,
+    marginEnd: 8,
   },
   headerLogo: {
     width: 32,
     height: 32,
-    marginRight: 8,
+    marginEnd: 8,
   },
   headerTitle: {
     fontSize: 16,
     fontWeight: 'bold',
-    color: '#495E57',
+    color: colors.tint,
     flex: 1,
   },
   headerRight: {
@@ -475,12 +673,12 @@ const styles = StyleSheet.create({
     width: 40,
     height: 40,
     borderRadius: 20,
-    backgroundColor: '#495E57',
+    backgroundColor: colors.brand,
     justifyContent: 'center',
     alignItems: 'center',
   },
   headerAvatarText: {
-    color: '#FFFFFF',
+    color: colors.onBrand,
     fontSize: 14,
     fontWeight: 'bold',
   },
@@ -491,7 +689,7 @@ const styles = StyleSheet.create({
   pageTitle: {
     fontSize: 20,
     fontWeight: 'bold',
-    color: '#333333',
+    color: colors.text,
     marginVertical: 20,
   },
   avatarSection: {
@@ -499,7 +697,7 @@ const styles = StyleSheet.create({
   },
   sectionLabel: {
     fontSize: 14,
-    color: '#7C7C7C',
+    color: colors.textMuted,
     marginBottom: 12,
   },
   avatarContainer: {
@@ -510,19 +708,19 @@ const styles = StyleSheet.create({
     width: 80,
     height: 80,
     borderRadius: 40,
-    marginRight: 16,
+    marginEnd: 16,
   },
   avatarPlaceholder: {
     width: 80,
     height: 80,
     borderRadius: 40,
-    backgroundColor: '#495E57',
+    backgroundColor: colors.brand,
     justifyContent: 'center',
     alignItems: 'center',
-    marginRight: 16,
+    marginEnd: 16,
   },
   avatarPlaceholderText: {
-    color: '#FFFFFF',
+    color: colors.onBrand,
     fontSize: 28,
     fontWeight: 'bold',
   },
@@ -531,26 +729,26 @@ const styles = StyleSheet.create({
     gap: 12,
   },
   changeButton: {
-    backgroundColor: '#495E57',
+    backgroundColor: colors.brand,
     paddingHorizontal: 16,
     paddingVertical: 8,
     borderRadius: 6,
   },
   changeButtonText: {
-    color: '#FFFFFF',
+    color: colors.onBrand,
     fontSize: 14,
     fontWeight: '500',
   },
   removeButton: {
     backgroundColor: 'transparent',
     borderWidth: 1,
-    borderColor: '#7C7C7C',
+    borderColor: colors.textMuted,
     paddingHorizontal: 16,
     paddingVertical: 8,
     borderRadius: 6,
   },
   removeButtonText: {
-    color: '#7C7C7C',
+    color: colors.textMuted,
     fontSize: 14,
     fontWeight: '500',
   },
@@ -559,17 +757,106 @@ const styles = StyleSheet.create({
   },
   inputLabel: {
     fontSize: 14,
-    color: '#7C7C7C',
+    color: colors.textMuted,
     marginBottom: 8,
   },
+  inputLabelRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    justifyContent: 'space-between',
+  },
+  verifiedBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.brand,
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    gap: 4,
+  },
+  verifiedBadgeText: {
+    color: colors.onBrand,
+    fontSize: 12,
+    fontWeight: '600',
+  },
   input: {
+    textAlign: 'left',
     borderWidth: 1,
-    borderColor: '#EDEFEE',
+    borderColor: colors.border,
     borderRadius: 8,
     paddingHorizontal: 16,
     paddingVertical: 12,
     fontSize: 16,
-    color: '#333333',
+    color: colors.text,
+  },
+  readOnlyInput: {
+    backgroundColor: colors.surface,
+    color: colors.textMuted,
+  },
+  inputHint: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 6,
+  },
+  linkSection: {
+    marginBottom: 24,
+  },
+  linkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  linkRowText: {
+    flex: 1,
+    fontSize: 16,
+    color: colors.text,
+    marginStart: 12,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  optionRowText: {
+    fontSize: 16,
+    color: colors.text,
+    marginStart: 12,
+  },
+  reservationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  reservationInfo: {
+    flex: 1,
+  },
+  reservationDate: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  reservationMeta: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  reservationAction: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  reservationActionText: {
+    color: colors.tint,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  reservationCancelText: {
+    color: colors.textMuted,
+    fontSize: 14,
+    fontWeight: '500',
   },
   notificationSection: {
     marginBottom: 32,
@@ -577,7 +864,7 @@ const styles = StyleSheet.create({
   sectionTitle: {
     fontSize: 18,
     fontWeight: 'bold',
-    color: '#333333',
+    color: colors.text,
     marginBottom: 16,
   },
   checkboxContainer: {
@@ -589,35 +876,35 @@ const styles = StyleSheet.create({
     width: 20,
     height: 20,
     borderWidth: 2,
-    borderColor: '#495E57',
+    borderColor: colors.tint,
     borderRadius: 4,
-    marginRight: 12,
+    marginEnd: 12,
     justifyContent: 'center',
     alignItems: 'center',
   },
   checkboxChecked: {
-    backgroundColor: '#495E57',
+    backgroundColor: colors.brand,
   },
   checkboxLabel: {
     fontSize: 16,
-    color: '#333333',
+    color: colors.text,
   },
   actionButtons: {
     paddingHorizontal: 16,
     paddingBottom: 20,
     borderTopWidth: 1,
-    borderTopColor: '#EDEFEE',
+    borderTopColor: colors.border,
     paddingTop: 16,
   },
   logoutButton: {
-    backgroundColor: '#F4CE14',
+    backgroundColor: colors.accent,
     paddingVertical: 16,
     borderRadius: 8,
     alignItems: 'center',
     marginBottom: 16,
   },
   logoutButtonText: {
-    color: '#333333',
+    color: colors.onAccent,
     fontSize: 16,
     fontWeight: '600',
   },
@@ -629,25 +916,25 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: 'transparent',
     borderWidth: 1,
-    borderColor: '#495E57',
+    borderColor: colors.tint,
     paddingVertical: 16,
     borderRadius: 8,
     alignItems: 'center',
   },
   discardButtonText: {
-    color: '#495E57',
+    color: colors.tint,
     fontSize: 16,
     fontWeight: '500',
   },
   saveButton: {
     flex: 1,
-    backgroundColor: '#495E57',
+    backgroundColor: colors.brand,
     paddingVertical: 16,
     borderRadius: 8,
     alignItems: 'center',
   },
   saveButtonText: {
-    color: '#FFFFFF',
+    color: colors.onBrand,
     fontSize: 16,
     fontWeight: '600',
   },
@@ -0,0 +1,389 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DatabaseOperations from '../database/DatabaseOperations';
+import ReservationOperations, { SlotUnavailableError } from '../database/ReservationOperations';
+import {
+  getBookableDates,
+  getSlotAvailability,
+  formatReservationDate,
+  formatReservationTime,
+} from '../utils/reservations';
+import { MAX_PARTY_SIZE } from '../config/restaurant';
+import { useTranslation } from '../i18n/LanguageContext';
+import { flipInRTL } from '../utils/rtl';
+import { useTheme, useThemedStyles } from '../theme/ThemeContext';
+
+// Route params: { reservationId } to modify an existing reservation
+const Reservations = ({ navigation, route }) => {
+  const { t, language } = useTranslation();
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  const reservationId = route?.params?.reservationId ?? null;
+  const [bookableDates] = useState(() => getBookableDates());
+  // When modifying, wait for the saved reservation before loading any slots
+  const [selectedDate, setSelectedDate] = useState(reservationId ? null : bookableDates[0] || null);
+  const [partySize, setPartySize] = useState(2);
+  const [selectedTime, setSelectedTime] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [loadingSlots, setLoadingSlots] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Start from the reservation being modified
+  useEffect(() => {
+    if (reservationId) {
+      loadReservation();
+    }
+  }, [reservationId]);
+
+  useEffect(() => {
+    if (selectedDate) {
+      loadSlots();
+    } else if (!reservationId) {
+      setLoadingSlots(false);
+    }
+  }, [selectedDate, partySize]);
+
+  const loadReservation = async () => {
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      const reservation = await ReservationOperations.getReservationById(database, reservationId);
+      if (reservation) {
+        setPartySize(reservation.party_size);
+        setSelectedTime(reservation.time);
+        setSelectedDate(reservation.date);
+        return;
+      }
+    } catch (error) {
+      console.error('Error loading reservation:', error);
+    }
+    setSelectedDate(bookableDates[0] || null);
+  };
+
+  const loadSlots = async () => {
+    setLoadingSlots(true);
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      const booked = await ReservationOperations.getReservationsForDate(database, selectedDate, reservationId);
+      const availability = getSlotAvailability(selectedDate, partySize, booked);
+      setSlots(availability);
+
+      // Drop a selection that is no longer possible for this date or party size
+      setSelectedTime(prev => (
+        availability.some(slot => slot.time === prev && slot.available) ? prev : null
+      ));
+    } catch (error) {
+      console.error('Error loading availability:', error);
+    } finally {
+      setLoadingSlots(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    setIsSaving(true);
+    try {
+      const database = await DatabaseOperations.initializeDatabase();
+      await ReservationOperations.saveReservation(database, {
+        id: reservationId,
+        date: selectedDate,
+        time: selectedTime,
+        partySize,
+      });
+
+      Alert.alert(
+        reservationId ? t('reservations.updatedTitle') : t('reservations.reservedTitle'),
+        t('reservations.confirmation', {
+          date: formatReservationDate(selectedDate, language),
+          time: formatReservationTime(selectedTime, language),
+          guests: t('profile.guests', { count: partySize }),
+        }),
+        [{ text: t('common.ok'), onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      if (error instanceof SlotUnavailableError) {
+        Alert.alert(t('reservations.unavailableTitle'), t('reservations.unavailableMessage'));
+        await loadSlots();
+      } else {
+        console.error('Error saving reservation:', error);
+        Alert.alert(t('common.error'), t('reservations.saveFailed'));
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+          accessibilityRole="button"
+          accessibilityLabel={t('common.back')}
+        >
+          <Ionicons name="arrow-back" size={24} color={colors.tint} style={flipInRTL} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle} accessibilityRole="header">
+          {reservationId ? t('reservations.changeTitle') : t('reservations.reserveTitle')}
+        </Text>
+      </View>
+
+      <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
+        {/* Date */}
+        <Text style={styles.sectionTitle} accessibilityRole="header">{t('reservations.date')}</Text>
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.dateList}
+        >
+          {bookableDates.map((date) => (
+            <TouchableOpacity
+              key={date}
+              style={[styles.chip, selectedDate === date && styles.chipSelected]}
+              onPress={() => setSelectedDate(date)}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: selectedDate === date }}
+            >
+              <Text style={[styles.chipText, selectedDate === date && styles.chipTextSelected]}>
+                {formatReservationDate(date, language)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+
+        {/* Party Size */}
+        <Text style={styles.sectionTitle} accessibilityRole="header">{t('reservations.partySize')}</Text>
+        <View style={styles.partySizeRow}>
+          <TouchableOpacity
+            style={[styles.stepperButton, partySize <= 1 && styles.disabledButton]}
+            onPress={() => setPartySize(size => size - 1)}
+            disabled={partySize <= 1}
+            accessibilityRole="button"
+            accessibilityLabel={t('reservations.fewerGuests')}
+            accessibilityState={{ disabled: partySize <= 1 }}
+          >
+            <Ionicons name="remove" size={22} color={colors.tint} />
+          </TouchableOpacity>
+          <Text style={styles.partySizeText} accessibilityLiveRegion="polite">
+            {t('profile.guests', { count: partySize })}
+          </Text>
+          <TouchableOpacity
+            style={[styles.stepperButton, partySize >= MAX_PARTY_SIZE && styles.disabledButton]}
+            onPress={() => setPartySize(size => size + 1)}
+            disabled={partySize >= MAX_PARTY_SIZE}
+            accessibilityRole="button"
+            accessibilityLabel={t('reservations.moreGuests')}
+            accessibilityState={{ disabled: partySize >= MAX_PARTY_SIZE }}
+          >
+            <Ionicons name="add" size={22} color={colors.tint} />
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.hintText}>
+          {t('reservations.largeParty', { count: MAX_PARTY_SIZE })}
+        </Text>
+
+        {/* Time */}
+        <Text style={styles.sectionTitle} accessibilityRole="header">{t('reservations.time')}</Text>
+        {loadingSlots ? (
+          <ActivityIndicator size="small" color={colors.tint} style={styles.slotsSpinner} />
+        ) : slots.length === 0 ? (
+          <Text style={styles.hintText}>{t('reservations.noTimes')}</Text>
+        ) : (
+          <View style={styles.slotGrid}>
+            {slots.map((slot) => (
+              <TouchableOpacity
+                key={slot.time}
+                style={[
+                  styles.slot,
+                  selectedTime === slot.time && styles.chipSelected,
+                  !slot.available && styles.slotUnavailable,
+                ]}
+                onPress={() => setSelectedTime(slot.time)}
+                disabled={!slot.available}
+                accessibilityRole="radio"
+                accessibilityLabel={slot.available
+                  ? formatReservationTime(slot.time, language)
+                  : t('reservations.slotUnavailable', { time: formatReservationTime(slot.time, language) })}
+                accessibilityState={{ checked: selectedTime === slot.time, disabled: !slot.available }}
+              >
+                <Text style={[
+                  styles.chipText,
+                  selectedTime === slot.time && styles.chipTextSelected,
+                  !slot.available && styles.slotUnavailableText,
+                ]}>
+                  {formatReservationTime(slot.time, language)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+      </ScrollView>
+
+      {/* Action Buttons */}
+      <View style={styles.actionButtons}>
+        <TouchableOpacity
+          style={[styles.confirmButton, (!selectedTime || isSaving) && styles.disabledButton]}
+          onPress={handleConfirm}
+          disabled={!selectedTime || isSaving}
+          accessibilityRole="button"
+          accessibilityLabel={reservationId ? t('reservations.saveChanges') : t('reservations.confirm')}
+          accessibilityState={{ disabled: !selectedTime || isSaving, busy: isSaving }}
+        >
+          {isSaving ? (
+            <ActivityIndicator color={colors.onAccent} />
+          ) : (
+            <Text style={styles.confirmButtonText}>
+              {reservationId ? t('reservations.saveChanges') : t('reservations.confirm')}
+            </Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: colors.background,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  backButton: {
+    padding: 8,
+    marginEnd: 8,
+  },
+  headerTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.tint,
+    flex: 1,
+  },
+  scrollView: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 24,
+    marginBottom: 12,
+  },
+  dateList: {
+    paddingVertical: 4,
+  },
+  chip: {
+    backgroundColor: colors.surface,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    marginEnd: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  chipSelected: {
+    backgroundColor: colors.brand,
+    borderColor: colors.tint,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.tint,
+  },
+  chipTextSelected: {
+    color: colors.onBrand,
+  },
+  partySizeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepperButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    borderWidth: 1,
+    borderColor: colors.tint,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  partySizeText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.text,
+    minWidth: 110,
+    textAlign: 'center',
+  },
+  hintText: {
+    fontSize: 14,
+    color: colors.textMuted,
+    marginTop: 8,
+  },
+  slotsSpinner: {
+    alignSelf: 'flex-start',
+    marginVertical: 8,
+  },
+  slotGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    paddingBottom: 24,
+  },
+  slot: {
+    width: '30%',
+    backgroundColor: colors.surface,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: 'center',
+  },
+  slotUnavailable: {
+    backgroundColor: 'transparent',
+  },
+  slotUnavailableText: {
+    color: colors.textDisabled,
+    textDecorationLine: 'line-through',
+  },
+  actionButtons: {
+    paddingHorizontal: 16,
+    paddingBottom: 20,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+    paddingTop: 16,
+  },
+  confirmButton: {
+    backgroundColor: colors.accent,
+    paddingVertical: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  confirmButtonText: {
+    color: colors.onAccent,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+});
+
+export default Reservations;
@@ -6,35 +6,55 @@ import {
   Image,
   Animated,
   Dimensions,
+  AccessibilityInfo,
 } from 'react-native';
+import { useTranslation } from '../i18n/LanguageContext';
+import { useThemedStyles } from '../theme/ThemeContext';
 
 const { width, height } = Dimensions.get('window');
 
 const SplashScreen = ({ onFinish }) => {
+  const { t } = useTranslation();
+  const styles = useThemedStyles(createStyles);
+
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const scaleAnim = useRef(new Animated.Value(0.8)).current;
   const slideAnim = useRef(new Animated.Value(50)).current;
 
   useEffect(() => {
-    // Start animations
-    Animated.parallel([
-      Animated.timing(fadeAnim, {
-        toValue: 1,
-        duration: 1000,
-        useNativeDriver: true,
-      }),
-      Animated.timing(scaleAnim, {
-        toValue: 1,
-        duration: 1000,
-        useNativeDriver: true,
-      }),
-      Animated.timing(slideAnim, {
-        toValue: 0,
-        duration: 800,
-        delay: 200,
-        useNativeDriver: true,
-      }),
-    ]).start();
+    const fadeIn = Animated.timing(fadeAnim, {
+      toValue: 1,
+      duration: 1000,
+      useNativeDriver: true,
+    });
+
+    // With reduce motion on, the logo and text only fade in: they start at
+    // full size and in place instead of growing and sliding up
+    AccessibilityInfo.isReduceMotionEnabled()
+      .catch(() => false)
+      .then((reduceMotion) => {
+        if (reduceMotion) {
+          scaleAnim.setValue(1);
+          slideAnim.setValue(0);
+          fadeIn.start();
+          return;
+        }
+
+        Animated.parallel([
+          fadeIn,
+          Animated.timing(scaleAnim, {
+            toValue: 1,
+            duration: 1000,
+            useNativeDriver: true,
+          }),
+          Animated.timing(slideAnim, {
+            toValue: 0,
+            duration: 800,
+            delay: 200,
+            useNativeDriver: true,
+          }),
+        ]).start();
+      });
 
     // Auto-dismiss after 2.5 seconds
     const timer = setTimeout(() => {
@@ -78,9 +98,9 @@ const SplashScreen = ({ onFinish }) => {
             },
           ]}
         >
-          <Text style={styles.restaurantName}>Little Lemon</Text>
-          <Text style={styles.tagline}>Mediterranean Restaurant</Text>
-          <Text style={styles.location}>Chicago</Text>
+          <Text style={styles.restaurantName}>{t('common.restaurantName')}</Text>
+          <Text style={styles.tagline}>{t('splash.tagline')}</Text>
+          <Text style={styles.location}>{t('common.location')}</Text>
         </Animated.View>
 
         {/* Loading indicator */}
@@ -131,23 +151,24 @@ const SplashScreen = ({ onFinish }) => {
           },
         ]}
       >
-        <Text style={styles.welcomeText}>Welcome to</Text>
-        <Text style={styles.brandText}>Little Lemon</Text>
+        <Text style={styles.welcomeText}>{t('splash.welcomeTo')}</Text>
+        <Text style={styles.brandText}>{t('common.restaurantName')}</Text>
       </Animated.View>
     </View>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#495E57',
+    backgroundColor: colors.brand,
     justifyContent: 'center',
     alignItems: 'center',
   },
   backgroundOverlay: {
     ...StyleSheet.absoluteFillObject,
-    backgroundColor: 'rgba(73, 94, 87, 0.95)',
+    backgroundColor: colors.brand,
+    opacity: 0.95,
   },
   content: {
     flex: 1,
@@ -177,21 +198,21 @@ const styles = StyleSheet.create({
   restaurantName: {
     fontSize: 36,
     fontWeight: 'bold',
-    color: '#F4CE14',
+    color: colors.accent,
     textAlign: 'center',
     marginBottom: 8,
     letterSpacing: 1,
   },
   tagline: {
     fontSize: 18,
-    color: '#FFFFFF',
+    color: colors.onBrand,
     textAlign: 'center',
     marginBottom: 4,
     fontWeight: '300',
   },
   location: {
     fontSize: 16,
-    color: '#FFFFFF',
+    color: colors.onBrand,
     textAlign: 'center',
     opacity: 0.8,
     fontWeight: '300',
@@ -208,7 +229,7 @@ const styles = StyleSheet.create({
     width: 8,
     height: 8,
     borderRadius: 4,
-    backgroundColor: '#F4CE14',
+    backgroundColor: colors.accent,
     marginHorizontal: 4,
   },
   bottomContainer: {
@@ -218,14 +239,14 @@ const styles = StyleSheet.create({
   },
   welcomeText: {
     fontSize: 16,
-    color: '#FFFFFF',
+    color: colors.onBrand,
     marginBottom: 4,
     opacity: 0.8,
   },
   brandText: {
     fontSize: 24,
     fontWeight: 'bold',
-    color: '#F4CE14',
+    color: colors.accent,
     letterSpacing: 0.5,
   },
 });
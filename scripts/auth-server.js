@@ -0,0 +1,309 @@
+// Local stand-in for the auth API, for developing the `remote` auth backend.
+//
+//   npm run auth-server
+//
+// Then start the app with EXPO_PUBLIC_AUTH_BACKEND=remote and
+// EXPO_PUBLIC_AUTH_URL=http://<your-computer's-ip>:3002
+// (http://10.0.2.2:3002 from the Android emulator). Accounts and sessions
+// are kept in memory, so they are gone when the server stops. Password reset
+// and email verification codes are printed here instead of being emailed.
+//
+//   POST /signup                 { firstName, lastName, email, password } -> 201 { token, user }
+//   POST /signin                 { email, password }                      -> 200 { token, user }
+//   GET  /me                     Authorization: Bearer <token>            -> 200 { user }
+//   POST /signout                Authorization: Bearer <token>            -> 204
+//   POST /password               Authorization: Bearer <token>,
+//                                { currentPassword, newPassword }         -> 204
+//   POST /password-reset         { email }                                -> 204
+//   POST /password-reset/confirm { email, code, newPassword }             -> 204
+//   POST /verify-email/request   Authorization: Bearer <token>            -> 204
+//   POST /verify-email           Authorization: Bearer <token>, { code }  -> 200 { user }
+//
+// Errors answer { error, message } with `error` one of the AuthError codes in
+// services/auth/AuthError.js.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 3002;
+const CODE_TTL_MS = 10 * 60 * 1000;
+const CODE_MAX_ATTEMPTS = 5;
+
+const accounts = new Map();
+const sessions = new Map();
+const resets = new Map();
+const verifications = new Map();
+
+// The rules in utils/password.js
+const isStrongPassword = (password) => (
+  typeof password === 'string' && password.length >= 8 &&
+  /[a-z]/.test(password) && /[A-Z]/.test(password) && /\d/.test(password)
+);
+
+const WEAK_PASSWORD = [400, { error: 'weak_password', message: 'The new password does not meet the password rules.' }];
+const SESSION_EXPIRED = [401, { error: 'session_expired', message: 'This session is no longer valid.' }];
+
+const hashPassword = (password, salt) => crypto.scryptSync(password, salt, 64).toString('hex');
+
+const passwordMatches = (account, password) => crypto.timingSafeEqual(
+  Buffer.from(account.passwordHash, 'hex'),
+  Buffer.from(hashPassword(password || '', account.salt), 'hex')
+);
+
+const setPassword = (account, password) => {
+  account.salt = crypto.randomBytes(16).toString('hex');
+  account.passwordHash = hashPassword(password, account.salt);
+};
+
+// Ends every session of the account except `keepToken`
+const revokeSessions = (email, keepToken = null) => {
+  for (const [token, sessionEmail] of sessions) {
+    if (sessionEmail === email && token !== keepToken) {
+      sessions.delete(token);
+    }
+  }
+};
+
+const toUser = ({ id, firstName, lastName, email, emailVerified }) => ({
+  id,
+  firstName,
+  lastName,
+  email,
+  emailVerified: Boolean(emailVerified),
+});
+
+// Prints a new code for `email`, which replaces any earlier one in `codes`
+const sendCode = (codes, email, purpose) => {
+  const code = String(crypto.randomInt(1000000)).padStart(6, '0');
+  codes.set(email, { code, expiresAt: Date.now() + CODE_TTL_MS, attempts: 0 });
+  console.log(`${purpose} code for ${email}: ${code}`);
+};
+
+// The error response for a wrong or stale code, or null when `code` is the
+// live code for `email`. A correct code is used up.
+const redeemCode = (codes, email, code) => {
+  const pending = codes.get(email);
+
+  if (!pending || pending.expiresAt < Date.now() || pending.attempts >= CODE_MAX_ATTEMPTS) {
+    codes.delete(email);
+    return [400, { error: 'invalid_code', message: 'This code has expired. Request a new one.' }];
+  }
+  if (code.trim() !== pending.code) {
+    pending.attempts += 1;
+    return [400, { error: 'invalid_code', message: 'The code is incorrect.' }];
+  }
+  codes.delete(email);
+  return null;
+};
+
+const startSession = (account) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, account.email);
+  return { token, user: toUser(account) };
+};
+
+// The 400 response for the first of `fields` whose value is not a string, or
+// null when they all are
+const requireStrings = (fields) => {
+  const name = Object.keys(fields).find((key) => typeof fields[key] !== 'string');
+  return name ? [400, { error: 'server_error', message: `"${name}" must be a string.` }] : null;
+};
+
+const accountForRequest = (request) => {
+  const token = (request.headers.authorization || '').replace(/^Bearer /, '');
+  return { token, account: accounts.get(sessions.get(token)) };
+};
+
+const routes = {
+  'POST /signup': ({ body }) => {
+    const { firstName, lastName = '', email, password } = body;
+    const invalid = requireStrings({ firstName, lastName, email, password });
+    if (invalid) {
+      return invalid;
+    }
+    const key = email.trim().toLowerCase();
+
+    if (!firstName.trim() || !key.includes('@')) {
+      return [400, { error: 'server_error', message: 'A first name and an email are required.' }];
+    }
+    if (accounts.has(key)) {
+      return [409, { error: 'email_taken', message: 'An account with this email already exists.' }];
+    }
+    if (!isStrongPassword(password)) {
+      return WEAK_PASSWORD;
+    }
+
+    const account = {
+      id: crypto.randomUUID(),
+      firstName: firstName.trim(),
+      lastName: lastName.trim(),
+      email: key,
+      emailVerified: false,
+    };
+    setPassword(account, password);
+    accounts.set(key, account);
+    return [201, startSession(account)];
+  },
+
+  'POST /signin': ({ body }) => {
+    const invalid = requireStrings({ email: body.email, password: body.password });
+    if (invalid) {
+      return invalid;
+    }
+    const account = accounts.get(body.email.trim().toLowerCase());
+
+    if (!account || !passwordMatches(account, body.password)) {
+      return [401, { error: 'invalid_credentials', message: 'The email or password is incorrect.' }];
+    }
+    return [200, startSession(account)];
+  },
+
+  'GET /me': ({ request }) => {
+    const { account } = accountForRequest(request);
+    if (!account) {
+      return SESSION_EXPIRED;
+    }
+    return [200, { user: toUser(account) }];
+  },
+
+  'POST /signout': ({ request }) => {
+    sessions.delete(accountForRequest(request).token);
+    return [204, null];
+  },
+
+  // Other sessions of the account are logged out
+  'POST /password': ({ request, body }) => {
+    const invalid = requireStrings({ currentPassword: body.currentPassword, newPassword: body.newPassword });
+    if (invalid) {
+      return invalid;
+    }
+    const { token, account } = accountForRequest(request);
+    if (!account) {
+      return SESSION_EXPIRED;
+    }
+    if (!passwordMatches(account, body.currentPassword)) {
+      return [401, { error: 'invalid_credentials', message: 'The current password is incorrect.' }];
+    }
+    if (!isStrongPassword(body.newPassword)) {
+      return WEAK_PASSWORD;
+    }
+
+    setPassword(account, body.newPassword);
+    revokeSessions(account.email, token);
+    return [204, null];
+  },
+
+  // Answers the same whether or not the email has an account
+  'POST /password-reset': ({ body }) => {
+    const invalid = requireStrings({ email: body.email });
+    if (invalid) {
+      return invalid;
+    }
+    const key = body.email.trim().toLowerCase();
+    if (accounts.has(key)) {
+      sendCode(resets, key, 'Password reset');
+    }
+    return [204, null];
+  },
+
+  // Every session of the account is logged out
+  'POST /password-reset/confirm': ({ body }) => {
+    const invalid = requireStrings({ email: body.email, code: body.code, newPassword: body.newPassword });
+    if (invalid) {
+      return invalid;
+    }
+    const key = body.email.trim().toLowerCase();
+    if (!isStrongPassword(body.newPassword)) {
+      return WEAK_PASSWORD;
+    }
+    const invalidCode = redeemCode(resets, key, body.code);
+    if (invalidCode) {
+      return invalidCode;
+    }
+
+    setPassword(accounts.get(key), body.newPassword);
+    revokeSessions(key);
+    return [204, null];
+  },
+
+  'POST /verify-email/request': ({ request }) => {
+    const { account } = accountForRequest(request);
+    if (!account) {
+      return SESSION_EXPIRED;
+    }
+    sendCode(verifications, account.email, 'Email verification');
+    return [204, null];
+  },
+
+  'POST /verify-email': ({ request, body }) => {
+    const invalid = requireStrings({ code: body.code });
+    if (invalid) {
+      return invalid;
+    }
+    const { account } = accountForRequest(request);
+    if (!account) {
+      return SESSION_EXPIRED;
+    }
+    const invalidCode = redeemCode(verifications, account.email, body.code);
+    if (invalidCode) {
+      return invalidCode;
+    }
+
+    account.emailVerified = true;
+    return [200, { user: toUser(account) }];
+  },
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  let data = '';
+  request.on('data', (chunk) => { data += chunk; });
+  request.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  request.on('error', reject);
+});
+
+const server = http.createServer(async (request, response) => {
+  const route = routes[`${request.method} ${request.url.split('?')[0]}`];
+  let status = 404;
+  let payload = { error: 'server_error', message: 'Not found' };
+
+  if (route) {
+    let body;
+    let isJson = true;
+    try {
+      body = await readBody(request);
+    } catch (error) {
+      isJson = false;
+      [status, payload] = [400, { error: 'server_error', message: 'The request body is not valid JSON.' }];
+    }
+
+    if (isJson && (body === null || typeof body !== 'object' || Array.isArray(body))) {
+      [status, payload] = [400, { error: 'server_error', message: 'The request body must be a JSON object.' }];
+    } else if (isJson) {
+      // A bug in a route answers 500 instead of taking the server down
+      try {
+        [status, payload] = route({ request, body });
+      } catch (error) {
+        console.error(`${request.method} ${request.url} failed:`, error);
+        [status, payload] = [500, { error: 'server_error', message: 'Something went wrong on the server.' }];
+      }
+    }
+  }
+
+  console.log(`${new Date().toISOString()} ${request.method} ${request.url} ${status}`);
+  if (payload) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(payload));
+  } else {
+    response.writeHead(status);
+    response.end();
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Auth API listening at http://localhost:${PORT}`);
+});
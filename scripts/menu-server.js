@@ -0,0 +1,40 @@
+// Local stand-in for the menu API, for developing without the public endpoint.
+//
+//   npm run menu-server                      serves assets/menu-seed.json
+//   npm run menu-server -- path/to/menu.json serves another file, e.g. a
+//                                            malformed one to test validation
+//
+// Then start the app with EXPO_PUBLIC_MENU_URL=http://<your-computer's-ip>:3001/menu.json
+// (http://10.0.2.2:3001/menu.json from the Android emulator). The file is read
+// on every request, so edits show up on the app's next sync.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 3001;
+const menuFile = path.resolve(process.argv[2] || path.join(__dirname, '..', 'assets', 'menu-seed.json'));
+
+const server = http.createServer((request, response) => {
+  if (request.method !== 'GET' || request.url.split('?')[0] !== '/menu.json') {
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    response.end('Not found');
+    return;
+  }
+
+  fs.readFile(menuFile, (error, data) => {
+    if (error) {
+      console.error(`Could not read ${menuFile}:`, error.message);
+      response.writeHead(500, { 'Content-Type': 'text/plain' });
+      response.end('Could not read the menu file');
+      return;
+    }
+
+    console.log(`${new Date().toISOString()} GET ${request.url}`);
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(data);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Serving ${menuFile} at http://localhost:${PORT}/menu.json`);
+});
@@ -0,0 +1,15 @@
+// Raised by auth backends. `code` is one of:
+//   'invalid_credentials' the email and password do not match an account
+//   'email_taken'         sign-up with an email that already has an account
+//   'weak_password'       the new password does not meet PASSWORD_RULES
+//   'invalid_code'        a password reset code is wrong, expired or used up
+//   'session_expired'     the session token was revoked or is unknown
+//   'network_error'       the backend could not be reached
+//   'server_error'        anything else that went wrong on the backend
+export default class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
@@ -0,0 +1,117 @@
+import { AUTH_BACKEND } from '../../config/auth';
+import AuthError from './AuthError';
+import { createMockAuthBackend } from './mockAuthBackend';
+import { createRemoteAuthBackend } from './remoteAuthBackend';
+import { getStoredSession, storeSession, clearStoredSession } from './session';
+
+// An auth backend is an object of the shape
+//
+//   {
+//     name: string,
+//     signUp({ firstName, lastName, email, password }) => Promise<{ token, user }>,
+//     signIn({ email, password }) => Promise<{ token, user }>,
+//     getUser(token) => Promise<user>,
+//     signOut(token) => Promise<void>,
+//     changePassword(token, { currentPassword, newPassword }) => Promise<void>,
+//     requestPasswordReset(email) => Promise<void>,
+//     resetPassword({ email, code, newPassword }) => Promise<void>,
+//     requestEmailVerification(token) => Promise<void>,
+//     verifyEmail(token, code) => Promise<user>
+//   }
+//
+// where `user` is { id, firstName, lastName, email, emailVerified } and
+// `token` identifies the session until signOut revokes it.
+// requestPasswordReset emails the account a one-time code for resetPassword,
+// and resolves the same way for unknown emails; requestEmailVerification
+// emails the signed-in account a code for verifyEmail. Sending a code makes
+// earlier ones of the same kind stop working. Failures reject with an
+// AuthError. To add a backend, implement this shape and register it below.
+const BACKENDS = {
+  mock: () => createMockAuthBackend(),
+  remote: () => createRemoteAuthBackend(),
+};
+
+export const getAuthBackend = (name = AUTH_BACKEND) => {
+  const createBackend = BACKENDS[name];
+  if (!createBackend) {
+    throw new AuthError('server_error', `Unknown auth backend "${name}".`);
+  }
+  return createBackend();
+};
+
+// Creates an account and keeps its session on the device
+export const signUp = async (details, backend = getAuthBackend()) => {
+  const session = await backend.signUp(details);
+  await storeSession(session);
+  return session.user;
+};
+
+export const signIn = async (credentials, backend = getAuthBackend()) => {
+  const session = await backend.signIn(credentials);
+  await storeSession(session);
+  return session.user;
+};
+
+// Revokes the session with the backend. The device forgets the token even if
+// the backend cannot be reached, in which case the error is still thrown.
+export const signOut = async (backend = getAuthBackend()) => {
+  const session = await getStoredSession();
+  try {
+    if (session) {
+      await backend.signOut(session.token);
+    }
+  } finally {
+    await clearStoredSession();
+  }
+};
+
+const requireSession = async () => {
+  const session = await getStoredSession();
+  if (!session) {
+    throw new AuthError('session_expired', 'Not signed in.');
+  }
+  return session;
+};
+
+export const changePassword = async (passwords, backend = getAuthBackend()) => {
+  const session = await requireSession();
+  await backend.changePassword(session.token, passwords);
+};
+
+export const requestEmailVerification = async (backend = getAuthBackend()) => {
+  const session = await requireSession();
+  await backend.requestEmailVerification(session.token);
+};
+
+// Resolves with the account's user, now marked verified
+export const verifyEmail = async (code, backend = getAuthBackend()) => {
+  const session = await requireSession();
+  const user = await backend.verifyEmail(session.token, code);
+  await storeSession({ ...session, user });
+  return user;
+};
+
+// Neither needs a session: they are how a user who cannot log in gets back in
+export const requestPasswordReset = (email, backend = getAuthBackend()) => backend.requestPasswordReset(email);
+
+export const resetPassword = (details, backend = getAuthBackend()) => backend.resetPassword(details);
+
+// Asks the backend whether the stored session is still valid. Resolves with
+// the account's user, or null when there is no session or it was revoked;
+// rejects when the backend cannot tell (e.g. offline).
+export const verifySession = async (backend = getAuthBackend()) => {
+  const session = await getStoredSession();
+  if (!session) return null;
+
+  try {
+    return await backend.getUser(session.token);
+  } catch (error) {
+    if (error instanceof AuthError && error.code === 'session_expired') {
+      await clearStoredSession();
+      return null;
+    }
+    throw error;
+  }
+};
+
+export { AuthError, getStoredSession };
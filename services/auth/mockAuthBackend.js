@@ -0,0 +1,237 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import {
+  ONE_TIME_CODE_LENGTH,
+  ONE_TIME_CODE_TTL_MS,
+  ONE_TIME_CODE_MAX_ATTEMPTS,
+} from '../../config/auth';
+import { isStrongPassword } from '../../utils/password';
+import { getMailer } from '../mail';
+import AuthError from './AuthError';
+
+// Accounts, live sessions and pending one-time codes, kept in AsyncStorage so
+// they survive a restart and a log out, like a server's would
+const STORE_KEY = 'mockAuth';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+const hashPassword = (password, salt) => (
+  Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${password}`)
+);
+
+const toUser = ({ id, firstName, lastName, email, emailVerified }) => ({
+  id,
+  firstName,
+  lastName,
+  email,
+  emailVerified: Boolean(emailVerified),
+});
+
+const assertStrongPassword = (password) => {
+  if (!isStrongPassword(password)) {
+    throw new AuthError('weak_password', 'The new password does not meet the password rules.');
+  }
+};
+
+const generateCode = () => (
+  String(Crypto.getRandomValues(new Uint32Array(1))[0] % 10 ** ONE_TIME_CODE_LENGTH)
+    .padStart(ONE_TIME_CODE_LENGTH, '0')
+);
+
+const CODE_TTL_MINUTES = ONE_TIME_CODE_TTL_MS / 60000;
+
+// Local stand-in for an auth server, so sign-up and sign-in work on the device
+// with no backend running. Passwords are stored salted and hashed, but this
+// is not a security boundary: anyone with the device's storage can read it.
+// One-time codes go out through `mailer`, which by default logs them.
+// `latencyMs` simulates network time.
+export const createMockAuthBackend = ({ latencyMs = 600, mailer = getMailer() } = {}) => {
+  const load = async () => {
+    const stored = await AsyncStorage.getItem(STORE_KEY);
+    return {
+      accounts: {},
+      sessions: {},
+      resets: {},
+      verifications: {},
+      ...(stored ? JSON.parse(stored) : {}),
+    };
+  };
+
+  const save = (store) => AsyncStorage.setItem(STORE_KEY, JSON.stringify(store));
+
+  const accountForSession = (store, token) => {
+    const account = store.accounts[store.sessions[token]];
+    if (!account) {
+      throw new AuthError('session_expired', 'This session is no longer valid.');
+    }
+    return account;
+  };
+
+  const setPassword = async (account, password) => {
+    account.salt = Crypto.randomUUID();
+    account.passwordHash = await hashPassword(password, account.salt);
+  };
+
+  // Ends every session of the account except `keepToken`
+  const revokeSessions = (store, email, keepToken = null) => {
+    Object.keys(store.sessions).forEach((token) => {
+      if (store.sessions[token] === email && token !== keepToken) {
+        delete store.sessions[token];
+      }
+    });
+  };
+
+  const startSession = async (store, account) => {
+    const token = Crypto.randomUUID();
+    store.sessions[token] = account.email;
+    await save(store);
+    return { token, user: toUser(account) };
+  };
+
+  // Emails `email` a new code, which replaces any earlier one in `codes`.
+  // `compose(code)` returns the message's { subject, text }.
+  const sendCode = async (store, codes, email, compose) => {
+    const code = generateCode();
+    codes[email] = {
+      codeHash: await hashPassword(code, email),
+      expiresAt: Date.now() + ONE_TIME_CODE_TTL_MS,
+      attempts: 0,
+    };
+    await save(store);
+    await mailer.send({ to: email, ...compose(code) });
+  };
+
+  // Rejects unless `code` is the live code for `email`. A correct code is used up.
+  const redeemCode = async (store, codes, email, code) => {
+    const pending = codes[email];
+
+    if (!pending || pending.expiresAt < Date.now() || pending.attempts >= ONE_TIME_CODE_MAX_ATTEMPTS) {
+      delete codes[email];
+      await save(store);
+      throw new AuthError('invalid_code', 'This code has expired. Request a new one.');
+    }
+    if (pending.codeHash !== await hashPassword(code.trim(), email)) {
+      pending.attempts += 1;
+      await save(store);
+      throw new AuthError('invalid_code', 'The code is incorrect.');
+    }
+    delete codes[email];
+  };
+
+  return {
+    name: 'mock',
+
+    async signUp({ firstName, lastName, email, password }) {
+      await wait(latencyMs);
+      const store = await load();
+      const key = normalizeEmail(email);
+
+      if (store.accounts[key]) {
+        throw new AuthError('email_taken', 'An account with this email already exists.');
+      }
+      assertStrongPassword(password);
+
+      const account = {
+        id: Crypto.randomUUID(),
+        firstName: firstName.trim(),
+        lastName: lastName.trim(),
+        email: key,
+        emailVerified: false,
+      };
+      await setPassword(account, password);
+      store.accounts[key] = account;
+      return startSession(store, account);
+    },
+
+    async signIn({ email, password }) {
+      await wait(latencyMs);
+      const store = await load();
+      const account = store.accounts[normalizeEmail(email)];
+
+      if (!account || account.passwordHash !== await hashPassword(password, account.salt)) {
+        throw new AuthError('invalid_credentials', 'The email or password is incorrect.');
+      }
+      return startSession(store, account);
+    },
+
+    async getUser(token) {
+      await wait(latencyMs);
+      return toUser(accountForSession(await load(), token));
+    },
+
+    async signOut(token) {
+      await wait(latencyMs);
+      const store = await load();
+      delete store.sessions[token];
+      await save(store);
+    },
+
+    // Other devices signed in to the account are logged out
+    async changePassword(token, { currentPassword, newPassword }) {
+      await wait(latencyMs);
+      const store = await load();
+      const account = accountForSession(store, token);
+
+      if (account.passwordHash !== await hashPassword(currentPassword, account.salt)) {
+        throw new AuthError('invalid_credentials', 'The current password is incorrect.');
+      }
+      assertStrongPassword(newPassword);
+
+      await setPassword(account, newPassword);
+      revokeSessions(store, account.email, token);
+      await save(store);
+    },
+
+    // Resolves whether or not the email has an account, so the response does
+    // not reveal which emails are registered
+    async requestPasswordReset(email) {
+      await wait(latencyMs);
+      const store = await load();
+      const key = normalizeEmail(email);
+      if (!store.accounts[key]) return;
+
+      await sendCode(store, store.resets, key, (code) => ({
+        subject: 'Reset your Little Lemon password',
+        text: `Your password reset code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`,
+      }));
+    },
+
+    // Every session of the account is logged out
+    async resetPassword({ email, code, newPassword }) {
+      await wait(latencyMs);
+      const store = await load();
+      const key = normalizeEmail(email);
+
+      await redeemCode(store, store.resets, key, code);
+      assertStrongPassword(newPassword);
+
+      await setPassword(store.accounts[key], newPassword);
+      revokeSessions(store, key);
+      await save(store);
+    },
+
+    async requestEmailVerification(token) {
+      await wait(latencyMs);
+      const store = await load();
+      const account = accountForSession(store, token);
+
+      await sendCode(store, store.verifications, account.email, (code) => ({
+        subject: 'Verify your Little Lemon email',
+        text: `Your verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`,
+      }));
+    },
+
+    async verifyEmail(token, code) {
+      await wait(latencyMs);
+      const store = await load();
+      const account = accountForSession(store, token);
+
+      await redeemCode(store, store.verifications, account.email, code);
+      account.emailVerified = true;
+      await save(store);
+      return toUser(account);
+    },
+  };
+};
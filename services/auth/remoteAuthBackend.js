@@ -0,0 +1,77 @@
+import { AUTH_URL, AUTH_TIMEOUT_MS } from '../../config/auth';
+import AuthError from './AuthError';
+
+// Talks to an HTTP backend at `url` with the API served by
+// scripts/auth-server.js. Failed requests answer { error, message }, where
+// `error` is an AuthError code.
+export const createRemoteAuthBackend = ({ url = AUTH_URL, timeoutMs = AUTH_TIMEOUT_MS } = {}) => {
+  const request = async (path, { method = 'POST', token, body } = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(`${url}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw new AuthError('network_error', error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // Sign-out answers 204 with no body
+    const payload = response.status === 204 ? {} : await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new AuthError(
+        payload.error || 'server_error',
+        payload.message || `Auth request to ${path} failed with status ${response.status}`
+      );
+    }
+    return payload;
+  };
+
+  return {
+    name: 'remote',
+
+    signUp: (details) => request('/signup', { body: details }),
+
+    signIn: (credentials) => request('/signin', { body: credentials }),
+
+    async getUser(token) {
+      const { user } = await request('/me', { method: 'GET', token });
+      return user;
+    },
+
+    async signOut(token) {
+      await request('/signout', { token });
+    },
+
+    async changePassword(token, passwords) {
+      await request('/password', { token, body: passwords });
+    },
+
+    async requestPasswordReset(email) {
+      await request('/password-reset', { body: { email } });
+    },
+
+    async resetPassword(details) {
+      await request('/password-reset/confirm', { body: details });
+    },
+
+    async requestEmailVerification(token) {
+      await request('/verify-email/request', { token });
+    },
+
+    async verifyEmail(token, code) {
+      const { user } = await request('/verify-email', { token, body: { code } });
+      return user;
+    },
+  };
+};
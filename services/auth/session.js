@@ -0,0 +1,14 @@
+import * as SecureStore from 'expo-secure-store';
+
+// The signed-in session, { token, user }. Kept in the platform keychain
+// rather than AsyncStorage because the token grants access to the account.
+const SESSION_KEY = 'authSession';
+
+export const getStoredSession = async () => {
+  const stored = await SecureStore.getItemAsync(SESSION_KEY);
+  return stored ? JSON.parse(stored) : null;
+};
+
+export const storeSession = (session) => SecureStore.setItemAsync(SESSION_KEY, JSON.stringify(session));
+
+export const clearStoredSession = () => SecureStore.deleteItemAsync(SESSION_KEY);
@@ -0,0 +1,23 @@
+import { MAILER } from '../../config/mail';
+import { createLogMailer } from './logMailer';
+
+// A mailer is an object of the shape
+//
+//   {
+//     name: string,
+//     send({ to, subject, text }) => Promise<void>
+//   }
+//
+// that delivers a plain-text email to the address `to`. To send real mail,
+// implement this shape and register it below.
+const MAILERS = {
+  log: () => createLogMailer(),
+};
+
+export const getMailer = (name = MAILER) => {
+  const createMailer = MAILERS[name];
+  if (!createMailer) {
+    throw new Error(`Unknown mailer "${name}".`);
+  }
+  return createMailer();
+};
@@ -0,0 +1,9 @@
+// Writes each message to the console (the Metro log in development) instead
+// of sending it, so codes can be read off without a mail server
+export const createLogMailer = () => ({
+  name: 'log',
+
+  async send({ to, subject, text }) {
+    console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n\n${text}`);
+  },
+});
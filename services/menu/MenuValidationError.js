@@ -0,0 +1,9 @@
+// Raised when a menu payload does not have the expected shape. `issues` lists
+// every problem found, e.g. 'menu[2].price must be a number of 0 or more'.
+export default class MenuValidationError extends Error {
+  constructor(issues) {
+    super(`Invalid menu payload: ${issues.join('; ')}`);
+    this.name = 'MenuValidationError';
+    this.issues = issues;
+  }
+}
@@ -0,0 +1,13 @@
+import seed from '../../assets/menu-seed.json';
+import { validateMenuPayload } from './validateMenu';
+
+// The menu shipped inside the app. Used on first launch so there is something
+// to browse before the first successful sync, and as a source on its own for
+// working offline.
+export const createBundledMenuSource = () => ({
+  name: 'bundled',
+
+  async fetchMenu() {
+    return validateMenuPayload(seed);
+  },
+});
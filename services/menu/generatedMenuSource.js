@@ -0,0 +1,30 @@
+import seed from '../../assets/menu-seed.json';
+import { GENERATED_MENU_SIZE } from '../../config/menu';
+import { DEFAULT_DISH_TAGS } from '../../config/dietary';
+import { validateMenuPayload } from './validateMenu';
+
+// Development source that makes up `count` dishes from variations of the
+// seed menu, for measuring the menu list against a large catalog. The output
+// is the same on every call, so repeated syncs leave the table unchanged.
+export const createGeneratedMenuSource = ({ count = GENERATED_MENU_SIZE } = {}) => ({
+  name: 'generated',
+
+  async fetchMenu() {
+    const menu = [];
+
+    for (let index = 0; index < count; index += 1) {
+      const base = seed.menu[index % seed.menu.length];
+      const variant = Math.floor(index / seed.menu.length) + 1;
+
+      menu.push({
+        ...base,
+        name: `${base.name} #${variant}`,
+        // Spread prices out so sorting and price filters have something to do
+        price: Math.round((base.price + (variant % 20) * 0.75) * 100) / 100,
+        tags: DEFAULT_DISH_TAGS[base.name.toLowerCase()] || [],
+      });
+    }
+
+    return validateMenuPayload({ menu });
+  },
+});
@@ -0,0 +1,33 @@
+import { MENU_SOURCE } from '../../config/menu';
+import MenuValidationError from './MenuValidationError';
+import { validateMenuPayload } from './validateMenu';
+import { createRemoteMenuSource } from './remoteMenuSource';
+import { createBundledMenuSource } from './bundledMenuSource';
+import { createGeneratedMenuSource } from './generatedMenuSource';
+
+// A menu source is an object of the shape
+//
+//   {
+//     name: string,
+//     fetchMenu() => Promise<Array<{ name, price, description?, image?, category?, tags? }>>
+//   }
+//
+// whose items have been through validateMenuPayload(). A payload of the wrong
+// shape rejects with a MenuValidationError; network failures reject with
+// whatever error `fetch` raised. To add a source, implement this shape and
+// register it below.
+const SOURCES = {
+  remote: () => createRemoteMenuSource(),
+  bundled: () => createBundledMenuSource(),
+  generated: () => createGeneratedMenuSource(),
+};
+
+export const getMenuSource = (name = MENU_SOURCE) => {
+  const createSource = SOURCES[name];
+  if (!createSource) {
+    throw new Error(`Unknown menu source "${name}".`);
+  }
+  return createSource();
+};
+
+export { MenuValidationError, validateMenuPayload };
@@ -0,0 +1,22 @@
+import { MENU_URL, MENU_FETCH_TIMEOUT_MS } from '../../config/menu';
+import { validateMenuPayload } from './validateMenu';
+
+// Fetches the menu over HTTP from `url`
+export const createRemoteMenuSource = ({ url = MENU_URL, timeoutMs = MENU_FETCH_TIMEOUT_MS } = {}) => ({
+  name: 'remote',
+
+  async fetchMenu() {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Menu request to ${url} failed with status ${response.status}`);
+      }
+      return validateMenuPayload(await response.json());
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+});
@@ -0,0 +1,110 @@
+import MenuValidationError from './MenuValidationError';
+
+const isOptionalString = (value) => value == null || typeof value === 'string';
+
+// A group is { id, name, min?, max?, options: [{ id, name, price?, default? }] }
+const describeModifierIssues = (group, path) => {
+  if (!group || typeof group !== 'object' || Array.isArray(group)) {
+    return [`${path} must be an object`];
+  }
+
+  const issues = [];
+  for (const field of ['id', 'name']) {
+    if (typeof group[field] !== 'string' || !group[field].trim()) {
+      issues.push(`${path}.${field} must be a non-empty string`);
+    }
+  }
+
+  if (!Array.isArray(group.options) || group.options.length === 0) {
+    return [...issues, `${path}.options must be a non-empty array`];
+  }
+
+  group.options.forEach((option, optionIndex) => {
+    const optionPath = `${path}.options[${optionIndex}]`;
+    if (!option || typeof option !== 'object') {
+      issues.push(`${optionPath} must be an object`);
+      return;
+    }
+    for (const field of ['id', 'name']) {
+      if (typeof option[field] !== 'string' || !option[field].trim()) {
+        issues.push(`${optionPath}.${field} must be a non-empty string`);
+      }
+    }
+    // Negative prices are allowed: a half portion costs less than the dish
+    if (option.price != null && (typeof option.price !== 'number' || !Number.isFinite(option.price))) {
+      issues.push(`${optionPath}.price must be a number when present`);
+    }
+  });
+
+  const min = group.min ?? 0;
+  const max = group.max ?? group.options.length;
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < 1 || min > max) {
+    issues.push(`${path} needs whole-number min and max with 0 <= min <= max and max >= 1`);
+  } else if (min > group.options.length) {
+    issues.push(`${path}.min is more than the number of options`);
+  }
+
+  return issues;
+};
+
+const describeItemIssues = (item, index) => {
+  const path = `menu[${index}]`;
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return [`${path} must be an object`];
+  }
+
+  const issues = [];
+  if (typeof item.name !== 'string' || !item.name.trim()) {
+    issues.push(`${path}.name must be a non-empty string`);
+  }
+
+  // The public menu has always sent numbers, but numeric strings are harmless
+  const price = typeof item.price === 'string' && item.price.trim() ? Number(item.price) : item.price;
+  if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+    issues.push(`${path}.price must be a number of 0 or more`);
+  }
+
+  for (const field of ['description', 'image', 'category']) {
+    if (!isOptionalString(item[field])) {
+      issues.push(`${path}.${field} must be a string when present`);
+    }
+  }
+
+  if (item.tags != null && (!Array.isArray(item.tags) || item.tags.some(tag => typeof tag !== 'string'))) {
+    issues.push(`${path}.tags must be an array of strings when present`);
+  }
+
+  if (item.modifiers != null) {
+    if (Array.isArray(item.modifiers)) {
+      item.modifiers.forEach((group, groupIndex) => {
+        issues.push(...describeModifierIssues(group, `${path}.modifiers[${groupIndex}]`));
+      });
+    } else {
+      issues.push(`${path}.modifiers must be an array when present`);
+    }
+  }
+
+  return issues;
+};
+
+// Checks a payload of the shape { menu: [{ name, price, description?, image?,
+// category?, tags?, modifiers? }] } and returns its items. The whole payload is rejected
+// if anything is wrong: syncing a partial menu would delete the dishes that
+// failed validation.
+export const validateMenuPayload = (payload) => {
+  if (!payload || typeof payload !== 'object' || !Array.isArray(payload.menu)) {
+    throw new MenuValidationError(['payload must be an object with a "menu" array']);
+  }
+
+  if (payload.menu.length === 0) {
+    throw new MenuValidationError(['menu must contain at least one dish']);
+  }
+
+  const issues = payload.menu.flatMap(describeItemIssues);
+  if (issues.length > 0) {
+    throw new MenuValidationError(issues);
+  }
+
+  return payload.menu;
+};
@@ -0,0 +1,35 @@
+import { ORDER_STATUS_SOURCE } from '../../config/orders';
+import OrderOperations from '../../database/OrderOperations';
+import { createSimulatedStatusSource } from './simulatedStatusSource';
+
+// An order status source is an object of the shape
+//
+//   {
+//     name: string,
+//     getStatusUpdates(order) => Promise<[{ status, at }]>
+//   }
+//
+// that returns, oldest first, the status changes the backend knows about that
+// come after `order.status`. `at` is an ISO timestamp. To track orders with a
+// real backend, implement this shape and register it below.
+const SOURCES = {
+  simulated: () => createSimulatedStatusSource(),
+};
+
+export const getOrderStatusSource = (name = ORDER_STATUS_SOURCE) => {
+  const createSource = SOURCES[name];
+  if (!createSource) {
+    throw new Error(`Unknown order status source "${name}".`);
+  }
+  return createSource();
+};
+
+// Pulls status changes for the given orders from the source and stores them
+export const refreshOrderStatuses = async (database, orders, source = getOrderStatusSource()) => {
+  for (const order of orders) {
+    const updates = await source.getStatusUpdates(order);
+    await OrderOperations.applyStatusUpdates(database, order.id, updates);
+  }
+};
+
+export * from './statuses';
@@ -0,0 +1,31 @@
+import { ORDER_STATUS_FLOW, isFinalStatus } from './statuses';
+
+// Minutes after the order was placed at which each status is reached
+const DEFAULT_SCHEDULE = {
+  preparing: 1,
+  out_for_delivery: 10,
+  delivered: 25,
+};
+
+// Local stand-in for the kitchen/delivery backend. An order's status is a pure
+// function of the time since it was placed, so the simulation keeps advancing
+// across app restarts without any background work.
+export const createSimulatedStatusSource = ({ schedule = DEFAULT_SCHEDULE } = {}) => ({
+  name: 'simulated',
+
+  async getStatusUpdates(order, now = new Date()) {
+    if (isFinalStatus(order.status)) return [];
+
+    const placedAt = new Date(order.placed_at).getTime();
+    const currentIndex = ORDER_STATUS_FLOW.indexOf(order.status);
+
+    return ORDER_STATUS_FLOW
+      .slice(currentIndex + 1)
+      .map((status) => ({
+        status,
+        at: new Date(placedAt + schedule[status] * 60 * 1000),
+      }))
+      .filter((update) => update.at <= now)
+      .map((update) => ({ status: update.status, at: update.at.toISOString() }));
+  },
+});
@@ -0,0 +1,13 @@
+// Order lifecycle, in the order a successful delivery goes through it
+export const ORDER_STATUS_FLOW = ['placed', 'preparing', 'out_for_delivery', 'delivered'];
+
+// Each status is labelled by its key in the `orderStatus` catalog section
+export const CANCELLED = 'cancelled';
+
+// Statuses an order never leaves
+export const FINAL_STATUSES = ['delivered', CANCELLED];
+
+export const isFinalStatus = (status) => FINAL_STATUSES.includes(status);
+
+// Orders can only be cancelled before the kitchen starts on them
+export const canCancel = (status) => status === 'placed';
@@ -0,0 +1,12 @@
+// Raised by payment providers. `code` is one of:
+//   'declined'       the card issuer refused the charge
+//   'timeout'        the provider did not answer within PAYMENT_TIMEOUT_MS
+//   'invalid_card'   the card details failed validation
+//   'provider_error' anything else that went wrong talking to the provider
+export default class PaymentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+  }
+}
@@ -0,0 +1,58 @@
+import PaymentError from './PaymentError';
+
+// Card numbers that force a particular outcome, so every branch of checkout
+// can be exercised offline. Any other valid card number is approved.
+export const TEST_CARDS = {
+  approve: '4242424242424242',
+  decline: '4000000000000002',
+  timeout: '4000000000000119',
+};
+
+const SCENARIOS_BY_CARD = {
+  [TEST_CARDS.approve]: 'approve',
+  [TEST_CARDS.decline]: 'decline',
+  [TEST_CARDS.timeout]: 'timeout',
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Approved charges by idempotency key, so a retried charge returns the first
+// result instead of charging again, as a gateway would
+const approvedCharges = new Map();
+
+// Local stand-in for a payment gateway. `scenario` forces the outcome of every
+// charge regardless of card number; `latencyMs` simulates network time.
+export const createFakePaymentProvider = ({ scenario = null, latencyMs = 1500 } = {}) => ({
+  name: 'fake',
+
+  async charge({ amount, currency, card, idempotencyKey }) {
+    if (idempotencyKey && approvedCharges.has(idempotencyKey)) {
+      await wait(latencyMs);
+      return approvedCharges.get(idempotencyKey);
+    }
+
+    const outcome = scenario || SCENARIOS_BY_CARD[card.number] || 'approve';
+
+    if (outcome === 'timeout') {
+      // Never settles; the caller's timeout decides what happens
+      return new Promise(() => {});
+    }
+
+    await wait(latencyMs);
+
+    if (outcome === 'decline') {
+      throw new PaymentError('declined', 'Your card was declined.');
+    }
+
+    const payment = {
+      status: 'approved',
+      transactionId: `fake_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      amount,
+      currency,
+    };
+    if (idempotencyKey) {
+      approvedCharges.set(idempotencyKey, payment);
+    }
+    return payment;
+  },
+});
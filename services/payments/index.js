@@ -0,0 +1,50 @@
+import { PAYMENT_PROVIDER, PAYMENT_TIMEOUT_MS } from '../../config/payments';
+import PaymentError from './PaymentError';
+import { createFakePaymentProvider } from './fakePaymentProvider';
+
+// A payment provider is an object of the shape
+//
+//   {
+//     name: string,
+//     charge({ amount, currency, card, metadata, idempotencyKey }) => Promise<{ status: 'approved', transactionId, amount, currency }>
+//   }
+//
+// where `amount` is in major units (e.g. dollars) and `card` is
+// { number, expiryMonth, expiryYear, cvc, name }. `idempotencyKey` identifies
+// the checkout attempt: a charge sent again with the same key must not take
+// the money twice, but settle like the first one. A charge that does not go
+// through rejects with a PaymentError. To add a real gateway, implement this
+// shape and register it below.
+const PROVIDERS = {
+  fake: () => createFakePaymentProvider(),
+};
+
+export const getPaymentProvider = (name = PAYMENT_PROVIDER) => {
+  const createProvider = PROVIDERS[name];
+  if (!createProvider) {
+    throw new PaymentError('provider_error', `Unknown payment provider "${name}".`);
+  }
+  return createProvider();
+};
+
+// Runs a charge, failing with a 'timeout' PaymentError if the provider does not
+// settle in time and wrapping unexpected failures as 'provider_error'.
+export const chargeWithTimeout = async (provider, request, timeoutMs = PAYMENT_TIMEOUT_MS) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      reject(new PaymentError('timeout', 'The payment provider did not respond in time.'));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([provider.charge(request), timeout]);
+  } catch (error) {
+    if (error instanceof PaymentError) throw error;
+    throw new PaymentError('provider_error', error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+export { PaymentError };
@@ -0,0 +1,76 @@
+import React, { createContext, useContext, useEffect, useState, useCallback, useMemo } from 'react';
+import { useColorScheme } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { PALETTES, SYSTEM_SCHEME, resolveColorScheme } from './index';
+
+const COLOR_SCHEME_STORAGE_KEY = 'colorScheme';
+
+const ThemeContext = createContext(null);
+
+// Holds the appearance chosen in Profile: 'light', 'dark', or SYSTEM_SCHEME to
+// follow the device setting as it changes.
+export const ThemeProvider = ({ children }) => {
+  const systemScheme = useColorScheme();
+  const [preference, setPreference] = useState(SYSTEM_SCHEME);
+
+  useEffect(() => {
+    loadPreference();
+  }, []);
+
+  const loadPreference = async () => {
+    try {
+      const stored = await AsyncStorage.getItem(COLOR_SCHEME_STORAGE_KEY);
+      if (stored) {
+        setPreference(stored);
+      }
+    } catch (error) {
+      console.error('Error loading color scheme:', error);
+    }
+  };
+
+  const changeColorScheme = useCallback(async (value) => {
+    setPreference(value);
+    try {
+      await AsyncStorage.setItem(COLOR_SCHEME_STORAGE_KEY, value);
+    } catch (error) {
+      console.error('Error saving color scheme:', error);
+    }
+  }, []);
+
+  const scheme = resolveColorScheme(preference, systemScheme);
+
+  const value = useMemo(() => ({
+    scheme,
+    colors: PALETTES[scheme],
+    preference,
+    changeColorScheme,
+  }), [scheme, preference, changeColorScheme]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+// { scheme, colors, preference, changeColorScheme } for the nearest ThemeProvider
+export const useTheme = () => {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error('useTheme must be used inside a ThemeProvider');
+  }
+  return context;
+};
+
+// Styles are written as `createStyles = (colors) => StyleSheet.create(...)`.
+// Each palette's sheet is built once and shared by every component using it.
+const styleCache = new WeakMap();
+
+export const useThemedStyles = (createStyles) => {
+  const { colors } = useTheme();
+
+  if (!styleCache.has(createStyles)) {
+    styleCache.set(createStyles, new Map());
+  }
+  const sheets = styleCache.get(createStyles);
+  if (!sheets.has(colors)) {
+    sheets.set(colors, createStyles(colors));
+  }
+  return sheets.get(colors);
+};
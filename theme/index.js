@@ -0,0 +1,61 @@
+// Semantic colors for each color scheme. Screens never use hex values directly:
+// they read these tokens through useTheme() or useThemedStyles().
+//
+// brand / onBrand   filled brand surfaces (banner, primary buttons) and their text
+// tint              brand-colored icons, links, outlines and headings
+// accent / onAccent Little Lemon yellow (call-to-action buttons) and its text
+// background        screen background
+// surface           chips, cards and input fills that sit on the background
+// surfaceAlt        a screen background that sets off white cards
+// border            hairlines and dividers
+// text / textMuted  body and secondary text
+// disabled          fills of controls that cannot be used yet
+// textDisabled      text of unavailable options
+// danger            validation errors
+// backdrop          dims the screen behind modal sheets
+export const PALETTES = {
+  light: {
+    brand: '#495E57',
+    onBrand: '#FFFFFF',
+    tint: '#495E57',
+    accent: '#F4CE14',
+    onAccent: '#333333',
+    background: '#FFFFFF',
+    surface: '#EDEFEE',
+    surfaceAlt: '#F4F4F4',
+    border: '#EDEFEE',
+    text: '#333333',
+    textMuted: '#7C7C7C',
+    disabled: '#CCCCCC',
+    textDisabled: '#CCCCCC',
+    danger: '#D32F2F',
+    backdrop: 'rgba(0, 0, 0, 0.4)',
+  },
+  dark: {
+    brand: '#3B4D47',
+    onBrand: '#FFFFFF',
+    tint: '#9FC2B5',
+    accent: '#F4CE14',
+    onAccent: '#333333',
+    background: '#121614',
+    surface: '#1F2623',
+    surfaceAlt: '#0C0F0E',
+    border: '#2D3632',
+    text: '#EDEFEE',
+    textMuted: '#9AA39F',
+    disabled: '#3A423E',
+    textDisabled: '#56605B',
+    danger: '#EF9A9A',
+    backdrop: 'rgba(0, 0, 0, 0.6)',
+  },
+};
+
+// Stored in place of a scheme name when the app follows the device
+export const SYSTEM_SCHEME = 'system';
+
+export const COLOR_SCHEME_OPTIONS = [SYSTEM_SCHEME, 'light', 'dark'];
+
+export const resolveColorScheme = (preference, systemScheme) => {
+  if (preference === 'light' || preference === 'dark') return preference;
+  return systemScheme === 'dark' ? 'dark' : 'light';
+};
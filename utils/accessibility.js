@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react';
+import { AccessibilityInfo } from 'react-native';
+
+// Text grows with the device text size everywhere except inside fixed-size
+// shapes (count badges, avatar initials), where it stops at this multiple so
+// it stays inside the shape.
+export const BADGE_MAX_FONT_SCALE = 1.3;
+
+// Whether the user turned on Reduce Motion (iOS) or Remove animations
+// (Android). Follows the setting if it changes while the app is open.
+export const useReduceMotion = () => {
+  const [reduceMotion, setReduceMotion] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    AccessibilityInfo.isReduceMotionEnabled().then((enabled) => {
+      if (active) setReduceMotion(enabled);
+    });
+
+    const subscription = AccessibilityInfo.addEventListener('reduceMotionChanged', setReduceMotion);
+    return () => {
+      active = false;
+      subscription.remove();
+    };
+  }, []);
+
+  return reduceMotion;
+};
@@ -0,0 +1,21 @@
+import { AuthError } from '../services/auth';
+
+// Catalog key of the message shown for each AuthError code
+const AUTH_ERROR_MESSAGES = {
+  invalid_credentials: 'auth.invalidCredentials',
+  email_taken: 'auth.emailTaken',
+  weak_password: 'auth.weakPassword',
+  invalid_code: 'auth.invalidCode',
+  session_expired: 'auth.sessionExpired',
+  network_error: 'auth.networkError',
+};
+
+// The message to show for an error from services/auth. Anything that is not
+// an expected AuthError is logged and shown as a generic failure.
+export const getAuthErrorMessage = (error, t) => {
+  const key = error instanceof AuthError && AUTH_ERROR_MESSAGES[error.code];
+  if (!key) {
+    console.error('Error authenticating:', error);
+  }
+  return t(key || 'auth.unknownError');
+};
@@ -0,0 +1,54 @@
+// Card validation for the checkout form. The payment provider has the final
+// say; these checks only catch typos before a charge is attempted.
+
+export const normalizeCardNumber = (value) => value.replace(/\D/g, '').substring(0, 19);
+
+// Groups digits in fours as the user types: 4242 4242 4242 4242
+export const formatCardNumber = (value) => {
+  const digits = normalizeCardNumber(value);
+  return digits.replace(/(\d{4})(?=\d)/g, '$1 ');
+};
+
+// Formats expiry input as MM/YY
+export const formatExpiry = (value) => {
+  const digits = value.replace(/\D/g, '').substring(0, 4);
+  if (digits.length > 2) {
+    return `${digits.substring(0, 2)}/${digits.substring(2)}`;
+  }
+  return digits;
+};
+
+// Luhn checksum
+export const isValidCardNumber = (value) => {
+  const digits = normalizeCardNumber(value);
+  if (digits.length < 12) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// Returns { month, year } for a valid, unexpired MM/YY value, otherwise null
+export const parseExpiry = (value, now = new Date()) => {
+  const match = /^(\d{2})\/(\d{2})$/.exec(value);
+  if (!match) return null;
+
+  const month = Number(match[1]);
+  const year = 2000 + Number(match[2]);
+  if (month < 1 || month > 12) return null;
+
+  // Cards are valid through the last day of their expiry month
+  const endOfMonth = new Date(year, month, 1);
+  if (endOfMonth <= now) return null;
+
+  return { month, year };
+};
+
+export const isValidCvc = (value) => /^\d{3,4}$/.test(value);
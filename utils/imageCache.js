@@ -0,0 +1,108 @@
+import * as FileSystem from 'expo-file-system';
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import DatabaseOperations from '../database/DatabaseOperations';
+import { getImageUrl } from './images';
+
+// Menu photos are kept in app storage so the menu still has pictures offline.
+// The database stores paths relative to the document directory, because the
+// absolute path changes when iOS moves the app container on update.
+const CACHE_DIR = 'menu-images/';
+
+// Wide enough for the 80pt list thumbnails on 3x screens
+const THUMBNAIL_WIDTH = 240;
+
+let cachePromise = null;
+
+export const resolveCachedPath = (relativePath) => (
+  relativePath ? `${FileSystem.documentDirectory}${relativePath}` : null
+);
+
+// One file per image name, so a dish whose image changes gets a new download
+const getCachePaths = (imageName) => {
+  const safeName = imageName.replace(/[^A-Za-z0-9._-]/g, '_');
+  return {
+    imagePath: `${CACHE_DIR}${safeName}`,
+    thumbnailPath: `${CACHE_DIR}thumb_${safeName.replace(/\.[^.]*$/, '')}.jpg`,
+  };
+};
+
+const fileExists = async (relativePath) => {
+  const info = await FileSystem.getInfoAsync(resolveCachedPath(relativePath));
+  return info.exists;
+};
+
+const downloadImage = async (imageName, { imagePath, thumbnailPath }) => {
+  const target = resolveCachedPath(imagePath);
+  const result = await FileSystem.downloadAsync(getImageUrl(imageName), target);
+  if (result.status !== 200) {
+    await FileSystem.deleteAsync(target, { idempotent: true });
+    throw new Error(`Image download failed with status ${result.status}`);
+  }
+
+  const rendered = await ImageManipulator.manipulate(target)
+    .resize({ width: THUMBNAIL_WIDTH })
+    .renderAsync();
+  const thumbnail = await rendered.saveAsync({ compress: 0.7, format: SaveFormat.JPEG });
+  // A thumbnail left from an earlier run whose photo went missing would make
+  // the move fail
+  const thumbnailTarget = resolveCachedPath(thumbnailPath);
+  await FileSystem.deleteAsync(thumbnailTarget, { idempotent: true });
+  await FileSystem.moveAsync({ from: thumbnail.uri, to: thumbnailTarget });
+};
+
+const runCache = async (database) => {
+  const summary = { cached: 0, failed: 0, evicted: 0 };
+
+  await FileSystem.makeDirectoryAsync(resolveCachedPath(CACHE_DIR), { intermediates: true });
+
+  for (const row of await DatabaseOperations.getMenuImagePaths(database)) {
+    if (!row.image) continue;
+
+    const paths = getCachePaths(row.image);
+    const isStored = row.image_path === paths.imagePath && row.thumbnail_path === paths.thumbnailPath;
+    const hasFiles = await fileExists(paths.imagePath) && await fileExists(paths.thumbnailPath);
+    if (isStored && hasFiles) continue;
+
+    try {
+      // Dishes that share an image only download it once
+      if (!hasFiles) {
+        await downloadImage(row.image, paths);
+      }
+      await DatabaseOperations.setMenuItemImagePaths(database, row.id, paths);
+      summary.cached += 1;
+    } catch (error) {
+      // The list falls back to the remote image; the next sync tries again
+      console.error(`Error caching image ${row.image}:`, error);
+      summary.failed += 1;
+    }
+  }
+
+  // Anything not referenced by a dish on the menu is left over from removed
+  // dishes or replaced images
+  const referenced = new Set();
+  for (const row of await DatabaseOperations.getMenuImagePaths(database)) {
+    if (row.image_path) referenced.add(row.image_path);
+    if (row.thumbnail_path) referenced.add(row.thumbnail_path);
+  }
+
+  const files = await FileSystem.readDirectoryAsync(resolveCachedPath(CACHE_DIR));
+  for (const file of files) {
+    if (!referenced.has(`${CACHE_DIR}${file}`)) {
+      await FileSystem.deleteAsync(resolveCachedPath(`${CACHE_DIR}${file}`), { idempotent: true });
+      summary.evicted += 1;
+    }
+  }
+
+  return summary;
+};
+
+// Downloads missing images for the dishes currently on the menu and evicts the
+// rest. Concurrent callers share the run in progress.
+export const cacheMenuImages = (database) => {
+  if (!cachePromise) {
+    cachePromise = runCache(database).finally(() => {
+      cachePromise = null;
+    });
+  }
+  return cachePromise;
+};
@@ -0,0 +1,5 @@
+const MENU_IMAGE_BASE_URL = 'https://raw.githubusercontent.com/Meta-Mobile-Developer-PC/Working-With-Data-API/main/images';
+
+export const getImageUrl = (imageName) => {
+  return `${MENU_IMAGE_BASE_URL}/${imageName}`;
+};
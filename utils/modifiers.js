@@ -0,0 +1,89 @@
+// Helpers for a dish's modifier groups (see config/modifiers.js for the shape).
+// Selections are stored as { [groupId]: [optionId, ...] }.
+
+export const isRequiredGroup = (group) => group.min > 0;
+
+// Options flagged `default`, limited to what each group allows
+export const getDefaultSelections = (groups) => {
+  const selections = {};
+  for (const group of groups) {
+    const defaults = group.options.filter(option => option.default).slice(0, group.max);
+    if (defaults.length > 0) {
+      selections[group.id] = defaults.map(option => option.id);
+    }
+  }
+  return selections;
+};
+
+// Picking an option in a single-choice group replaces the previous pick;
+// in a multi-choice group it toggles, up to the group's max
+export const toggleSelection = (selections, group, optionId) => {
+  const current = selections[group.id] || [];
+  let next;
+
+  if (current.includes(optionId)) {
+    next = current.filter(id => id !== optionId);
+  } else if (group.max === 1) {
+    next = [optionId];
+  } else if (current.length < group.max) {
+    next = [...current, optionId];
+  } else {
+    return selections;
+  }
+
+  return { ...selections, [group.id]: next };
+};
+
+// Returns { [groupId]: message } for every group whose selection is out of
+// bounds, with the messages translated by `t`
+export const validateSelections = (groups, selections, t) => {
+  const errors = {};
+  for (const group of groups) {
+    const count = (selections[group.id] || []).length;
+    if (count < group.min) {
+      errors[group.id] = group.min === 1
+        ? t('modifiers.chooseOne')
+        : t('modifiers.chooseAtLeast', { count: group.min });
+    } else if (count > group.max) {
+      errors[group.id] = t('modifiers.chooseUpTo', { count: group.max });
+    }
+  }
+  return errors;
+};
+
+// The chosen options in menu order. Choices that are no longer offered (the
+// menu changed since they were made) are skipped.
+export const getSelectedOptions = (groups, selections) => groups.flatMap((group) => {
+  const chosen = selections[group.id] || [];
+  return group.options.filter(option => chosen.includes(option.id));
+});
+
+// e.g. "Half, Extra feta, No onions"
+export const describeSelections = (groups, selections) => (
+  getSelectedOptions(groups, selections).map(option => option.name).join(', ')
+);
+
+// Identifies a configuration so that adding the same choices again adds to the
+// existing cart line. A dish with no choices and no instructions gets ''.
+export const getConfigurationKey = (selections, instructions) => {
+  const entries = Object.keys(selections)
+    .filter(groupId => selections[groupId].length > 0)
+    .sort()
+    .map(groupId => [groupId, [...selections[groupId]].sort()]);
+  const note = (instructions || '').trim();
+
+  if (entries.length === 0 && !note) return '';
+  return JSON.stringify([entries, note]);
+};
+
+// Stored modifier/selection JSON is parsed leniently: a column that cannot be
+// read is treated as empty rather than breaking the menu or cart
+export const parseJson = (text, fallback) => {
+  if (!text) return fallback;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    console.error('Error parsing stored JSON:', error);
+    return fallback;
+  }
+};
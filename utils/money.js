@@ -0,0 +1,56 @@
+import { getLocales } from 'expo-localization';
+import { CURRENCY } from '../config/restaurant';
+
+// Amounts are formatted for the device's region (symbol placement, decimal and
+// grouping separators) but always in the restaurant's currency: a visitor
+// from Greece still pays in dollars.
+export const getDeviceLocale = () => {
+  const [primary] = getLocales();
+  return primary?.languageTag || 'en-US';
+};
+
+const formatters = new Map();
+
+// Intl.NumberFormat is slow to construct, so one is kept per locale and options
+const getFormatter = (locale, options) => {
+  const key = `${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, options));
+  }
+  return formatters.get(key);
+};
+
+// Decimal places of the currency's minor unit, e.g. 2 for USD, 0 for JPY
+export const getMinorUnitDigits = (currency = CURRENCY) => {
+  try {
+    return getFormatter('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch (error) {
+    return 2;
+  }
+};
+
+// e.g. "$12.99" for en-US, "12,99 $" for el-GR, "US$12.99" for en-AU
+export const formatMoney = (amount, currency = CURRENCY) => {
+  try {
+    return getFormatter(getDeviceLocale(), { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    // An unknown currency code throws; still show something readable
+    return `${currency} ${amount.toFixed(getMinorUnitDigits(currency))}`;
+  }
+};
+
+// An amount added to a price, e.g. "+$2.00" or "−$4.00". Zero gives ''.
+export const formatMoneyDelta = (amount, currency = CURRENCY) => {
+  if (!amount) return '';
+  return `${amount > 0 ? '+' : '−'}${formatMoney(Math.abs(amount), currency)}`;
+};
+
+// e.g. "15%" for en-US, "15 %" for es-ES
+export const formatPercent = (rate) => (
+  getFormatter(getDeviceLocale(), { style: 'percent', maximumFractionDigits: 2 }).format(rate)
+);
+
+// A plain number for an editable field: no grouping, so it parses back cleanly
+export const formatEditableAmount = (amount) => (
+  getFormatter(getDeviceLocale(), { useGrouping: false, maximumFractionDigits: getMinorUnitDigits() }).format(amount)
+);
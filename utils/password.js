@@ -0,0 +1,11 @@
+import { MIN_PASSWORD_LENGTH } from '../config/auth';
+
+// Rules a new password must meet, in the order they are listed on screen.
+// scripts/auth-server.js checks the same rules on its side.
+export const PASSWORD_RULES = [
+  { key: 'length', test: (password) => password.length >= MIN_PASSWORD_LENGTH },
+  { key: 'mixedCase', test: (password) => /[a-z]/.test(password) && /[A-Z]/.test(password) },
+  { key: 'number', test: (password) => /\d/.test(password) },
+];
+
+export const isStrongPassword = (password) => PASSWORD_RULES.every(rule => rule.test(password));
@@ -0,0 +1,22 @@
+export const formatPhoneNumber = (value) => {
+  // Remove all non-numeric characters
+  const numbers = value.replace(/\D/g, '');
+
+  // Limit to 10 digits
+  const truncated = numbers.substring(0, 10);
+
+  // Format as (XXX) XXX-XXXX
+  if (truncated.length >= 6) {
+    return `(${truncated.substring(0, 3)}) ${truncated.substring(3, 6)}-${truncated.substring(6)}`;
+  } else if (truncated.length >= 3) {
+    return `(${truncated.substring(0, 3)}) ${truncated.substring(3)}`;
+  } else if (truncated.length > 0) {
+    return `(${truncated}`;
+  }
+  return truncated;
+};
+
+export const isValidPhoneNumber = (phone) => {
+  const numbers = phone.replace(/\D/g, '');
+  return numbers.length === 10;
+};
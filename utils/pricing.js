@@ -0,0 +1,50 @@
+import { SALES_TAX_RATE } from '../config/restaurant';
+import { getMinorUnitDigits } from './money';
+
+// Amounts are summed in the currency's minor unit (cents for USD) so repeated
+// additions of REAL prices cannot drift by fractions of a cent.
+//
+// Rounding rules:
+// - Halves round away from zero, after trimming the float noise that makes
+//   1.005 * 100 come out as 100.49999999999999.
+// - Tax and tip are each rounded once, on the subtotal, not per line.
+// - The total is the sum of the rounded parts, so the receipt always adds up.
+const roundMinor = (value) => {
+  const trimmed = Number(value.toFixed(6));
+  return Math.sign(trimmed) * Math.round(Math.abs(trimmed));
+};
+
+const getMinorUnitFactor = () => 10 ** getMinorUnitDigits();
+
+const toMinor = (amount) => roundMinor(amount * getMinorUnitFactor());
+
+const fromMinor = (minor) => minor / getMinorUnitFactor();
+
+export const calculateLineTotal = (line) => fromMinor(toMinor(line.price) * line.quantity);
+
+// Price of one dish with the chosen options, whose `price` is added to (or,
+// for cheaper choices like a half portion, taken off) the base price
+export const calculateConfiguredPrice = (basePrice, selectedOptions) => {
+  const minor = selectedOptions.reduce(
+    (sum, option) => sum + toMinor(option.price || 0),
+    toMinor(basePrice)
+  );
+  return fromMinor(Math.max(minor, 0));
+};
+
+// lines: [{ price, quantity }]. Tax and tip are both charged on the subtotal.
+export const calculateCartTotals = (lines, taxRate = SALES_TAX_RATE, tipRate = 0) => {
+  const subtotalMinor = lines.reduce(
+    (sum, line) => sum + toMinor(line.price) * line.quantity,
+    0
+  );
+  const taxMinor = roundMinor(subtotalMinor * taxRate);
+  const tipMinor = roundMinor(subtotalMinor * tipRate);
+
+  return {
+    subtotal: fromMinor(subtotalMinor),
+    tax: fromMinor(taxMinor),
+    tip: fromMinor(tipMinor),
+    total: fromMinor(subtotalMinor + taxMinor + tipMinor),
+  };
+};
@@ -0,0 +1,99 @@
+import {
+  OPENING_HOURS,
+  RESERVATION_SLOT_MINUTES,
+  RESERVATION_DURATION_MINUTES,
+  RESERVATION_DAYS_AHEAD,
+  TABLES,
+} from '../config/restaurant';
+
+// Slot availability for table reservations. Dates are local calendar days as
+// 'YYYY-MM-DD' and times are local 'HH:MM', matching the reservations table.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const fromDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+export const isOpenOn = (dateKey) => (OPENING_HOURS[fromDateKey(dateKey).getDay()] || []).length > 0;
+
+// Days from today on which the restaurant is open
+export const getBookableDates = (now = new Date()) => {
+  const dates = [];
+  for (let offset = 0; offset < RESERVATION_DAYS_AHEAD; offset += 1) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    const dateKey = toDateKey(day);
+    if (isOpenOn(dateKey)) {
+      dates.push(dateKey);
+    }
+  }
+  return dates;
+};
+
+// Every start time on the given day that leaves a full seating before closing.
+// Times that have already passed today are left out.
+export const getSlotTimes = (dateKey, now = new Date()) => {
+  const windows = OPENING_HOURS[fromDateKey(dateKey).getDay()] || [];
+  const earliest = dateKey === toDateKey(now) ? now.getHours() * 60 + now.getMinutes() : -1;
+  const times = [];
+
+  for (const [open, close] of windows) {
+    const lastStart = toMinutes(close) - RESERVATION_DURATION_MINUTES;
+    for (let start = toMinutes(open); start <= lastStart; start += RESERVATION_SLOT_MINUTES) {
+      if (start > earliest) {
+        times.push(toTime(start));
+      }
+    }
+  }
+
+  return times;
+};
+
+// Smallest free table that seats the party at `time`, or null if none is free.
+// `reservations` are the booked reservations for the same day.
+export const findTableForSlot = (time, partySize, reservations) => {
+  const start = toMinutes(time);
+  const inUse = {};
+
+  for (const reservation of reservations) {
+    const overlaps = Math.abs(toMinutes(reservation.time) - start) < RESERVATION_DURATION_MINUTES;
+    if (overlaps) {
+      inUse[reservation.table_seats] = (inUse[reservation.table_seats] || 0) + 1;
+    }
+  }
+
+  const table = [...TABLES]
+    .sort((a, b) => a.seats - b.seats)
+    .find((candidate) => candidate.seats >= partySize && (inUse[candidate.seats] || 0) < candidate.count);
+
+  return table ? table.seats : null;
+};
+
+// [{ time, available, tableSeats }] for every slot on the day
+export const getSlotAvailability = (dateKey, partySize, reservations, now = new Date()) => (
+  getSlotTimes(dateKey, now).map((time) => {
+    const tableSeats = findTableForSlot(time, partySize, reservations);
+    return { time, available: tableSeats !== null, tableSeats };
+  })
+);
+
+// `language` is the app's language (see useTranslation), which may differ
+// from the device's
+export const formatReservationDate = (dateKey, language) => (
+  fromDateKey(dateKey).toLocaleDateString(language, { weekday: 'short', month: 'short', day: 'numeric' })
+);
+
+export const formatReservationTime = (time, language) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString(language, { hour: 'numeric', minute: '2-digit' });
+};
@@ -0,0 +1,6 @@
+import { I18nManager } from 'react-native';
+
+// Flex rows and start/end margins mirror on their own under right-to-left
+// layouts. Icons that point somewhere (back arrows, chevrons) do not, so they
+// take this style to be flipped horizontally.
+export const flipInRTL = I18nManager.isRTL ? { transform: [{ scaleX: -1 }] } : null;